@@ -0,0 +1,150 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { execSync } = require('child_process');
+const { chromium } = require('playwright');
+
+const { SessionExpiredError } = require('./errors');
+const { delay } = require('./gemini-handler');
+
+async function cleanupProfileLocks(config, log) {
+  const entries = await fs.readdir(config.browserDataDir).catch(() => []);
+  const lockFiles = entries.filter((name) => name.startsWith('Singleton'));
+  if (!lockFiles.length || !config.forceUnlock) return;
+
+  let hasChromeTesting = false;
+  if (process.platform === 'darwin') {
+    try {
+      const psOutput = execSync('ps -ax').toString();
+      hasChromeTesting = psOutput.includes('Google Chrome for Testing');
+    } catch (err) {
+      // If ps fails, skip cleanup to be safe.
+      hasChromeTesting = true;
+    }
+  }
+
+  if (hasChromeTesting) {
+    log('Chrome for Testing is running. Waiting for it to close...');
+    const start = Date.now();
+    while (Date.now() - start < 5 * 60 * 1000) {
+      try {
+        const psOutput = execSync('ps -ax').toString();
+        if (!psOutput.includes('Google Chrome for Testing')) {
+          hasChromeTesting = false;
+          break;
+        }
+      } catch (err) {
+        // If ps fails, keep waiting.
+      }
+      await delay(2000);
+    }
+  }
+
+  if (hasChromeTesting) {
+    throw new Error(
+      'Chrome for Testing appears to be running; close it before retrying.'
+    );
+  }
+
+  for (const name of lockFiles) {
+    await fs.rm(path.join(config.browserDataDir, name), { force: true });
+  }
+  log('Removed stale profile lock files.');
+}
+
+async function launchBrowserContext(config, log) {
+  await fs.mkdir(config.browserDataDir, { recursive: true });
+  await cleanupProfileLocks(config, log);
+
+  log(`Launching browser with profile at ${config.browserDataDir}`);
+  return chromium.launchPersistentContext(config.browserDataDir, {
+    headless: config.headless,
+    viewport: { width: 1920, height: 1080 },
+    // Signals are handled by the batch loop, which closes the context itself
+    // after cleaning up.
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false
+  });
+}
+
+/**
+ * Starts a fresh, non-persistent context from a storage state exported by the
+ * login command. Closing the context also closes its browser.
+ */
+async function launchSessionContext(config, log) {
+  try {
+    await fs.access(config.session);
+  } catch (err) {
+    throw new SessionExpiredError(
+      `Session file ${config.session} not found. Run "login --session ${config.session}" first.`
+    );
+  }
+
+  log(`Launching browser with session from ${config.session}`);
+  const browser = await chromium.launch({
+    headless: config.headless,
+    handleSIGINT: false,
+    handleSIGTERM: false,
+    handleSIGHUP: false
+  });
+  const context = await browser.newContext({
+    storageState: config.session,
+    viewport: { width: 1920, height: 1080 }
+  });
+  context.on('close', () => browser.close().catch(() => {}));
+  return context;
+}
+
+/**
+ * Writes the context's cookies and localStorage to `sessionPath`, readable
+ * only by the current user since it grants access to the account.
+ */
+async function exportSession(context, sessionPath) {
+  const state = await context.storageState();
+  await fs.mkdir(path.dirname(path.resolve(sessionPath)), { recursive: true });
+  await fs.writeFile(sessionPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  await fs.chmod(sessionPath, 0o600);
+}
+
+function contextKey(config) {
+  return config.session
+    ? `session:${path.resolve(config.session)}`
+    : path.resolve(config.browserDataDir);
+}
+
+// Contexts keyed by profile directory (or session file), shared by workers
+// that run as tabs in one browser. Each entry counts its users.
+const sharedContexts = new Map();
+
+async function acquireBrowserContext(config, log) {
+  const key = contextKey(config);
+  let entry = sharedContexts.get(key);
+  if (!entry) {
+    const launch = config.session ? launchSessionContext : launchBrowserContext;
+    entry = { users: 0, context: launch(config, log) };
+    sharedContexts.set(key, entry);
+    entry.context.catch(() => sharedContexts.delete(key));
+  }
+  entry.users += 1;
+  return entry.context;
+}
+
+async function releaseBrowserContext(config) {
+  const key = contextKey(config);
+  const entry = sharedContexts.get(key);
+  if (!entry) return;
+  entry.users -= 1;
+  if (entry.users > 0) return;
+  sharedContexts.delete(key);
+  const context = await entry.context.catch(() => null);
+  if (context) await context.close();
+}
+
+module.exports = {
+  cleanupProfileLocks,
+  launchBrowserContext,
+  launchSessionContext,
+  exportSession,
+  acquireBrowserContext,
+  releaseBrowserContext
+};
@@ -0,0 +1,126 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { extensionFor } = require('./conform');
+const {
+  InterruptedError,
+  QuotaError,
+  SessionExpiredError,
+  ValidationError
+} = require('./errors');
+const { ensureDir } = require('./file-manager');
+const { readImageInfo } = require('./image-info');
+const { compareToSource, rankCandidates } = require('./scoring');
+
+const CANDIDATES_DIR = 'candidates';
+
+function getCandidatesDir(outputDir, record) {
+  return path.join(outputDir, CANDIDATES_DIR, record.hash.slice(0, 16));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * --candidates N: sends the image and prompt N times, scores each result
+ * against the source (see src/scoring.js) and moves the best one to
+ * `image.outputPath`. The others stay under candidates/<hash>/ in the
+ * output folder, and every candidate's scores are kept on
+ * `record.candidates`. Results that cannot be decoded are never chosen; when
+ * no candidate can be scored (e.g. the source itself is unreadable) the
+ * first readable one is kept.
+ *
+ * A candidate whose generation fails is recorded with its error and the next
+ * one is tried; a usage limit or a signed-out session ends the round early.
+ * The attempt only fails when no candidate was produced.
+ */
+async function generateCandidates(config, provider, shutdown, image) {
+  const { imagePath, job, record } = image;
+  const name = path.basename(imagePath);
+  const dir = getCandidatesDir(config.outputDir, record);
+  // Leftovers of an earlier failed attempt.
+  await fs.rm(dir, { recursive: true, force: true });
+  await image.claim(dir);
+  await ensureDir(dir);
+
+  const candidates = [];
+  let lastError = null;
+  for (let index = 1; index <= config.candidates; index += 1) {
+    config.log(`Candidate ${index}/${config.candidates} for ${name}`);
+    const download = path.join(dir, `candidate-${index}.download`);
+    const candidate = { index, file: download, readable: false, error: null };
+    candidates.push(candidate);
+    try {
+      await shutdown.race(provider.prepare(job));
+      await shutdown.race(provider.submit(imagePath, job.prompt));
+      await shutdown.race(provider.collect(download));
+    } catch (err) {
+      if (err instanceof InterruptedError) throw err;
+      lastError = err;
+      candidate.error = `step=${provider.currentStep} ${err.message || err}`;
+      config.log(`Candidate ${index} for ${name} failed: ${candidate.error}`);
+      await fs.rm(download, { force: true });
+      if (err instanceof QuotaError || err instanceof SessionExpiredError) break;
+      continue;
+    }
+
+    try {
+      const { format } = await readImageInfo(download);
+      candidate.file = path.join(dir, `candidate-${index}${extensionFor(format)}`);
+      candidate.readable = true;
+      await fs.rename(download, candidate.file);
+    } catch (err) {
+      // Unreadable; it is never chosen.
+    }
+  }
+  // Nothing came back: fail the attempt with the error that stopped the last
+  // candidate, so it is classified and retried like a single generation.
+  if (lastError && !candidates.some((candidate) => !candidate.error)) throw lastError;
+
+  provider.setStep('score');
+  for (const candidate of candidates) {
+    candidate.measures = null;
+    if (!candidate.readable) continue;
+    try {
+      candidate.measures = await compareToSource(imagePath, candidate.file);
+    } catch (err) {
+      config.log(`Could not score candidate ${candidate.index}: ${err.message || err}`);
+    }
+  }
+  let best = rankCandidates(candidates);
+  if (!best) {
+    best = candidates.find((candidate) => candidate.readable);
+    if (!best) {
+      throw new ValidationError(`None of the ${candidates.length} candidates is a readable image.`);
+    }
+    config.log(`Could not score the candidates for ${name}; keeping candidate ${best.index}.`);
+  }
+  for (const candidate of candidates) {
+    if (candidate.score === null) continue;
+    const { ssim, colourDistance, sharpness } = candidate.measures;
+    config.log(
+      `Candidate ${candidate.index}: score ${round(candidate.score)} (ssim ${round(ssim)}, ` +
+        `colour distance ${round(colourDistance)}, sharpness ${Math.round(sharpness)})`
+    );
+  }
+  config.log(`Keeping candidate ${best.index} of ${candidates.length} for ${name}`);
+
+  await fs.rename(best.file, image.outputPath);
+  record.candidates = candidates.map((candidate) => ({
+    index: candidate.index,
+    chosen: candidate === best,
+    path: candidate === best || candidate.error ? null : candidate.file,
+    score: candidate.score === null ? null : round(candidate.score),
+    ssim: candidate.measures ? round(candidate.measures.ssim) : null,
+    colourDistance: candidate.measures ? round(candidate.measures.colourDistance) : null,
+    sharpness: candidate.measures ? Math.round(candidate.measures.sharpness) : null,
+    error: candidate.error
+  }));
+  await image.save();
+}
+
+module.exports = {
+  CANDIDATES_DIR,
+  generateCandidates
+};
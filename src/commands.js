@@ -0,0 +1,271 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { exportSession, launchBrowserContext } = require('./browser');
+const { GeminiHandler } = require('./gemini-handler');
+const { matchesAny } = require('./glob');
+const { GeminiProvider } = require('./providers/gemini');
+const { writeRunReport } = require('./run-report');
+const { approveRecord, resetRecord, markSkipped } = require('./state');
+
+const STATUSES = ['processed', 'needs-review', 'failed', 'pending', 'skipped'];
+
+const REPORT_COLUMNS = [
+  'image',
+  'status',
+  'attempts',
+  'lastStep',
+  'lastError',
+  'outputPath',
+  'outputWidth',
+  'outputHeight',
+  'duplicateOf',
+  'duplicateDistance',
+  'reviewReasons',
+  'heatmapPath',
+  'updatedAt',
+  'hash'
+];
+
+// Path relative to the input folder, or the absolute path for records whose
+// source lives elsewhere (e.g. after the input was moved).
+function imageName(config, record) {
+  const relative = path.relative(config.inputDir, record.sourcePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return record.sourcePath;
+  }
+  return relative;
+}
+
+function matchRecords(config, state, pattern) {
+  if (!pattern) {
+    throw new Error('A pattern is required, e.g. "flight-1/**" or "DJI_00*.jpg".');
+  }
+  return Object.values(state.images).filter(
+    (record) =>
+      record.sourcePath === pattern || matchesAny([pattern], imageName(config, record))
+  );
+}
+
+function status(config, state) {
+  const records = Object.values(state.images);
+  const counts = Object.fromEntries(STATUSES.map((name) => [name, 0]));
+  const failuresByStep = {};
+  const needsReview = [];
+  for (const record of records) {
+    counts[record.status] = (counts[record.status] || 0) + 1;
+    if (record.status === 'needs-review') needsReview.push(imageName(config, record));
+    if (record.status === 'failed') {
+      const step = record.lastStep || 'unknown';
+      failuresByStep[step] = failuresByStep[step] || [];
+      failuresByStep[step].push(imageName(config, record));
+    }
+  }
+
+  console.log(`Images: ${records.length}`);
+  for (const [name, count] of Object.entries(counts)) {
+    console.log(`  ${name}: ${count}`);
+  }
+  if (needsReview.length) {
+    console.log('Needs review (see the .diff.png next to each output):');
+    for (const name of needsReview) {
+      console.log(`  ${name}`);
+    }
+  }
+  const steps = Object.entries(failuresByStep).sort((a, b) => b[1].length - a[1].length);
+  if (steps.length) {
+    console.log('Failures by step:');
+    for (const [step, names] of steps) {
+      console.log(`  ${step}: ${names.length}`);
+      for (const name of names) {
+        console.log(`    ${name}`);
+      }
+    }
+  }
+  return { total: records.length, counts, failuresByStep };
+}
+
+function retryFailed(config, state) {
+  const failed = Object.values(state.images).filter((record) => record.status === 'failed');
+  for (const record of failed) {
+    record.status = 'pending';
+  }
+  console.log(`Re-queued ${failed.length} failed image(s).`);
+  return failed.length;
+}
+
+function reset(config, state, pattern) {
+  const matched = matchRecords(config, state, pattern);
+  for (const record of matched) {
+    resetRecord(record);
+  }
+  console.log(`Reset ${matched.length} image(s) matching "${pattern}" to pending.`);
+  return matched.length;
+}
+
+// Accepts flagged results after a look at them; reset sends them back instead.
+function approve(config, state, pattern) {
+  const matched = matchRecords(config, state, pattern).filter(
+    (record) => record.status === 'needs-review'
+  );
+  for (const record of matched) {
+    approveRecord(record);
+  }
+  console.log(`Approved ${matched.length} image(s) matching "${pattern}".`);
+  return matched.length;
+}
+
+function skip(config, state, pattern) {
+  const matched = matchRecords(config, state, pattern).filter(
+    (record) => record.status !== 'processed'
+  );
+  for (const record of matched) {
+    markSkipped(record);
+  }
+  console.log(`Skipped ${matched.length} image(s) matching "${pattern}".`);
+  return matched.length;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildReportRows(config, state) {
+  return Object.values(state.images)
+    .map((record) => {
+      // Near-duplicates name the frame they were skipped in favour of.
+      const kept = record.duplicateOf && state.images[record.duplicateOf];
+      const flagged = record.status === 'needs-review' && record.fidelity;
+      return {
+        ...record,
+        image: imageName(config, record),
+        duplicateOf: kept ? imageName(config, kept) : record.duplicateOf,
+        reviewReasons: flagged ? record.fidelity.reasons.join('; ') : null,
+        heatmapPath: flagged ? record.fidelity.heatmapPath : null
+      };
+    })
+    .sort((a, b) => a.image.localeCompare(b.image))
+    .map((record) =>
+      Object.fromEntries(REPORT_COLUMNS.map((column) => [column, record[column]]))
+    );
+}
+
+/**
+ * Writes one row per image as CSV (default) or JSON, to --out or stdout.
+ * `--format html` instead renders a run's events (--run, default the latest)
+ * as an HTML page with timings, failures and previews.
+ */
+async function report(config, state, options = {}) {
+  if (options.format === 'html') {
+    const { reportPath, summary } = await writeRunReport(config.outputDir, {
+      runId: options.run,
+      out: options.out
+    });
+    console.log(`Wrote report for run ${summary.runId} to ${reportPath}`);
+    return reportPath;
+  }
+  const rows = buildReportRows(config, state);
+  let body;
+  if (options.format === 'json') {
+    body = `${JSON.stringify(rows, null, 2)}\n`;
+  } else {
+    const lines = [REPORT_COLUMNS.join(',')];
+    for (const row of rows) {
+      lines.push(REPORT_COLUMNS.map((column) => csvCell(row[column])).join(','));
+    }
+    body = `${lines.join('\n')}\n`;
+  }
+
+  if (options.out) {
+    await fs.writeFile(options.out, body);
+    console.log(`Wrote report for ${rows.length} image(s) to ${options.out}`);
+  } else {
+    process.stdout.write(body);
+  }
+  return rows;
+}
+
+/**
+ * Opens the persistent profile, waits for someone to log in to Gemini and
+ * exports the session to --session, so later runs can start headless from it.
+ */
+async function login(config) {
+  if (!config.session) {
+    throw new Error('login needs --session <file> to save the session to.');
+  }
+  const context = await launchBrowserContext(config, config.log);
+  try {
+    const page = context.pages()[0] || (await context.newPage());
+    await page.goto(config.geminiUrl, { waitUntil: 'domcontentloaded' });
+    console.log('Log in to Gemini in the browser window; the session is saved once the app loads.');
+    await new GeminiHandler(page, config).ensureLoggedIn({ wait: true });
+    await exportSession(context, config.session);
+  } finally {
+    await context.close();
+  }
+  console.log(`Saved session to ${config.session}`);
+  return config.session;
+}
+
+/**
+ * Opens Gemini the way a run would and reports, for every selector chain,
+ * which candidate matches right now. Chains expected on an idle page that
+ * match nothing make the result unhealthy.
+ */
+async function doctor(config) {
+  if (config.provider !== 'gemini') {
+    throw new Error(`doctor checks the Gemini UI; provider "${config.provider}" has no selectors.`);
+  }
+  const provider = new GeminiProvider(config);
+  let report;
+  try {
+    await provider.open();
+    report = await provider.handler.probeSelectors();
+  } finally {
+    await provider.close();
+  }
+
+  const { selectors } = provider;
+  console.log(`Selectors: ${selectors.source} (version ${selectors.version})`);
+  const missing = [];
+  for (const { chain, when, matched, candidates } of report) {
+    let verdict;
+    if (matched >= 0) verdict = `ok, using #${matched + 1}`;
+    else if (when === 'idle') verdict = 'MISSING';
+    else verdict = `not shown now (appears when ${when})`;
+    if (matched < 0 && when === 'idle') missing.push(chain);
+    console.log(`${chain}: ${verdict}`);
+    candidates.forEach((candidate, index) => {
+      const seen = candidate.count
+        ? `${candidate.count} found${candidate.visible ? ', visible' : ', hidden'}`
+        : 'none';
+      console.log(`  #${index + 1} ${candidate.selector} -> ${seen}`);
+    });
+  }
+  if (missing.length) {
+    console.log(`\nNo match for: ${missing.join(', ')}. Override them with --selectors <file>.`);
+  } else {
+    console.log('\nEvery chain expected on an idle page matched.');
+  }
+  return { source: selectors.source, report, missing, healthy: !missing.length };
+}
+
+// `config print`: the effective settings after merging every source.
+function printConfig(config) {
+  process.stdout.write(`${JSON.stringify(config, null, 2)}\n`);
+  return config;
+}
+
+module.exports = {
+  doctor,
+  login,
+  printConfig,
+  status,
+  retryFailed,
+  reset,
+  skip,
+  approve,
+  report
+};
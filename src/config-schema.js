@@ -0,0 +1,184 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Every setting a config file, an UPSCALER_* env var or a CLI flag may set,
+ * keyed by its flag name. `default` applies when no layer sets it.
+ */
+const OPTIONS = {
+  input: { type: 'path', default: '~/Downloads/frames_DJI_0924_0926_3s/all/' },
+  output: { type: 'path', default: './output/upscaled_images/' },
+  recursive: { type: 'boolean', default: true },
+  include: { type: 'list', default: [] },
+  exclude: { type: 'list', default: [] },
+  provider: { type: 'string', default: 'gemini' },
+  command: { type: 'string' },
+  browserData: { type: 'pathList', default: ['./browser-data'] },
+  session: { type: 'path' },
+  workers: { type: 'integer', min: 1 },
+  workerMode: { type: 'enum', values: ['tabs', 'profiles'] },
+  geminiUrl: { type: 'string', default: 'https://gemini.google.com/app' },
+  headless: { type: 'boolean', default: false },
+  prompt: {
+    type: 'string',
+    default:
+      'Can you please increase the resolution of this photo from {srcWidth}x{srcHeight} ' +
+      'to be {targetWidth}x{targetHeight}'
+  },
+  manifest: { type: 'path' },
+  mode: { type: 'string', default: 'Fast' },
+  newChatEvery: { type: 'integer', min: 0, default: 0 },
+  deleteChats: { type: 'boolean', default: false },
+  selectors: { type: 'path' },
+  minDelayMs: { type: 'integer', min: 0, default: 10000 },
+  maxDelayMs: { type: 'integer', min: 0, default: 15000 },
+  retries: { type: 'integer', min: 1, default: 3 },
+  retryBackoffMs: { type: 'integer', min: 0, default: 30000 },
+  retry: { type: 'object', default: {} },
+  quotaPauseMs: { type: 'integer', min: 0, default: 60 * 60 * 1000 },
+  loadingIndicatorTimeoutMs: { type: 'integer', min: 0, default: 20000 },
+  processingTimeoutMs: { type: 'integer', min: 1, default: 5 * 60 * 1000 },
+  downloadTimeoutMs: { type: 'integer', min: 1, default: 2 * 60 * 1000 },
+  validate: { type: 'boolean', default: true },
+  targetWidth: { type: 'integer', min: 1 },
+  targetHeight: { type: 'integer', min: 1 },
+  scale: { type: 'number', min: 0.1 },
+  sizeTolerance: { type: 'number', min: 0, default: 0.02 },
+  aspectTolerance: { type: 'number', min: 0, default: 0.01 },
+  conform: { type: 'enum', values: ['off', 'crop', 'letterbox', 'stretch'], default: 'off' },
+  conformTolerance: { type: 'number', min: 0, default: 0.1 },
+  letterboxColor: { type: 'string', default: '#000000' },
+  outputFormat: { type: 'enum', values: ['keep', 'jpeg', 'png', 'webp'], default: 'keep' },
+  quality: { type: 'integer', min: 1, max: 100, default: 92 },
+  keepRaw: { type: 'boolean', default: false },
+  preserveMetadata: { type: 'boolean', default: true },
+  candidates: { type: 'integer', min: 1, default: 1 },
+  fidelity: { type: 'boolean', default: false },
+  fidelityMinSsim: { type: 'number', min: 0, max: 1, default: 0.6 },
+  fidelityMaxOffset: { type: 'number', min: 0, default: 0.01 },
+  tiles: { type: 'grid', default: false },
+  tileOverlap: { type: 'integer', min: 0, default: 32 },
+  // Room for the default 4000x2250 target in one pass.
+  tileMaxPixels: { type: 'integer', min: 1, default: 4096 * 2304 },
+  limit: { type: 'integer', min: 1 },
+  watch: { type: 'boolean', default: false },
+  watchIntervalMs: { type: 'integer', min: 100, default: 2000 },
+  watchStableMs: { type: 'integer', min: 0, default: 3000 },
+  host: { type: 'string', default: '127.0.0.1' },
+  port: { type: 'integer', min: 0, max: 65535, default: 8750 },
+  dedupe: { type: 'boolean', default: false },
+  dedupeThreshold: { type: 'integer', min: 0, max: 64, default: 5 },
+  verbose: { type: 'boolean', default: true },
+  forceUnlock: { type: 'boolean', default: true },
+  debug: { type: 'boolean', default: true },
+  // Decodes every source and output for thumbnails, so it is opt-in;
+  // `report --format html` builds it on demand.
+  htmlReport: { type: 'boolean', default: false },
+  progress: { type: 'enum', values: ['auto', 'bar', 'lines', 'off'], default: 'auto' },
+  progressIntervalMs: { type: 'integer', min: 1000, default: 30000 }
+};
+
+const TRUE_WORDS = ['true', '1', 'yes', 'on'];
+const FALSE_WORDS = ['false', '0', 'no', 'off'];
+
+function resolveHomePath(inputPath) {
+  if (!inputPath) return inputPath;
+  if (inputPath.startsWith('~/')) {
+    return path.join(os.homedir(), inputPath.slice(2));
+  }
+  return inputPath;
+}
+
+// "minDelayMs" -> "UPSCALER_MIN_DELAY_MS"
+function envName(name) {
+  return `UPSCALER_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+function invalid(name, source, expected, value) {
+  return new Error(
+    `Invalid value for "${name}" (from ${source}): expected ${expected}, got ${JSON.stringify(value)}.`
+  );
+}
+
+function toPath(value, baseDir) {
+  const resolved = resolveHomePath(value);
+  return baseDir && !path.isAbsolute(resolved) ? path.resolve(baseDir, resolved) : resolved;
+}
+
+/**
+ * Converts one raw value (a CLI string, an env string or a JSON value) to the
+ * option's type, or throws naming the option and where the value came from.
+ * Relative paths from a config file are taken relative to that file.
+ */
+function coerceOption(name, value, { source, baseDir, fromEnv } = {}) {
+  const spec = OPTIONS[name];
+  const fail = (expected) => invalid(name, source, expected, value);
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      if (typeof value !== 'string' || value === '') throw fail('a non-empty string');
+      return value;
+    case 'path':
+      if (typeof value !== 'string' || value === '') throw fail('a path');
+      return toPath(value, baseDir);
+    case 'list':
+    case 'pathList': {
+      let items = Array.isArray(value) ? value : [value];
+      if (fromEnv) items = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+      if (items.some((item) => typeof item !== 'string' || item === '')) {
+        throw fail('a string or a list of strings');
+      }
+      return spec.type === 'pathList' ? items.map((item) => toPath(item, baseDir)) : items;
+    }
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      const isInteger = spec.type === 'integer';
+      if (typeof number !== 'number' || !Number.isFinite(number) ||
+          (isInteger && !Number.isInteger(number))) {
+        throw fail(isInteger ? 'an integer' : 'a number');
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        throw fail(`${isInteger ? 'an integer' : 'a number'} >= ${spec.min}`);
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        throw fail(`${isInteger ? 'an integer' : 'a number'} <= ${spec.max}`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const word = String(value).toLowerCase();
+      if (TRUE_WORDS.includes(word)) return true;
+      if (FALSE_WORDS.includes(word)) return false;
+      throw fail('true or false');
+    }
+    case 'grid': {
+      // "auto" (or a bare --tiles) sizes the grid per image; "3x2" fixes it.
+      const word = String(value).toLowerCase();
+      if (value === false || FALSE_WORDS.includes(word)) return false;
+      if (value === true || word === 'auto' || TRUE_WORDS.includes(word)) return 'auto';
+      const match = /^(\d+)x(\d+)$/.exec(word);
+      if (!match || !Number(match[1]) || !Number(match[2])) {
+        throw fail('"auto", "off" or a grid such as "2x2"');
+      }
+      return { cols: Number(match[1]), rows: Number(match[2]) };
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) throw fail(`one of ${spec.values.join(', ')}`);
+      return value;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) throw fail('an object');
+      return value;
+    default:
+      throw new Error(`Unknown option type "${spec.type}" for "${name}".`);
+  }
+}
+
+module.exports = {
+  OPTIONS,
+  coerceOption,
+  envName,
+  resolveHomePath
+};
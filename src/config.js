@@ -1,43 +1,287 @@
-const os = require('os');
+const fs = require('fs/promises');
 const path = require('path');
 
-function resolveHomePath(inputPath) {
-  if (!inputPath) return inputPath;
-  if (inputPath.startsWith('~/')) {
-    return path.join(os.homedir(), inputPath.slice(2));
+const { OPTIONS, coerceOption, envName, resolveHomePath } = require('./config-schema');
+const { CATEGORIES, defaultRetryPolicies } = require('./errors');
+const { checkTemplate, parseTargetFromPrompt } = require('./prompt');
+
+const POLICY_FIELDS = ['attempts', 'backoffMs', 'factor', 'maxBackoffMs', 'jitter'];
+const DEFAULT_CONFIG_FILE = 'upscaler.config.json';
+
+// Flags that steer a command rather than configure the run.
+const COMMAND_FLAGS = ['_', '--', 'help', 'config', 'profile', 'format', 'out', 'run'];
+
+/**
+ * Per-class overrides come from dotted flags, which minimist nests:
+ * `--retry.download-failed.attempts 5 --retry.default.jitter 0`, or from a
+ * "retry" object in the config file.
+ */
+function buildRetryPolicies(overrides, base) {
+  const policies = defaultRetryPolicies(base);
+  for (const [category, fields] of Object.entries(overrides || {})) {
+    if (category !== 'default' && !CATEGORIES.includes(category)) {
+      throw new Error(
+        `Unknown retry class "${category}". Expected one of: default, ${CATEGORIES.join(', ')}`
+      );
+    }
+    const policy = { ...(policies[category] || {}) };
+    for (const [field, value] of Object.entries(fields || {})) {
+      if (!POLICY_FIELDS.includes(field)) {
+        throw new Error(`Unknown retry setting "${field}" for "${category}".`);
+      }
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number) || number < 0) {
+        throw new Error(
+          `Invalid retry setting "${category}.${field}": expected a number >= 0, got ${JSON.stringify(value)}.`
+        );
+      }
+      policy[field] = number;
+    }
+    policies[category] = policy;
   }
-  return inputPath;
+  return policies;
 }
 
-function buildConfig(args) {
-  const inputDir = resolveHomePath(
-    args.input || '~/Downloads/frames_DJI_0924_0926_3s/all/'
-  );
-  const outputDir = resolveHomePath(
-    args.output || './output/upscaled_images/'
+function checkKnown(values, source) {
+  for (const name of Object.keys(values)) {
+    if (!OPTIONS[name]) {
+      throw new Error(`Unknown option "${name}" in ${source}.`);
+    }
+  }
+}
+
+/**
+ * Layers from a parsed config file: its top-level settings, then the named
+ * profile on top. Profiles live under "profiles".
+ */
+function fileLayers(file, configPath, profile) {
+  if (!file) {
+    if (profile) throw new Error(`Profile "${profile}" requested but no config file was found.`);
+    return [];
+  }
+  const source = configPath || 'config file';
+  const baseDir = configPath ? path.dirname(path.resolve(configPath)) : undefined;
+  const { profiles = {}, ...values } = file;
+  checkKnown(values, source);
+  const layers = [{ describe: () => source, baseDir, values }];
+
+  if (profile) {
+    if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+      const known = Object.keys(profiles);
+      throw new Error(
+        `Unknown profile "${profile}" in ${source}. ` +
+          (known.length ? `Available: ${known.join(', ')}.` : 'It defines no profiles.')
+      );
+    }
+    const profileSource = `profile "${profile}" in ${source}`;
+    checkKnown(profiles[profile], profileSource);
+    layers.push({ describe: () => profileSource, baseDir, values: profiles[profile] });
+  }
+  return layers;
+}
+
+function envLayer(env) {
+  const values = {};
+  for (const [name, spec] of Object.entries(OPTIONS)) {
+    if (spec.type === 'object') continue;
+    const value = env[envName(name)];
+    if (value !== undefined && value !== '') values[name] = value;
+  }
+  return { describe: envName, values, fromEnv: true };
+}
+
+/**
+ * Merges the layers (later wins) into one value per option, validating
+ * each value against the schema as it is read. Retry overrides merge per
+ * class instead of replacing each other.
+ */
+function resolveOptions(layers) {
+  const defaults = Object.fromEntries(
+    Object.entries(OPTIONS)
+      .filter(([, spec]) => spec.default !== undefined)
+      .map(([name, spec]) => [name, spec.default])
   );
+  const options = {};
+  for (const layer of [{ describe: () => 'defaults', values: defaults }, ...layers]) {
+    for (const [name, value] of Object.entries(layer.values)) {
+      const coerced = coerceOption(name, value, {
+        source: layer.describe(name),
+        baseDir: layer.baseDir,
+        fromEnv: layer.fromEnv
+      });
+      if (name === 'retry') {
+        const merged = { ...(options.retry || {}) };
+        for (const [category, fields] of Object.entries(coerced)) {
+          merged[category] = { ...(merged[category] || {}), ...fields };
+        }
+        options.retry = merged;
+      } else {
+        options[name] = coerced;
+      }
+    }
+  }
+  return options;
+}
+
+/**
+ * Profile directories, one per worker. In tabs mode every worker opens a tab
+ * in the first profile; in profiles mode each worker gets its own, taken from
+ * the listed browserData dirs or derived as "<browserData>-2", "-3", ...
+ */
+function buildBrowserDataDirs(given, workers, workerMode) {
+  const first = given[0];
+  if (workerMode !== 'profiles') return [first];
+  const stem = first.replace(/[\\/]+$/, '');
+  return Array.from({ length: workers }, (_, index) => {
+    if (given[index]) return given[index];
+    return index === 0 ? first : `${stem}-${index + 1}`;
+  });
+}
+
+/**
+ * Resolves the effective config from, lowest first: built-in defaults, the
+ * config file, its selected profile, UPSCALER_* env vars and CLI flags.
+ */
+function buildConfig(args = {}, { env = {}, file = null, configPath = null, profile = null } = {}) {
+  const cliValues = {};
+  for (const [name, value] of Object.entries(args)) {
+    if (COMMAND_FLAGS.includes(name)) continue;
+    const spec = OPTIONS[name];
+    // A repeated flag arrives as an array; for single-valued options the
+    // last one wins, as in most CLIs.
+    const repeatable = !spec || spec.type === 'list' || spec.type === 'pathList';
+    cliValues[name] = Array.isArray(value) && !repeatable ? value[value.length - 1] : value;
+  }
+  checkKnown(cliValues, 'command line flags');
+  const options = resolveOptions([
+    ...fileLayers(file, configPath, profile),
+    envLayer(env),
+    { describe: (name) => `--${name}`, values: cliValues }
+  ]);
+
+  checkTemplate(options.prompt, 'the prompt');
+  // A literal size in a plain prompt ("... to be 4000x2250") is the target.
+  const promptTarget = parseTargetFromPrompt(options.prompt);
+  const profileCount = options.browserData.length;
+  const workerMode = options.workerMode || (profileCount > 1 ? 'profiles' : 'tabs');
+  const workers = options.workers || (workerMode === 'profiles' ? profileCount : 1);
+  const browserDataDirs = buildBrowserDataDirs(options.browserData, workers, workerMode);
+
+  if (options.session && workerMode === 'profiles') {
+    throw new Error(
+      '--session shares one login between tabs; it cannot be combined with --workerMode profiles.'
+    );
+  }
+  if (options.minDelayMs > options.maxDelayMs) {
+    throw new Error(
+      `minDelayMs (${options.minDelayMs}) must not be greater than maxDelayMs (${options.maxDelayMs}).`
+    );
+  }
 
   return {
-    inputDir,
-    outputDir,
-    browserDataDir: resolveHomePath(args.browserData || './browser-data'),
-    prompt:
-      args.prompt ||
-      'Can you please increase the resolution of this photo from 1920x1080 to be 4000x2250',
-    mode: args.mode || 'Fast',
-    minDelayMs: Number(args.minDelayMs || 10000),
-    maxDelayMs: Number(args.maxDelayMs || 15000),
-    retries: Number(args.retries || 3),
-    processingTimeoutMs: Number(args.processingTimeoutMs || 5 * 60 * 1000),
-    downloadTimeoutMs: Number(args.downloadTimeoutMs || 2 * 60 * 1000),
-    limit: args.limit ? Number(args.limit) : undefined,
-    verbose: args.verbose !== undefined ? Boolean(args.verbose) : true,
-    forceUnlock: args.forceUnlock !== undefined ? Boolean(args.forceUnlock) : true,
-    debug: args.debug !== undefined ? Boolean(args.debug) : true
+    configPath,
+    profile,
+    inputDir: options.input,
+    outputDir: options.output,
+    recursive: options.recursive,
+    include: options.include,
+    exclude: options.exclude,
+    provider: options.provider,
+    command: options.command,
+    browserDataDir: browserDataDirs[0],
+    browserDataDirs,
+    session: options.session,
+    workers,
+    workerMode,
+    geminiUrl: options.geminiUrl,
+    headless: options.headless,
+    prompt: options.prompt,
+    manifest: options.manifest,
+    mode: options.mode,
+    newChatEvery: options.newChatEvery,
+    deleteChats: options.deleteChats,
+    selectors: options.selectors,
+    minDelayMs: options.minDelayMs,
+    maxDelayMs: options.maxDelayMs,
+    retries: options.retries,
+    retryBackoffMs: options.retryBackoffMs,
+    retryPolicies: buildRetryPolicies(options.retry, {
+      retries: options.retries,
+      retryBackoffMs: options.retryBackoffMs
+    }),
+    quotaPauseMs: options.quotaPauseMs,
+    loadingIndicatorTimeoutMs: options.loadingIndicatorTimeoutMs,
+    processingTimeoutMs: options.processingTimeoutMs,
+    downloadTimeoutMs: options.downloadTimeoutMs,
+    validate: options.validate,
+    targetWidth: options.targetWidth || promptTarget.width,
+    targetHeight: options.targetHeight || promptTarget.height,
+    scale: options.scale,
+    sizeTolerance: options.sizeTolerance,
+    aspectTolerance: options.aspectTolerance,
+    conform: options.conform,
+    conformTolerance: options.conformTolerance,
+    letterboxColor: options.letterboxColor,
+    outputFormat: options.outputFormat,
+    quality: options.quality,
+    keepRaw: options.keepRaw,
+    preserveMetadata: options.preserveMetadata,
+    candidates: options.candidates,
+    fidelity: options.fidelity,
+    fidelityMinSsim: options.fidelityMinSsim,
+    fidelityMaxOffset: options.fidelityMaxOffset,
+    tiles: options.tiles,
+    tileOverlap: options.tileOverlap,
+    tileMaxPixels: options.tileMaxPixels,
+    limit: options.limit,
+    watch: options.watch,
+    watchIntervalMs: options.watchIntervalMs,
+    watchStableMs: options.watchStableMs,
+    host: options.host,
+    port: options.port,
+    dedupe: options.dedupe,
+    dedupeThreshold: options.dedupeThreshold,
+    verbose: options.verbose,
+    forceUnlock: options.forceUnlock,
+    debug: options.debug,
+    htmlReport: options.htmlReport,
+    progress: options.progress,
+    progressIntervalMs: options.progressIntervalMs
   };
 }
 
+/**
+ * Reads the config file (--config, UPSCALER_CONFIG, or ./upscaler.config.json
+ * when present) and resolves the config for this run.
+ */
+async function loadConfig(args = {}, env = process.env) {
+  const explicitPath = args.config || env.UPSCALER_CONFIG;
+  const configPath = explicitPath ? resolveHomePath(String(explicitPath)) : DEFAULT_CONFIG_FILE;
+  const profile = args.profile || env.UPSCALER_PROFILE;
+  let file = null;
+  try {
+    file = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      throw new Error(`Config file ${configPath} is not valid JSON: ${err.message}`);
+    }
+    // The default file is optional; an explicitly named one is not.
+    if (err.code !== 'ENOENT' || explicitPath) throw err;
+  }
+  if (file !== null && (typeof file !== 'object' || Array.isArray(file))) {
+    throw new Error(`Config file ${configPath} must contain a JSON object.`);
+  }
+  return buildConfig(args, {
+    env,
+    file,
+    configPath: file ? configPath : null,
+    profile: profile ? String(profile) : null
+  });
+}
+
 module.exports = {
   buildConfig,
+  loadConfig,
+  parseTargetFromPrompt,
   resolveHomePath
 };
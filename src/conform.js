@@ -0,0 +1,138 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const { ValidationError } = require('./errors');
+const { buildOutputPath, claimFreePath } = require('./file-manager');
+const { readImageInfo } = require('./image-info');
+
+// First one is used unless the input already has one of the others.
+const FORMAT_EXTENSIONS = {
+  jpeg: ['.jpg', '.jpeg'],
+  png: ['.png'],
+  webp: ['.webp']
+};
+
+// --conform mode -> how sharp reaches the exact target size.
+const FITS = {
+  crop: 'cover',
+  letterbox: 'contain',
+  stretch: 'fill'
+};
+
+// The format an extension names; null for anything else.
+function formatForExtension(ext) {
+  const lower = ext.toLowerCase();
+  const formats = Object.keys(FORMAT_EXTENSIONS);
+  return formats.find((format) => FORMAT_EXTENSIONS[format].includes(lower)) || null;
+}
+
+function extensionFor(format, preferred = '') {
+  const extensions = FORMAT_EXTENSIONS[format];
+  if (!extensions) return preferred;
+  return extensions.includes(preferred.toLowerCase()) ? preferred : extensions[0];
+}
+
+// The extension to claim the output under before anything is downloaded:
+// known up front only when --outputFormat picks the format.
+function outputExtension(config, imagePath) {
+  const ext = path.extname(imagePath);
+  return config.outputFormat === 'keep' ? ext : extensionFor(config.outputFormat, ext);
+}
+
+function withinTolerance(actual, expected, tolerance) {
+  return Math.abs(actual - expected) <= expected * tolerance;
+}
+
+/**
+ * Post-download stage: makes the file at `outputPath` what downstream tools
+ * expect. With --conform it center-crops (crop) or pads (letterbox) to the
+ * target aspect, or stretches, and resamples to the exact target size;
+ * downloads more than --conformTolerance off the target are rejected rather
+ * than papered over. --outputFormat re-encodes (at --quality), and the
+ * extension always ends up matching the real format, which may mean a new
+ * name. With --keepRaw the untouched download is kept beside the result as
+ * "<name>.raw.<ext>". Every new name is passed to `claim` before anything is
+ * written to it, so a crash can be cleaned up. Resolves with the final
+ * `outputPath` and the `rawPath` kept, if any.
+ */
+async function conformOutput(config, { imagePath, outputPath, job, claim = async () => {} }) {
+  const reshape = config.conform !== 'off' && Boolean(job.targetWidth && job.targetHeight);
+  let info;
+  try {
+    info = await readImageInfo(outputPath);
+  } catch (err) {
+    // Nothing to convert: leave the verdict to validation.
+    if (!reshape && config.outputFormat === 'keep') return { outputPath, rawPath: null };
+    throw new ValidationError(`Output is not a readable image: ${err.message || err}`);
+  }
+
+  const format = config.outputFormat === 'keep' ? info.format : config.outputFormat;
+  const ext = extensionFor(format, path.extname(outputPath));
+  // Claimed only once the download is known to be usable.
+  const claimFinalPath = async () => {
+    if (ext === path.extname(outputPath)) return outputPath;
+    const finalPath = await buildOutputPath(config.outputDir, imagePath, config.inputDir, ext);
+    await claim(finalPath);
+    return finalPath;
+  };
+
+  if (!reshape && format === info.format) {
+    const finalPath = await claimFinalPath();
+    if (finalPath !== outputPath) await fs.rename(outputPath, finalPath);
+    return { outputPath: finalPath, rawPath: null };
+  }
+
+  const summary = `${info.width}x${info.height} ${info.format}`;
+  if (!info.complete) {
+    throw new ValidationError(`Output ${summary} is truncated.`);
+  }
+  if (
+    reshape &&
+    (!withinTolerance(info.width, job.targetWidth, config.conformTolerance) ||
+      !withinTolerance(info.height, job.targetHeight, config.conformTolerance))
+  ) {
+    throw new ValidationError(
+      `Output is ${summary}; too far from ${job.targetWidth}x${job.targetHeight} to conform.`
+    );
+  }
+
+  let image = sharp(outputPath);
+  if (reshape) {
+    image = image.resize(job.targetWidth, job.targetHeight, {
+      fit: FITS[config.conform],
+      position: 'centre',
+      background: config.letterboxColor
+    });
+  }
+  image = format === 'png' ? image.png() : image.toFormat(format, { quality: config.quality });
+  const finalPath = await claimFinalPath();
+  const tempPath = `${finalPath}.conform.tmp`;
+  try {
+    await image.toFile(tempPath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    if (finalPath !== outputPath) await fs.rm(finalPath, { force: true });
+    throw new ValidationError(`Could not convert ${summary} output: ${err.message || err}`);
+  }
+
+  let rawPath = null;
+  if (config.keepRaw) {
+    const { dir, name } = path.parse(finalPath);
+    const rawExt = extensionFor(info.format, path.extname(outputPath));
+    rawPath = await claimFreePath(dir, `${name}.raw`, rawExt);
+    await claim(rawPath);
+    await fs.rename(outputPath, rawPath);
+  } else if (finalPath !== outputPath) {
+    await fs.rm(outputPath, { force: true });
+  }
+  await fs.rename(tempPath, finalPath);
+  return { outputPath: finalPath, rawPath };
+}
+
+module.exports = {
+  conformOutput,
+  extensionFor,
+  formatForExtension,
+  outputExtension
+};
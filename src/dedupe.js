@@ -0,0 +1,102 @@
+const path = require('path');
+const sharp = require('sharp');
+
+const { markDuplicate } = require('./state');
+
+/**
+ * 64-bit difference hash (dHash) as 16 hex digits: the image shrunk to 9x8
+ * grey pixels, one bit per pair of horizontal neighbours saying whether the
+ * left one is brighter. Small changes in exposure, compression or noise
+ * leave most bits alone, so neighbouring video frames of a still scene end
+ * up a few bits apart.
+ */
+async function perceptualHash(imagePath) {
+  const pixels = await sharp(imagePath)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row += 1) {
+    for (let column = 0; column < 8; column += 1) {
+      const left = pixels[row * 9 + column];
+      const right = pixels[row * 9 + column + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of bits that differ between two hashes (0 = same, 64 = opposite).
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Near-duplicate check for frames extracted from video. Call it with each
+ * `{imagePath, record}` in listing order; it resolves true (and marks the
+ * record skipped, with `duplicateOf` set to the kept record's hash) when a
+ * pending frame is within `dedupeThreshold` bits of the last kept frame in
+ * the same folder. Processed and failed frames count as kept; skipped ones
+ * never do, so a slow pan is compared against the frame that is upscaled,
+ * not against the frame just before it. Hashes are cached on the records.
+ */
+function createDeduper(config) {
+  let anchor = null;
+
+  return async function isDuplicate({ imagePath, record }) {
+    const dir = path.dirname(imagePath);
+    if (anchor && anchor.dir !== dir) anchor = null;
+    if (record.status === 'skipped' || (anchor && anchor.record === record)) return false;
+
+    if (!record.perceptualHash) {
+      try {
+        record.perceptualHash = await perceptualHash(imagePath);
+      } catch (err) {
+        // Undecodable here; keep it and let the provider have a go.
+        config.log(`Could not hash ${imagePath} for duplicate detection: ${err.message || err}`);
+        anchor = null;
+        return false;
+      }
+    }
+
+    if (record.status === 'pending' && anchor) {
+      const distance = hammingDistance(anchor.record.perceptualHash, record.perceptualHash);
+      if (distance <= config.dedupeThreshold) {
+        markDuplicate(record, anchor.record, distance);
+        config.log(
+          `Skipping ${imagePath}: near-duplicate of ${anchor.imagePath} (distance ${distance})`
+        );
+        return true;
+      }
+    }
+    anchor = { dir, imagePath, record };
+    return false;
+  };
+}
+
+/**
+ * The --dedupe pre-pass over a batch: marks near-duplicate frames skipped
+ * and resolves with the entries that were.
+ */
+async function skipNearDuplicates(config, entries, deduper = createDeduper(config)) {
+  const skipped = [];
+  for (const entry of entries) {
+    if (await deduper(entry)) skipped.push(entry);
+  }
+  return skipped;
+}
+
+module.exports = {
+  createDeduper,
+  hammingDistance,
+  perceptualHash,
+  skipNearDuplicates
+};
@@ -0,0 +1,196 @@
+const SESSION_EXPIRED_EXIT_CODE = 3;
+
+/**
+ * Typed failures raised by providers and the post-download checks. Each class
+ * carries a `category` that selects its retry policy (see retryPolicyFor).
+ */
+class UpscaleError extends Error {
+  constructor(message, category, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.category = category;
+    if (options.cause) this.cause = options.cause;
+  }
+}
+
+class UiNotFoundError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'ui-not-found', options);
+  }
+}
+
+class UploadError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'upload-failed', options);
+  }
+}
+
+class GenerationTimeoutError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'generation-timeout', options);
+  }
+}
+
+class GenerationError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'generation-failed', options);
+  }
+}
+
+// `resetAt` is when the limit lifts, if the service said so.
+class QuotaError extends UpscaleError {
+  constructor(message, options = {}) {
+    super(message, 'quota', options);
+    this.resetAt = options.resetAt;
+    this.responseText = options.responseText;
+  }
+}
+
+class RefusalError extends UpscaleError {
+  constructor(message, options = {}) {
+    super(message, 'refusal', options);
+    this.responseText = options.responseText;
+  }
+}
+
+class DownloadError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'download-failed', options);
+  }
+}
+
+class ValidationError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'validation-failed', options);
+  }
+}
+
+// The source image itself cannot be used, e.g. its size is unreadable.
+class SourceError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'source-unreadable', options);
+  }
+}
+
+// The browser is signed out of Gemini (or has no session to start from).
+// Nothing can succeed until someone logs in again, so it ends the run with
+// its own exit code instead of failing image after image.
+class SessionExpiredError extends UpscaleError {
+  constructor(message, options) {
+    super(message, 'session-expired', options);
+    this.exitCode = SESSION_EXPIRED_EXIT_CODE;
+  }
+}
+
+// Raised when a shutdown signal interrupts a step; never retried.
+class InterruptedError extends UpscaleError {
+  constructor(message = 'Interrupted by shutdown signal.', options) {
+    super(message, 'interrupted', options);
+  }
+}
+
+const CATEGORIES = [
+  'ui-not-found',
+  'upload-failed',
+  'generation-timeout',
+  'generation-failed',
+  'quota',
+  'refusal',
+  'download-failed',
+  'validation-failed',
+  'source-unreadable',
+  'session-expired',
+  'unknown'
+];
+
+// Fallback for untyped errors (e.g. Playwright timeouts or sharp decode
+// errors): the step that was running tells us what kind of failure it was.
+// Every step a provider or the pipeline sets has an entry.
+const STEP_CATEGORIES = {
+  // Resolving the job, claiming the output name and saving state: a stray fs
+  // error here is worth a retry. An unreadable source throws SourceError.
+  init: 'unknown',
+  'tile-split': 'unknown',
+  'check-session': 'ui-not-found',
+  'ensure-ready': 'ui-not-found',
+  'new-chat': 'ui-not-found',
+  'select-mode': 'ui-not-found',
+  prompt: 'ui-not-found',
+  send: 'ui-not-found',
+  'delete-chat': 'ui-not-found',
+  upload: 'upload-failed',
+  processing: 'generation-timeout',
+  download: 'download-failed',
+  // Everything after the download works on the downloaded file.
+  score: 'validation-failed',
+  stitch: 'validation-failed',
+  conform: 'validation-failed',
+  validate: 'validation-failed',
+  metadata: 'validation-failed',
+  fidelity: 'validation-failed'
+};
+
+function classifyError(err, step) {
+  if (err instanceof UpscaleError) return err.category;
+  return STEP_CATEGORIES[step] || 'unknown';
+}
+
+/**
+ * Default policies. Classes without an entry use `default`, which is built
+ * from --retries and --retryBackoffMs. A refusal or an unreadable source will
+ * not change on retry, so they fail on the first attempt. A usage limit
+ * pauses the batch instead of spending an attempt, up to `quota.attempts`
+ * times in a row.
+ */
+function defaultRetryPolicies({ retries, retryBackoffMs }) {
+  const base = {
+    attempts: retries,
+    backoffMs: retryBackoffMs,
+    factor: 2,
+    maxBackoffMs: 10 * 60 * 1000,
+    jitter: 0.2
+  };
+  return {
+    default: base,
+    refusal: { ...base, attempts: 1 },
+    'source-unreadable': { ...base, attempts: 1 },
+    // For usage limits, the pauses in a row before the image fails.
+    quota: { ...base, attempts: 5 },
+    'generation-timeout': { ...base, backoffMs: retryBackoffMs * 2 }
+  };
+}
+
+function retryPolicyFor(policies, category) {
+  return { ...policies.default, ...(policies[category] || {}) };
+}
+
+function backoffDelay(policy, attempt, random = Math.random) {
+  const raw = Math.min(
+    policy.maxBackoffMs,
+    policy.backoffMs * Math.pow(policy.factor, attempt - 1)
+  );
+  const spread = raw * policy.jitter;
+  return Math.max(0, Math.round(raw - spread + random() * spread * 2));
+}
+
+module.exports = {
+  UpscaleError,
+  UiNotFoundError,
+  UploadError,
+  GenerationTimeoutError,
+  GenerationError,
+  QuotaError,
+  RefusalError,
+  DownloadError,
+  ValidationError,
+  SourceError,
+  SessionExpiredError,
+  InterruptedError,
+  SESSION_EXPIRED_EXIT_CODE,
+  CATEGORIES,
+  STEP_CATEGORIES,
+  classifyError,
+  defaultRetryPolicies,
+  retryPolicyFor,
+  backoffDelay
+};
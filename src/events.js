@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const EVENTS_FILE = 'events.jsonl';
+
+function getEventsPath(outputDir) {
+  return path.join(outputDir, EVENTS_FILE);
+}
+
+// Sortable and unique enough to tell runs apart: 2026-10-19T08-30-00-000Z-1a2b
+function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Machine-readable run history, appended to events.jsonl next to
+ * processing.log: one JSON object per line with `ts`, `runId` and `type`
+ * plus the event's fields (image, step, attempt, durationMs, errorClass,
+ * artifacts, ...). Appends are queued so parallel workers never interleave.
+ */
+function createEventLog(outputDir, runId = createRunId()) {
+  const eventsPath = getEventsPath(outputDir);
+  const listeners = [];
+  let pending = Promise.resolve();
+  return {
+    runId,
+    path: eventsPath,
+    // Listeners (e.g. the progress display) see each event as it is emitted.
+    subscribe(listener) {
+      listeners.push(listener);
+    },
+    emit(type, fields = {}) {
+      const event = { ts: new Date().toISOString(), runId, type, ...fields };
+      for (const listener of listeners) listener(event);
+      const line = JSON.stringify(event);
+      pending = pending.catch(() => {}).then(() => fs.appendFile(eventsPath, `${line}\n`));
+      return pending;
+    }
+  };
+}
+
+/**
+ * Reads the events of one run; the most recent run when no id is given.
+ * Lines that do not parse (e.g. cut short by a crash) are skipped.
+ */
+async function readRunEvents(outputDir, runId) {
+  let text;
+  try {
+    text = await fs.readFile(getEventsPath(outputDir), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { runId: null, events: [] };
+    throw err;
+  }
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      // Partial line.
+    }
+  }
+  const selected = runId || (events.length ? events[events.length - 1].runId : null);
+  return { runId: selected, events: events.filter((event) => event.runId === selected) };
+}
+
+module.exports = {
+  EVENTS_FILE,
+  createEventLog,
+  createRunId,
+  getEventsPath,
+  readRunEvents
+};
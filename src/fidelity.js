@@ -0,0 +1,202 @@
+const path = require('path');
+const sharp = require('sharp');
+
+const { fitWithin, loadPixels, ssim } = require('./scoring');
+
+// The output is brought down to the source's resolution, capped here.
+const REVIEW_SIZE = 1024;
+// Per-region SSIM looks at regions a quarter of each side, overlapping by
+// half so an object on a boundary still fills most of one.
+const REGION_GRID = 4;
+// Offsets are searched on a smaller copy, up to this share of its long side
+// each way.
+const OFFSET_SIZE = 256;
+const OFFSET_SEARCH = 0.05;
+// Watermarks sit in a corner: this share of each side is checked.
+const CORNER_SHARE = 0.15;
+// A pixel this many grey levels off the source counts as overlaid.
+const OVERLAY_LEVEL = 48;
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+function crop(pixels, width, { left, top, width: cropWidth, height: cropHeight }) {
+  const out = Buffer.alloc(cropWidth * cropHeight);
+  for (let y = 0; y < cropHeight; y += 1) {
+    const start = (top + y) * width + left;
+    pixels.copy(out, y * cropWidth, start, start + cropWidth);
+  }
+  return out;
+}
+
+function regionSsim(source, output, { width, height }) {
+  const regionWidth = Math.max(1, Math.round(width / REGION_GRID));
+  const regionHeight = Math.max(1, Math.round(height / REGION_GRID));
+  const regions = [];
+  for (let step = 0; step < REGION_GRID * 2 - 1; step += 1) {
+    for (let across = 0; across < REGION_GRID * 2 - 1; across += 1) {
+      const box = {
+        left: Math.min(width - regionWidth, Math.round((across * regionWidth) / 2)),
+        top: Math.min(height - regionHeight, Math.round((step * regionHeight) / 2)),
+        width: regionWidth,
+        height: regionHeight
+      };
+      const similarity = ssim(crop(source, width, box), crop(output, width, box), box.width, box.height);
+      regions.push({ ...box, ssim: similarity });
+    }
+  }
+  return regions;
+}
+
+// Gradient magnitude, so the offset search lines up edges rather than
+// brightness (which a colour shift would throw off).
+function edges(grey, width, height) {
+  const out = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      out[i] = Math.abs(grey[i + 1] - grey[i - 1]) + Math.abs(grey[i + width] - grey[i - width]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Where the output's edges line up best with the source's: the shift (in
+ * pixels of `size`) with the least edge difference over the area both
+ * cover. { x: 0, y: 0 } for an output that is not moved.
+ */
+function estimateOffset(source, output, { width, height }) {
+  const a = edges(source, width, height);
+  const b = edges(output, width, height);
+  const reach = Math.max(2, Math.round(Math.max(width, height) * OFFSET_SEARCH));
+  const margin = reach + 1;
+  let best = { x: 0, y: 0, cost: Infinity };
+  for (let dy = -reach; dy <= reach; dy += 1) {
+    for (let dx = -reach; dx <= reach; dx += 1) {
+      let cost = 0;
+      for (let y = margin; y < height - margin; y += 1) {
+        for (let x = margin; x < width - margin; x += 1) {
+          cost += Math.abs(a[y * width + x] - b[(y + dy) * width + x + dx]);
+        }
+      }
+      // Prefer no shift when it is as good as any other.
+      const shift = Math.abs(dx) + Math.abs(dy);
+      if (cost < best.cost || (cost === best.cost && shift < Math.abs(best.x) + Math.abs(best.y))) {
+        best = { x: dx, y: dy, cost };
+      }
+    }
+  }
+  return { x: best.x, y: best.y };
+}
+
+// Corners where noticeably more pixels differ sharply from the source than
+// across the whole image: text or a logo laid over the picture.
+function findOverlaidCorners(source, output, { width, height }) {
+  const overlaid = (left, top, right, bottom) => {
+    let count = 0;
+    for (let y = top; y < bottom; y += 1) {
+      for (let x = left; x < right; x += 1) {
+        if (Math.abs(source[y * width + x] - output[y * width + x]) > OVERLAY_LEVEL) count += 1;
+      }
+    }
+    return count / Math.max(1, (right - left) * (bottom - top));
+  };
+  const overall = overlaid(0, 0, width, height);
+  const cornerWidth = Math.max(1, Math.round(width * CORNER_SHARE));
+  const cornerHeight = Math.max(1, Math.round(height * CORNER_SHARE));
+  return CORNERS.filter((corner) => {
+    const left = corner.endsWith('left') ? 0 : width - cornerWidth;
+    const top = corner.startsWith('top') ? 0 : height - cornerHeight;
+    const share = overlaid(left, top, left + cornerWidth, top + cornerHeight);
+    return share > 0.02 && share > overall * 4;
+  });
+}
+
+// The source in grey at half brightness, with differences in red on top.
+async function writeHeatmap(source, output, { width, height }, heatmapPath) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i += 1) {
+    const base = source[i] >> 1;
+    pixels[i * 3] = Math.min(255, base + Math.abs(source[i] - output[i]) * 3);
+    pixels[i * 3 + 1] = base;
+    pixels[i * 3 + 2] = base;
+  }
+  await sharp(pixels, { raw: { width, height, channels: 3 } }).png().toFile(heatmapPath);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Compares an output with its source to catch what generative upscaling
+ * gets wrong: per-region structural similarity (a moved or invented object
+ * drags its region down), the offset that best aligns their edges (a
+ * shifted or cropped frame) and corners that differ like an overlay does (a
+ * watermark). The output is downscaled to the source's resolution first.
+ * Resolves with the measures and `reasons`; when there are any, `passed` is
+ * false and a diff heatmap is written next to the output as
+ * "<name>.diff.png".
+ */
+async function checkFidelity(config, sourcePath, outputPath) {
+  const meta = await sharp(sourcePath).metadata();
+  const size = fitWithin(meta.width, meta.height, REVIEW_SIZE);
+  const [source, output] = await Promise.all([
+    loadPixels(sourcePath, size, 1),
+    loadPixels(outputPath, size, 1)
+  ]);
+  const small = fitWithin(meta.width, meta.height, OFFSET_SIZE);
+  const [smallSource, smallOutput] = await Promise.all([
+    loadPixels(sourcePath, small, 1),
+    loadPixels(outputPath, small, 1)
+  ]);
+
+  const regions = regionSsim(source, output, size);
+  const worst = regions.reduce((low, region) => (region.ssim < low.ssim ? region : low));
+  const shift = estimateOffset(smallSource, smallOutput, small);
+  // Positions are in source pixels, which is what a reviewer compares against.
+  const scaleX = meta.width / size.width;
+  const scaleY = meta.height / size.height;
+  const offset = {
+    x: Math.round((shift.x * meta.width) / small.width),
+    y: Math.round((shift.y * meta.height) / small.height)
+  };
+  const watermarks = findOverlaidCorners(source, output, size);
+
+  const reasons = [];
+  if (worst.ssim < config.fidelityMinSsim) {
+    reasons.push(
+      `the ${Math.round(worst.width * scaleX)}x${Math.round(worst.height * scaleY)} region at ` +
+        `${Math.round(worst.left * scaleX)},${Math.round(worst.top * scaleY)} has SSIM ` +
+        `${round(worst.ssim)} (minimum ${config.fidelityMinSsim})`
+    );
+  }
+  const offsetShare = Math.hypot(offset.x / meta.width, offset.y / meta.height);
+  if (offsetShare > config.fidelityMaxOffset) {
+    reasons.push(`content is shifted by ${offset.x},${offset.y} source pixels`);
+  }
+  for (const corner of watermarks) {
+    reasons.push(`possible watermark in the ${corner} corner`);
+  }
+
+  let heatmapPath = null;
+  if (reasons.length) {
+    const { dir, name } = path.parse(outputPath);
+    heatmapPath = path.join(dir, `${name}.diff.png`);
+    await writeHeatmap(source, output, size, heatmapPath);
+  }
+  return {
+    passed: !reasons.length,
+    reasons,
+    minSsim: round(worst.ssim),
+    meanSsim: round(regions.reduce((sum, region) => sum + region.ssim, 0) / regions.length),
+    offset,
+    watermarks,
+    heatmapPath
+  };
+}
+
+module.exports = {
+  checkFidelity,
+  estimateOffset,
+  findOverlaidCorners
+};
@@ -1,66 +1,109 @@
 const fs = require('fs/promises');
 const path = require('path');
 
-const SUPPORTED_EXTS = new Set(['.jpg', '.jpeg']);
+const { matchesAny } = require('./glob');
+
+const SUPPORTED_EXTS = new Set([
+  '.jpg',
+  '.jpeg',
+  '.png',
+  '.webp',
+  '.heic',
+  '.heif',
+  '.avif'
+]);
 
 async function ensureDir(dirPath) {
   await fs.mkdir(dirPath, { recursive: true });
 }
 
-async function listImages(inputDir) {
-  const entries = await fs.readdir(inputDir);
-  return entries
-    .filter((name) => SUPPORTED_EXTS.has(path.extname(name).toLowerCase()))
-    .sort()
-    .map((name) => path.join(inputDir, name));
-}
+/**
+ * Lists supported images under inputDir, sorted by relative path. Options:
+ * `recursive` descends into subfolders, `include`/`exclude` are glob lists
+ * matched against the path relative to inputDir, and `ignoreDirs` are
+ * absolute directories never entered (e.g. an outputDir nested in the input).
+ */
+async function listImages(inputDir, options = {}) {
+  const {
+    recursive = false,
+    include = [],
+    exclude = [],
+    ignoreDirs = []
+  } = options;
+  const ignored = new Set(ignoreDirs.map((dir) => path.resolve(dir)));
+  const found = [];
 
-function getStatePath(outputDir) {
-  return path.join(outputDir, 'processing-state.json');
-}
+  async function walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive && !ignored.has(path.resolve(fullPath))) {
+          await walk(fullPath);
+        }
+        continue;
+      }
+      if (!SUPPORTED_EXTS.has(path.extname(entry.name).toLowerCase())) continue;
 
-async function loadState(outputDir) {
-  const statePath = getStatePath(outputDir);
-  try {
-    const raw = await fs.readFile(statePath, 'utf8');
-    const parsed = JSON.parse(raw);
-    return {
-      processed: Array.isArray(parsed.processed) ? parsed.processed : [],
-      failed: Array.isArray(parsed.failed) ? parsed.failed : []
-    };
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return { processed: [], failed: [] };
+      const relativePath = path.relative(inputDir, fullPath);
+      if (include.length && !matchesAny(include, relativePath)) continue;
+      if (exclude.length && matchesAny(exclude, relativePath)) continue;
+      found.push(relativePath);
     }
-    throw err;
   }
+
+  await walk(inputDir);
+  return found.sort().map((relativePath) => path.join(inputDir, relativePath));
 }
 
-async function saveState(outputDir, state) {
-  const statePath = getStatePath(outputDir);
-  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+// Applies the input options from config; outputs and the browser profile are
+// never picked up even when they sit inside the input folder.
+function listInputImages(config) {
+  return listImages(config.inputDir, {
+    recursive: config.recursive,
+    include: config.include,
+    exclude: config.exclude,
+    ignoreDirs: [config.outputDir, ...config.browserDataDirs]
+  });
 }
 
-async function buildOutputPath(outputDir, inputPath) {
-  const ext = path.extname(inputPath);
-  const base = path.basename(inputPath, ext);
-  let candidate = path.join(outputDir, `${base}_upscaled${ext}`);
+/**
+ * Claims `<stem><ext>` in dir, or `<stem>_2<ext>`, `<stem>_3<ext>`, ... when
+ * taken, by creating it exclusively, so parallel workers and reruns can never
+ * be handed the same name. The empty placeholder is meant to be overwritten.
+ */
+async function claimFreePath(dir, stem, ext) {
+  await ensureDir(dir);
+  let candidate = path.join(dir, `${stem}${ext}`);
   let counter = 2;
 
   while (true) {
     try {
-      await fs.access(candidate);
-      candidate = path.join(outputDir, `${base}_upscaled_${counter}${ext}`);
-      counter += 1;
+      const handle = await fs.open(candidate, 'wx');
+      await handle.close();
+      return candidate;
     } catch (err) {
-      if (err.code === 'ENOENT') {
-        return candidate;
+      if (err.code !== 'EEXIST') {
+        throw err;
       }
-      throw err;
+      candidate = path.join(dir, `${stem}_${counter}${ext}`);
+      counter += 1;
     }
   }
 }
 
+/**
+ * Claims a free output path for inputPath (see claimFreePath). When inputDir
+ * is given the file's subfolder under inputDir is mirrored under outputDir.
+ * The extension is the input's unless `ext` names the output format's. The
+ * placeholder is overwritten by the download.
+ */
+function buildOutputPath(outputDir, inputPath, inputDir, ext = path.extname(inputPath)) {
+  const base = path.basename(inputPath, path.extname(inputPath));
+  const relativeDir = inputDir ? path.relative(inputDir, path.dirname(inputPath)) : '';
+  return claimFreePath(path.join(outputDir, relativeDir), `${base}_upscaled`, ext);
+}
+
 async function appendLog(outputDir, line) {
   const logPath = path.join(outputDir, 'processing.log');
   const timestamp = new Date().toISOString();
@@ -68,10 +111,11 @@ async function appendLog(outputDir, line) {
 }
 
 module.exports = {
+  SUPPORTED_EXTS,
   ensureDir,
   listImages,
-  loadState,
-  saveState,
+  listInputImages,
   buildOutputPath,
+  claimFreePath,
   appendLog
 };
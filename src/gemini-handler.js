@@ -1,5 +1,17 @@
 const fs = require('fs/promises');
 
+const {
+  DownloadError,
+  GenerationTimeoutError,
+  QuotaError,
+  RefusalError,
+  SessionExpiredError,
+  UiNotFoundError,
+  UploadError
+} = require('./errors');
+const { classifyResponse } = require('./response-classifier');
+const { CHAIN_INFO, DEFAULT_SELECTORS, describeSelector, toLocator } = require('./selectors');
+
 const DEFAULT_POLL_MS = 1000;
 
 async function delay(ms) {
@@ -14,35 +26,138 @@ async function isVisible(locator) {
   }
 }
 
-async function waitForAnyVisible(page, locatorFactories, timeoutMs) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    for (const factory of locatorFactories) {
-      const locator = factory();
-      if (await isVisible(locator)) {
-        return locator.first();
-      }
-    }
-    await delay(DEFAULT_POLL_MS);
+async function countOf(locator) {
+  try {
+    return await locator.count();
+  } catch (err) {
+    return 0;
+  }
+}
+
+async function textOf(locator) {
+  try {
+    const text = await locator.innerText();
+    return text.replace(/\s+/g, ' ').trim();
+  } catch (err) {
+    return null;
   }
-  throw new Error('Timeout waiting for expected UI element.');
 }
 
 class GeminiHandler {
-  constructor(page, config) {
+  constructor(page, config, selectors = DEFAULT_SELECTORS) {
     this.page = page;
     this.config = config;
+    this.selectors = selectors;
     this.log = config.log || (() => {});
+    // Which candidate of each chain matched last, e.g. for debug output.
+    this.matches = {};
+  }
+
+  _candidate(chain, index, vars) {
+    return toLocator(this.page, this.selectors.chains[chain][index], vars);
+  }
+
+  _noteMatch(chain, index) {
+    const selector = describeSelector(this.selectors.chains[chain][index]);
+    this.matches[chain] = { index, selector };
+    this.log(`Selector ${chain} matched #${index + 1}: ${selector}`);
+  }
+
+  // First visible element of a chain, trying candidates in order; null if none.
+  async _findVisible(chain, vars) {
+    const candidates = this.selectors.chains[chain];
+    for (let index = 0; index < candidates.length; index += 1) {
+      const locator = this._candidate(chain, index, vars);
+      if (await isVisible(locator)) {
+        this._noteMatch(chain, index);
+        return locator.first();
+      }
+    }
+    return null;
+  }
+
+  // Like _findVisible, but hidden elements (file inputs) count too.
+  async _findPresent(chain, vars) {
+    const candidates = this.selectors.chains[chain];
+    for (let index = 0; index < candidates.length; index += 1) {
+      const locator = this._candidate(chain, index, vars);
+      if (await countOf(locator)) {
+        this._noteMatch(chain, index);
+        return locator.first();
+      }
+    }
+    return null;
+  }
+
+  async _waitForChain(chain, timeoutMs, vars) {
+    const start = Date.now();
+    for (;;) {
+      const found = await this._findVisible(chain, vars);
+      if (found) return found;
+      if (Date.now() - start >= timeoutMs) break;
+      await delay(DEFAULT_POLL_MS);
+    }
+    throw new UiNotFoundError(
+      `Timeout waiting for ${chain} (tried ${this.selectors.chains[chain].length} selectors).`
+    );
+  }
+
+  // Every candidate of a chain as one locator, for counting repeated elements.
+  _union(chain, vars) {
+    return this.selectors.chains[chain]
+      .map((candidate) => toLocator(this.page, candidate, vars))
+      .reduce((all, locator) => all.or(locator));
+  }
+
+  // Which candidate an element resolved through _union came from; -1 if none
+  // matches it (any more).
+  async _candidateOf(chain, element, vars) {
+    const candidates = this.selectors.chains[chain];
+    for (let index = 0; index < candidates.length; index += 1) {
+      if (await countOf(element.and(this._candidate(chain, index, vars)))) return index;
+    }
+    return -1;
   }
 
-  _promptCandidates() {
-    return [
-      () => this.page.locator('div[contenteditable="true"][role="textbox"]'),
-      () => this.page.locator('div[contenteditable="true"][aria-label*="prompt" i]'),
-      () => this.page.locator('textarea'),
-      () => this.page.getByPlaceholder(/describe your image/i),
-      () => this.page.getByRole('textbox')
-    ];
+  async _noteUnionMatch(chain, element, vars) {
+    const index = await this._candidateOf(chain, element, vars);
+    if (index >= 0) this._noteMatch(chain, index);
+  }
+
+  /**
+   * Reports, for every chain, how many elements each candidate matches right
+   * now and which one the handler would use. Nothing is clicked.
+   */
+  async probeSelectors(vars = { mode: this.config.mode }) {
+    const report = [];
+    for (const [chain, candidates] of Object.entries(this.selectors.chains)) {
+      const info = CHAIN_INFO[chain] || { when: 'idle' };
+      const results = [];
+      for (const candidate of candidates) {
+        const locator = toLocator(this.page, candidate, vars);
+        results.push({
+          selector: describeSelector(candidate),
+          count: await countOf(locator),
+          visible: await isVisible(locator)
+        });
+      }
+      let matched = results.findIndex((result) =>
+        info.presence ? result.count > 0 : result.visible
+      );
+      if (info.union && matched >= 0) {
+        // The candidate of the element the handler would pick, not the first
+        // candidate that matches something.
+        const locator = this._union(chain, vars);
+        const count = await countOf(locator);
+        const element = info.union === 'newest' ? locator.nth(count - 1) : locator.first();
+        matched =
+          info.presence || (await isVisible(element))
+            ? await this._candidateOf(chain, element, vars)
+            : -1;
+      }
+      report.push({ chain, when: info.when, matched, candidates: results });
+    }
+    return report;
   }
 
   async captureDebug(label, outputDir) {
@@ -52,9 +167,11 @@ class GeminiHandler {
     const screenshotPath = `${outputDir}/${base}.png`;
     const htmlPath = `${outputDir}/${base}.html`;
     const urlPath = `${outputDir}/${base}.url.txt`;
+    const artifacts = {};
 
     try {
       await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      artifacts.screenshot = screenshotPath;
     } catch (err) {
       this.log(`Debug screenshot failed: ${err.message || err}`);
     }
@@ -62,6 +179,7 @@ class GeminiHandler {
     try {
       const html = await this.page.content();
       await fs.writeFile(htmlPath, html);
+      artifacts.html = htmlPath;
     } catch (err) {
       this.log(`Debug HTML dump failed: ${err.message || err}`);
     }
@@ -69,102 +187,105 @@ class GeminiHandler {
     try {
       const url = this.page.url();
       await fs.writeFile(urlPath, url);
+      artifacts.url = urlPath;
     } catch (err) {
       this.log(`Debug URL dump failed: ${err.message || err}`);
     }
 
     this.log(`Saved debug artifacts: ${base}.*`);
+    return artifacts;
   }
 
   async ensureReadyForInput() {
     this.log('Ensuring prompt input is available...');
-    const promptCandidates = this._promptCandidates();
-    if (await this._checkAnyVisible(promptCandidates)) {
+    if (await this._findVisible('prompt')) {
       this.log('Prompt input already visible.');
       return;
     }
+    await this.startNewChat();
+  }
 
-    const newChatCandidates = [
-      () => this.page.getByRole('button', { name: /new chat/i }),
-      () => this.page.locator('[aria-label*="new chat" i]')
-    ];
-
-    for (const candidate of newChatCandidates) {
-      const locator = candidate();
-      if (await isVisible(locator)) {
-        await locator.first().click();
-        break;
-      }
-    }
+  // Opens an empty conversation; the next prompt starts a new history entry.
+  async startNewChat() {
+    this.log('Starting a new chat...');
+    const newChatButton = await this._findVisible('newChat');
+    if (newChatButton) await newChatButton.click();
 
-    await waitForAnyVisible(this.page, promptCandidates, 10000);
+    await this._waitForChain('prompt', 10000);
     this.log('Prompt input ready.');
   }
 
-  async ensureLoggedIn() {
-    const signInIndicators = [
-      () => this.page.getByRole('link', { name: /sign in/i }),
-      () => this.page.getByRole('button', { name: /sign in/i }),
-      () => this.page.locator('a[href*="signin"]')
-    ];
+  /**
+   * Deletes the open conversation from the account history through its
+   * actions menu and the confirmation dialog. Gemini then shows a new chat.
+   */
+  async deleteCurrentChat() {
+    this.log('Deleting chat from history...');
+    const actionsButton = await this._waitForChain('chatActions', 10000);
+    await actionsButton.click();
+
+    const deleteItem = await this._waitForChain('chatDelete', 5000);
+    await deleteItem.click();
+
+    const confirmButton = await this._waitForChain('chatConfirm', 5000);
+    await confirmButton.click();
+    await confirmButton.waitFor({ state: 'hidden', timeout: 10000 });
+    this.log('Chat deleted.');
+  }
+
+  async isSignedOut() {
+    return Boolean(await this._findVisible('signIn'));
+  }
 
+  async assertSignedIn() {
+    if (await this.isSignedOut()) {
+      throw new SessionExpiredError(
+        'Gemini is signed out. Run the "login" command to refresh the session.'
+      );
+    }
+  }
+
+  /**
+   * Waits for the app to be usable. A headed run without --session waits up
+   * to 15 minutes for someone to log in; headless and session-file runs have
+   * nobody to do that, so they throw SessionExpiredError straight away.
+   */
+  async ensureLoggedIn({ wait = !this.config.headless && !this.config.session } = {}) {
+    const loginTimeoutMs = wait ? 15 * 60 * 1000 : 30 * 1000;
     this.log('Checking login state...');
-    if (await this._checkAnyVisible(signInIndicators)) {
+    if (!wait) {
+      await this.assertSignedIn();
+    } else if (await this.isSignedOut()) {
       this.log('Sign-in prompt detected. Please log in to Gemini in the opened browser.');
-      await waitForAnyVisible(
-        this.page,
-        [() => this.page.locator('[data-test-id="bard-mode-menu-button"]')],
-        15 * 60 * 1000
-      );
+      await this._waitForChain('appReady', loginTimeoutMs);
     }
 
-    const sendButton = this.page.getByRole('button', { name: /send message/i });
     try {
-      const ariaDisabled = await sendButton.first().getAttribute('aria-disabled');
+      const sendButton = await this._findPresent('send');
+      const ariaDisabled = sendButton && (await sendButton.getAttribute('aria-disabled'));
       if (ariaDisabled && ariaDisabled !== 'false') {
         this.log('Send button disabled; waiting for login to complete.');
-        await waitForAnyVisible(
-          this.page,
-          [() => this.page.locator('[data-test-id="bard-mode-menu-button"]')],
-          15 * 60 * 1000
-        );
+        await this._waitForChain('appReady', loginTimeoutMs);
       }
     } catch (err) {
       // If send button check fails, continue with mode/menu indicators.
     }
 
-    await waitForAnyVisible(
-      this.page,
-      [() => this.page.locator('[data-test-id="bard-mode-menu-button"]')],
-      15 * 60 * 1000
-    );
+    await this._waitForChain('appReady', loginTimeoutMs);
     this.log('Login detected.');
   }
 
   async selectFastMode() {
-    this.log('Selecting Fast mode...');
-    const modeButtonCandidates = [
-      () => this.page.locator('[data-test-id="bard-mode-menu-button"]'),
-      () => this.page.getByRole('button', { name: /fast/i })
-    ];
-
-    const fastOptionCandidates = [
-      () => this.page.getByRole('option', { name: /^Fast$/i }),
-      () => this.page.getByRole('menuitem', { name: /^Fast$/i }),
-      () => this.page.getByText(/^Fast$/i)
-    ];
-
-    let modeButton = null;
-    for (const candidate of modeButtonCandidates) {
-      const locator = candidate();
-      if (await isVisible(locator)) {
-        modeButton = locator.first();
-        break;
-      }
-    }
+    await this.selectMode('Fast');
+  }
 
+  // Picks a model mode ("Fast", "Thinking", "Pro") from the mode menu.
+  async selectMode(mode = this.config.mode) {
+    this.log(`Selecting ${mode} mode...`);
+    const vars = { mode };
+    const modeButton = await this._findVisible('modeButton', vars);
     if (!modeButton) {
-      this.log('Mode selector not found; skipping Fast selection.');
+      this.log(`Mode selector not found; skipping ${mode} selection.`);
       return;
     }
 
@@ -176,37 +297,52 @@ class GeminiHandler {
     }
 
     try {
-      const option = await waitForAnyVisible(
-        this.page,
-        fastOptionCandidates,
-        5000
-      );
+      const option = await this._waitForChain('modeOption', 5000, vars);
       await option.click();
     } catch (err) {
-      const fastSelected = await this._checkAnyVisible([
-        () => this.page.getByRole('button', { name: /fast/i })
-      ]);
-      if (!fastSelected) {
-        this.log('Fast option not found after opening mode menu.');
+      const alreadySelected = await this._findVisible('modeSelected', vars);
+      if (!alreadySelected) {
+        this.log(`${mode} option not found after opening mode menu.`);
       }
     }
-    this.log('Fast mode selected.');
+    this.log(`${mode} mode selected.`);
   }
 
   async uploadImage(imagePath) {
     this.log(`Uploading image: ${imagePath}`);
-    const input = this.page.locator('input[type="file"]');
-    if (await input.count()) {
-      await input.first().setInputFiles(imagePath);
+    try {
+      await this._uploadImage(imagePath);
+    } catch (err) {
+      throw new UploadError(`Upload failed: ${err.message || err}`, { cause: err });
+    }
+  }
+
+  async _chooseFile(imagePath, button, clickOptions) {
+    const [chooser] = await Promise.all([
+      this.page.waitForEvent('filechooser', { timeout: 15000 }),
+      button.click(clickOptions)
+    ]);
+    await chooser.setFiles(imagePath);
+  }
+
+  async _uploadImage(imagePath) {
+    const input = await this._findPresent('fileInput');
+    if (input) {
+      await input.setInputFiles(imagePath);
       return;
     }
 
-    const deepInputHandle = await this.page.evaluateHandle(() => {
+    const inputSelectors = this.selectors.chains.fileInput
+      .filter((candidate) => candidate.css && !candidate.within)
+      .map((candidate) => candidate.css);
+    const deepInputHandle = await this.page.evaluateHandle((selectors) => {
       const visit = (root) => {
         if (!root) return null;
         if (root.querySelector) {
-          const direct = root.querySelector('input[type="file"]');
-          if (direct) return direct;
+          for (const selector of selectors) {
+            const direct = root.querySelector(selector);
+            if (direct) return direct;
+          }
         }
         if (!root.querySelectorAll) return null;
         const nodes = root.querySelectorAll('*');
@@ -219,7 +355,7 @@ class GeminiHandler {
         return null;
       };
       return visit(document);
-    });
+    }, inputSelectors);
     const deepInput = deepInputHandle.asElement();
     if (deepInput) {
       this.log('Found file input in shadow DOM.');
@@ -230,131 +366,117 @@ class GeminiHandler {
     await deepInputHandle.dispose();
     this.log('No file input found in shadow DOM.');
 
-    const uploadMenuButton = this.page.getByRole('button', {
-      name: /open upload file menu/i
-    });
-    if (await isVisible(uploadMenuButton)) {
+    // Each visible menu button gets a try: it should reveal the "upload
+    // files" entry that opens the file chooser.
+    const menuButtons = this.selectors.chains.uploadMenuButton;
+    for (let index = 0; index < menuButtons.length; index += 1) {
+      const menuButton = this._candidate('uploadMenuButton', index);
+      if (!(await isVisible(menuButton))) continue;
+      this._noteMatch('uploadMenuButton', index);
       this.log('Opening upload menu...');
-      await uploadMenuButton.click();
+      await menuButton.first().click();
       try {
-        const uploadFilesButton = this.page.locator(
-          '[data-test-id="local-images-files-uploader-button"]'
-        );
-        await uploadFilesButton.first().waitFor({ state: 'visible', timeout: 5000 });
-        const [chooser] = await Promise.all([
-          this.page.waitForEvent('filechooser', { timeout: 15000 }),
-          uploadFilesButton.first().click({ force: true })
-        ]);
-        await chooser.setFiles(imagePath);
+        const uploadFilesButton = await this._waitForChain('uploadFilesButton', 5000);
+        await this._chooseFile(imagePath, uploadFilesButton, { force: true });
         return;
       } catch (err) {
         this.log(`Upload menu path failed: ${err.message || err}`);
       }
     }
 
-    const plusButton = this.page.getByRole('button', { name: /\+/ });
-    if (await isVisible(plusButton)) {
-      this.log('Clicking plus button for upload...');
-      await plusButton.first().click();
+    const hiddenImageButton = await this._findPresent('hiddenUploadButton');
+    if (hiddenImageButton) {
       try {
-        const uploadFilesButton = this.page.locator(
-          '[data-test-id="local-images-files-uploader-button"]'
-        );
-        await uploadFilesButton.first().waitFor({ state: 'visible', timeout: 5000 });
-        const [chooser] = await Promise.all([
-          this.page.waitForEvent('filechooser', { timeout: 15000 }),
-          uploadFilesButton.first().click({ force: true })
-        ]);
-        await chooser.setFiles(imagePath);
-        return;
-      } catch (err) {
-        this.log(`Plus button upload failed: ${err.message || err}`);
-      }
-    }
-
-    const hiddenImageButton = this.page.locator(
-      '[data-test-id="hidden-local-image-upload-button"]'
-    );
-    if (await hiddenImageButton.count()) {
-      try {
-        const [chooser] = await Promise.all([
-          this.page.waitForEvent('filechooser', { timeout: 15000 }),
-          hiddenImageButton.first().click({ force: true })
-        ]);
-        await chooser.setFiles(imagePath);
+        await this._chooseFile(imagePath, hiddenImageButton, { force: true });
         return;
       } catch (err) {
         this.log(`Hidden upload button click failed: ${err.message || err}`);
       }
     }
 
-    const uploadButtonCandidates = [
-      () => this.page.locator('[data-test-id*="upload" i]'),
-      () => this.page.getByRole('button', { name: /upload/i }),
-      () => this.page.getByRole('button', { name: /add file/i }),
-      () => this.page.getByRole('button', { name: /\+/ })
-    ];
-
-    const button = await waitForAnyVisible(
-      this.page,
-      uploadButtonCandidates,
-      5000
-    );
-
+    const button = await this._waitForChain('uploadButton', 5000);
     try {
-      const [chooser] = await Promise.all([
-        this.page.waitForEvent('filechooser', { timeout: 15000 }),
-        button.click()
-      ]);
-      await chooser.setFiles(imagePath);
+      await this._chooseFile(imagePath, button);
     } catch (err) {
-      const [chooser] = await Promise.all([
-        this.page.waitForEvent('filechooser', { timeout: 15000 }),
-        button.click({ force: true })
-      ]);
-      await chooser.setFiles(imagePath);
+      await this._chooseFile(imagePath, button, { force: true });
     }
   }
 
   async enterPrompt(prompt) {
     this.log('Entering prompt...');
-    const promptCandidates = this._promptCandidates();
-
-    const promptBox = await waitForAnyVisible(
-      this.page,
-      promptCandidates,
-      10000
-    );
+    const promptBox = await this._waitForChain('prompt', 10000);
     await promptBox.fill(prompt);
   }
 
   async sendPrompt() {
     this.log('Sending prompt...');
-    const sendCandidates = [
-      () => this.page.locator('[data-test-id*="send" i]'),
-      () => this.page.getByRole('button', { name: /send/i }),
-      () => this.page.locator('[aria-label*="send" i]')
-    ];
-
     try {
-      const button = await waitForAnyVisible(
-        this.page,
-        sendCandidates,
-        5000
-      );
+      const button = await this._waitForChain('send', 5000);
       await button.click();
     } catch (err) {
+      this.log('Send button not found; pressing Enter.');
       await this.page.keyboard.press('Enter');
     }
   }
 
   async getDownloadButtonCount() {
-    const locator = this.page.locator('[data-test-id="download-generated-image-button"]');
-    return locator.count();
+    return this._union('downloadButton').count();
   }
 
-  async waitForNewDownloadButton(previousCount) {
-    const locator = this.page.locator('[data-test-id="download-generated-image-button"]');
+  async getResponseCount() {
+    return this._union('response').count();
+  }
+
+  // The newest reply after the first `previousResponseCount`; null if none.
+  async _latestResponse(previousResponseCount) {
+    const locator = this._union('response');
+    const count = await locator.count();
+    if (count <= previousResponseCount) return null;
+    const latest = locator.nth(count - 1);
+    // Once per new reply, not on every poll.
+    if (count !== this.notedResponseCount) {
+      this.notedResponseCount = count;
+      await this._noteUnionMatch('response', latest);
+    }
+    return latest;
+  }
+
+  async readLatestResponse(previousResponseCount = 0) {
+    const latest = await this._latestResponse(previousResponseCount);
+    return latest ? textOf(latest) : null;
+  }
+
+  // Whether a reply carries a generated image: an <img> or a download button.
+  async _hasImage(reply) {
+    if (await countOf(reply.locator('img'))) return true;
+    for (const candidate of this.selectors.chains.downloadButton) {
+      if (await countOf(toLocator(reply, candidate))) return true;
+    }
+    return false;
+  }
+
+  // Throws when the newest reply is a usage-limit notice or a refusal rather
+  // than an image, so callers stop waiting for a download that won't come.
+  async checkLatestResponse(previousResponseCount) {
+    const latest = await this._latestResponse(previousResponseCount);
+    if (!latest) return;
+    const text = await textOf(latest);
+    const hasImage = await this._hasImage(latest);
+    const issue = classifyResponse(text, new Date(), { hasImage });
+    if (!issue) return;
+    if (issue.type === 'quota') {
+      throw new QuotaError(`Gemini usage limit reached: "${text}"`, {
+        resetAt: issue.resetAt,
+        responseText: text
+      });
+    }
+    throw new RefusalError(`Gemini declined the request: "${text}"`, {
+      responseText: text
+    });
+  }
+
+  async waitForNewDownloadButton(previousCount, previousResponseCount) {
+    const locator = this._union('downloadButton');
     const start = Date.now();
     let lastLog = start;
 
@@ -363,10 +485,15 @@ class GeminiHandler {
       if (count > previousCount) {
         const last = locator.nth(count - 1);
         if (await isVisible(last)) {
+          await this._noteUnionMatch('downloadButton', last);
           return last;
         }
       }
 
+      if (previousResponseCount !== undefined) {
+        await this.checkLatestResponse(previousResponseCount);
+      }
+
       const now = Date.now();
       if (now - lastLog >= 10000) {
         const elapsed = Math.floor((now - start) / 1000);
@@ -377,37 +504,45 @@ class GeminiHandler {
       await delay(DEFAULT_POLL_MS);
     }
 
-    throw new Error('Timeout waiting for new download button.');
+    throw new GenerationTimeoutError('Timeout waiting for new download button.');
   }
 
-  async waitForProcessingComplete(previousDownloadCount) {
+  async waitForProcessingComplete(previousDownloadCount, previousResponseCount) {
     this.log('Waiting for processing to complete...');
-    const loading = this.page.getByText(/loading nano banana/i);
+    const loading = this._union('loadingIndicator').first();
     try {
-      await loading.waitFor({ state: 'visible', timeout: 20000 });
+      await loading.waitFor({
+        state: 'visible',
+        timeout: this.config.loadingIndicatorTimeoutMs
+      });
+      await this._noteUnionMatch('loadingIndicator', loading);
       await loading.waitFor({ state: 'hidden', timeout: this.config.processingTimeoutMs });
     } catch (err) {
       // Continue to download check; Gemini may skip the loading indicator.
     }
 
-    await this.waitForNewDownloadButton(previousDownloadCount);
+    await this.waitForNewDownloadButton(previousDownloadCount, previousResponseCount);
     this.log('Processing complete; download button visible.');
   }
 
   async downloadImage(outputPath, downloadButton) {
     this.log(`Downloading to: ${outputPath}`);
-    const [download] = await Promise.all([
-      this.page.waitForEvent('download', {
-        timeout: this.config.downloadTimeoutMs
-      }),
-      downloadButton.click()
-    ]);
-
-    await download.saveAs(outputPath);
+    let download;
+    try {
+      [download] = await Promise.all([
+        this.page.waitForEvent('download', {
+          timeout: this.config.downloadTimeoutMs
+        }),
+        downloadButton.click()
+      ]);
+      await download.saveAs(outputPath);
+    } catch (err) {
+      throw new DownloadError(`Download failed: ${err.message || err}`, { cause: err });
+    }
 
     const stats = await fs.stat(outputPath);
     if (!stats.size) {
-      throw new Error(`Downloaded file is empty: ${outputPath}`);
+      throw new DownloadError(`Downloaded file is empty: ${outputPath}`);
     }
   }
 
@@ -418,16 +553,6 @@ class GeminiHandler {
   async _waitForDownloadButtonWithHeartbeat() {
     return this.waitForNewDownloadButton(0);
   }
-
-  async _checkAnyVisible(locatorFactories) {
-    for (const factory of locatorFactories) {
-      const locator = factory();
-      if (await isVisible(locator)) {
-        return true;
-      }
-    }
-    return false;
-  }
 }
 
 module.exports = {
@@ -0,0 +1,59 @@
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+function globSource(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        i += 1;
+        if (pattern[i + 1] === '/') {
+          i += 1;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{' && pattern.indexOf('}', i) > i) {
+      const end = pattern.indexOf('}', i);
+      const options = pattern.slice(i + 1, end).split(',').map(globSource);
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return source;
+}
+
+/**
+ * Converts a glob (`*`, `**`, `?`, `{a,b}`) into a RegExp over forward-slash
+ * relative paths.
+ */
+function globToRegExp(pattern) {
+  return new RegExp(`^${globSource(pattern)}$`);
+}
+
+/**
+ * True when a relative path matches any pattern. Patterns without a slash
+ * match the file name at any depth, like .gitignore entries.
+ */
+function matchesAny(patterns, relativePath) {
+  const normalized = relativePath.split('\\').join('/');
+  const baseName = normalized.slice(normalized.lastIndexOf('/') + 1);
+  return patterns.some((pattern) => {
+    const target = pattern.includes('/') ? normalized : baseName;
+    return globToRegExp(pattern).test(target);
+  });
+}
+
+module.exports = {
+  globToRegExp,
+  matchesAny
+};
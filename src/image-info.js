@@ -0,0 +1,158 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function isJpegSofMarker(marker) {
+  return (
+    marker >= 0xc0 &&
+    marker <= 0xcf &&
+    marker !== 0xc4 &&
+    marker !== 0xc8 &&
+    marker !== 0xcc
+  );
+}
+
+function parseJpeg(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error(`Corrupt JPEG: expected marker at byte ${offset}.`);
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (isJpegSofMarker(marker)) {
+      if (offset + 9 > buffer.length) break;
+      const height = buffer.readUInt16BE(offset + 5);
+      const width = buffer.readUInt16BE(offset + 7);
+      // An EXIF thumbnail may contain its own EOI, but it always sits before
+      // the main frame header.
+      const eoi = buffer.lastIndexOf(Buffer.from([0xff, 0xd9]));
+      return { format: 'jpeg', width, height, complete: eoi > offset };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('Corrupt JPEG: no frame header found.');
+}
+
+function parsePng(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    throw new Error('Corrupt PNG: missing IHDR chunk.');
+  }
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+
+  let complete = false;
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) break;
+    if (type === 'IEND') {
+      complete = true;
+      break;
+    }
+    offset = end;
+  }
+  return { format: 'png', width, height, complete };
+}
+
+function parseWebp(buffer) {
+  const complete = buffer.readUInt32LE(4) + 8 <= buffer.length;
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+      complete
+    };
+  }
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) {
+      throw new Error('Corrupt WebP: bad VP8 start code.');
+    }
+    return {
+      format: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+      complete
+    };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    if (buffer[20] !== 0x2f) {
+      throw new Error('Corrupt WebP: bad VP8L signature.');
+    }
+    const bits = buffer.readUInt32LE(21);
+    return {
+      format: 'webp',
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      complete
+    };
+  }
+  throw new Error(`Corrupt WebP: unsupported chunk "${chunk}".`);
+}
+
+/**
+ * Reads format and pixel dimensions from an image header. `complete` is false
+ * when the file ends before its end-of-image marker, i.e. it was truncated.
+ */
+function parseImageInfo(buffer) {
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return parseJpeg(buffer);
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return parsePng(buffer);
+  }
+  if (
+    buffer.length >= 16 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return parseWebp(buffer);
+  }
+  throw new Error('Unrecognised image format (expected JPEG, PNG or WebP).');
+}
+
+async function readImageInfo(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return parseImageInfo(buffer);
+}
+
+/**
+ * Like readImageInfo, for inputs: HEIC/HEIF and AVIF headers, which are not
+ * parsed here, are read by sharp instead. Whether those are complete is not
+ * known, so `complete` is left out.
+ */
+async function readSourceInfo(filePath) {
+  try {
+    return await readImageInfo(filePath);
+  } catch (err) {
+    let meta;
+    try {
+      meta = await sharp(filePath).metadata();
+    } catch (sharpErr) {
+      throw err;
+    }
+    if (!meta.width || !meta.height) throw err;
+    return { format: meta.format, width: meta.width, height: meta.height };
+  }
+}
+
+module.exports = {
+  parseImageInfo,
+  readImageInfo,
+  readSourceInfo
+};
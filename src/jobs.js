@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const JOBS_FILE = 'jobs.json';
+const JOBS_VERSION = 1;
+// Prompt and target fields a job may set for its images, as a manifest row can.
+const JOB_OPTIONS = ['prompt', 'mode', 'targetWidth', 'targetHeight'];
+// Image statuses that still have work ahead of them.
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+function getJobsPath(outputDir) {
+  return path.join(outputDir, JOBS_FILE);
+}
+
+// Sortable and short enough for a URL: 20261019T083000-1a2b3c
+function createJobId() {
+  const timestamp = new Date().toISOString().replace(/[-:]|\.\d+Z$/g, '');
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+async function loadJobs(outputDir) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(getJobsPath(outputDir), 'utf8'));
+    return { version: JOBS_VERSION, jobs: parsed.jobs || {} };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: JOBS_VERSION, jobs: {} };
+    throw err;
+  }
+}
+
+const pendingWrites = new Map();
+
+/**
+ * Writes jobs.json atomically, queueing concurrent saves, like the state
+ * file (see saveState).
+ */
+function saveJobs(outputDir, jobs) {
+  const jobsPath = getJobsPath(outputDir);
+  const previous = pendingWrites.get(jobsPath) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(async () => {
+      const tempPath = `${jobsPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(jobs, null, 2));
+      await fs.rename(tempPath, jobsPath);
+    });
+  pendingWrites.set(jobsPath, write);
+  return write;
+}
+
+/**
+ * Records a job for `entries` (from syncRecords). Its images are kept by
+ * content hash, so their status always comes from the state file; `options`
+ * are the prompt and target overrides it was submitted with.
+ */
+function addJob(jobs, { source, options = {}, entries, inputDir }) {
+  const job = {
+    id: createJobId(),
+    source,
+    options: Object.fromEntries(
+      JOB_OPTIONS.filter((name) => options[name] !== undefined).map((name) => [name, options[name]])
+    ),
+    images: entries.map(({ imagePath, record }) => ({
+      image: path.relative(inputDir, imagePath),
+      sourcePath: imagePath,
+      hash: record.hash
+    })),
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+  jobs.jobs[job.id] = job;
+  return job;
+}
+
+function jobRecords(state, job) {
+  return job.images.map((image) => state.images[image.hash] || null);
+}
+
+// 'queued' until a worker picks up one of its images, 'done' once none is
+// pending or in progress.
+function jobStatus(state, job) {
+  const statuses = jobRecords(state, job).map((record) => (record ? record.status : 'pending'));
+  if (!statuses.some((status) => OPEN_STATUSES.includes(status))) return 'done';
+  return statuses.every((status) => status === 'pending') ? 'queued' : 'running';
+}
+
+/**
+ * What the API shows for a job: its status, counts per image status and,
+ * with `detail`, every image with its status, last error, output and the
+ * URL its result is served from.
+ */
+function describeJob(state, job, { detail = false } = {}) {
+  const records = jobRecords(state, job);
+  const counts = {};
+  for (const record of records) {
+    const status = record ? record.status : 'pending';
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  const view = {
+    id: job.id,
+    source: job.source,
+    options: job.options,
+    status: jobStatus(state, job),
+    total: job.images.length,
+    counts,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt
+  };
+  if (detail) {
+    view.images = job.images.map((image, index) => {
+      const record = records[index] || {};
+      const hasResult = ['processed', 'needs-review'].includes(record.status);
+      return {
+        index: index + 1,
+        image: image.image,
+        status: record.status || 'pending',
+        attempts: record.attempts || 0,
+        lastStep: record.lastStep || null,
+        lastError: record.lastError || null,
+        outputPath: hasResult ? record.outputPath : null,
+        resultUrl: hasResult ? `/jobs/${job.id}/images/${index + 1}/result` : null
+      };
+    });
+  }
+  return view;
+}
+
+module.exports = {
+  JOBS_FILE,
+  JOB_OPTIONS,
+  addJob,
+  describeJob,
+  getJobsPath,
+  jobStatus,
+  loadJobs,
+  saveJobs
+};
@@ -1,186 +1,680 @@
+const fs = require('fs/promises');
 const path = require('path');
 const minimist = require('minimist');
-const { chromium } = require('playwright');
-const fs = require('fs/promises');
-const { execSync } = require('child_process');
 
-const { buildConfig } = require('./config');
+const { generateCandidates } = require('./candidates');
+const commands = require('./commands');
+const { loadConfig } = require('./config');
+const { conformOutput, outputExtension } = require('./conform');
+const {
+  InterruptedError,
+  backoffDelay,
+  classifyError,
+  retryPolicyFor
+} = require('./errors');
+const { createDeduper, skipNearDuplicates } = require('./dedupe');
+const { createEventLog } = require('./events');
+const { checkFidelity } = require('./fidelity');
 const {
   ensureDir,
-  listImages,
-  loadState,
-  saveState,
+  listInputImages,
   buildOutputPath,
   appendLog
 } = require('./file-manager');
-const { GeminiHandler, delay } = require('./gemini-handler');
+const { findManifestEntry, loadManifest } = require('./manifest');
+const { copyMetadata } = require('./metadata');
+const { createProgress } = require('./progress');
+const { resolveJob } = require('./prompt');
+const { loadJobs } = require('./jobs');
+const { createProvider } = require('./providers');
+const { writeRunReport } = require('./run-report');
+const {
+  acquireStateLock,
+  loadState,
+  saveState,
+  syncRecords,
+  recoverInFlight,
+  markInProgress,
+  claimInFlight,
+  recordAttempt,
+  releaseAttempt,
+  recordError,
+  markProcessed,
+  markNeedsReview,
+  markFailed
+} = require('./state');
+const { createJobServer } = require('./server');
+const { FORCE_EXIT_CODE, createShutdownController } = require('./shutdown');
+const { upscaleTiles } = require('./tiles');
+const { validateOutput } = require('./validator');
+const { createInputWatcher } = require('./watcher');
+const { createWorkQueue } = require('./work-queue');
+
+// Commands that work on processing-state.json; those that never write it or
+// touch outputs run alongside a batch.
+const STATE_COMMANDS = ['run', 'retry-failed', 'serve', 'status', 'reset', 'skip', 'approve', 'report'];
+const READ_ONLY_COMMANDS = ['status', 'report'];
+
+// Extra wait after a parsed reset time, in case the clocks disagree.
+const QUOTA_RESET_GRACE_MS = 60 * 1000;
+
+function getQuotaPauseMs(err, config) {
+  if (err.resetAt instanceof Date) {
+    return Math.max(0, err.resetAt.getTime() - Date.now()) + QUOTA_RESET_GRACE_MS;
+  }
+  return config.quotaPauseMs;
+}
 
 function getRandomDelay(minMs, maxMs) {
   if (minMs >= maxMs) return minMs;
   return Math.floor(minMs + Math.random() * (maxMs - minMs));
 }
 
-async function cleanupProfileLocks(config, log) {
-  const entries = await fs.readdir(config.browserDataDir).catch(() => []);
-  const lockFiles = entries.filter((name) => name.startsWith('Singleton'));
-  if (!lockFiles.length || !config.forceUnlock) return;
+/**
+ * One attempt at one image: provider round trip (per tile with --tiles,
+ * best of several with --candidates), conforming the download, then
+ * validation and metadata. The conform step may rename the output;
+ * `image.outputPath` (and `image.rawPath`) are updated as it does. With
+ * --fidelity the result is then compared with the source. Resolves with the
+ * validated image info (and `fidelity`); throws on any failure.
+ */
+async function attemptImage(config, provider, shutdown, image) {
+  const { imagePath, job, record } = image;
+  // --tiles handles images too big for one pass; smaller ones go straight.
+  const tiled = config.tiles && (await upscaleTiles(config, provider, shutdown, image));
+  if (!tiled && config.candidates > 1) {
+    await generateCandidates(config, provider, shutdown, image);
+  } else if (!tiled) {
+    await shutdown.race(provider.prepare(job));
+    await shutdown.race(provider.submit(imagePath, job.prompt));
+    await shutdown.race(provider.collect(image.outputPath));
+  }
 
-  let hasChromeTesting = false;
-  if (process.platform === 'darwin') {
+  if (config.conform !== 'off' || config.outputFormat !== 'keep') provider.setStep('conform');
+  const claimedPath = image.outputPath;
+  Object.assign(image, await conformOutput(config, image));
+  const { outputPath } = image;
+  if (outputPath !== claimedPath) {
+    markInProgress(record, outputPath);
+    await image.save();
+  }
+
+  let info = {};
+  if (config.validate) {
+    provider.setStep('validate');
+    info = await validateOutput(outputPath, {
+      ...config,
+      targetWidth: job.targetWidth,
+      targetHeight: job.targetHeight
+    });
+  }
+
+  if (config.preserveMetadata) {
+    provider.setStep('metadata');
+    await copyMetadata(imagePath, outputPath, config.log);
+  }
+
+  if (config.fidelity) {
+    provider.setStep('fidelity');
     try {
-      const psOutput = execSync('ps -ax').toString();
-      hasChromeTesting = psOutput.includes('Google Chrome for Testing');
+      info.fidelity = await checkFidelity(config, imagePath, outputPath);
     } catch (err) {
-      // If ps fails, skip cleanup to be safe.
-      hasChromeTesting = true;
+      // Nothing to compare against (e.g. an undecodable source): not a reason
+      // to hold the result back.
+      config.log(`Could not check fidelity of ${path.basename(imagePath)}: ${err.message || err}`);
     }
   }
+  return info;
+}
 
-  if (hasChromeTesting) {
-    log('Chrome for Testing is running. Waiting for it to close...');
-    const start = Date.now();
-    while (Date.now() - start < 5 * 60 * 1000) {
-      try {
-        const psOutput = execSync('ps -ax').toString();
-        if (!psOutput.includes('Google Chrome for Testing')) {
-          hasChromeTesting = false;
-          break;
+// One "step" event per provider step of the attempt that just ended.
+async function emitStepTimings(events, provider, fields) {
+  for (const { step, durationMs } of provider.takeStepTimings()) {
+    await events.emit('step', { ...fields, step, durationMs });
+  }
+}
+
+async function waitForQuotaPause(pool, shutdown) {
+  const remainingMs = pool.resumeAt - Date.now();
+  if (remainingMs > 0) await shutdown.delay(remainingMs);
+}
+
+/**
+ * Runs one image through its attempts on one worker's provider. Resolves
+ * true once processed, false once it is marked failed.
+ */
+async function processImage(
+  config,
+  state,
+  pool,
+  provider,
+  shutdown,
+  { imagePath, record, overrides = {} }
+) {
+  const log = config.log;
+  const { events } = pool;
+  const imageName = path.relative(config.inputDir, imagePath);
+  let attempt = 0;
+  // Usage limits hit in a row; any other outcome starts the count again.
+  let quotaPauses = 0;
+
+  while (true) {
+    shutdown.throwIfRequested();
+    await waitForQuotaPause(pool, shutdown);
+    attempt += 1;
+    recordAttempt(record);
+    const fields = { image: imageName, attempt };
+    const startedAt = Date.now();
+    await events.emit('image-start', { ...fields, sourcePath: imagePath });
+    provider.setStep('init');
+    let outputPath = null;
+    let image = null;
+    try {
+      log(`Processing ${imageName} (attempt ${attempt})`);
+      // Job options from the serve API win over the manifest.
+      const entry = { ...findManifestEntry(pool.manifest, imageName), ...overrides };
+      const job = await resolveJob(config, imagePath, entry);
+      log(`Prompt: ${job.prompt}`);
+      outputPath = await buildOutputPath(
+        config.outputDir,
+        imagePath,
+        config.inputDir,
+        outputExtension(config, imagePath)
+      );
+      markInProgress(record, outputPath);
+      await saveState(config.outputDir, state);
+
+      image = {
+        imagePath,
+        outputPath,
+        job,
+        record,
+        save: () => saveState(config.outputDir, state),
+        // Files and folders beyond outputPath that a crash would leave behind.
+        claim: (claimed) => {
+          claimInFlight(record, claimed);
+          return saveState(config.outputDir, state);
         }
+      };
+      const info = await attemptImage(config, provider, shutdown, image);
+      outputPath = image.outputPath;
+      const detail = info.format ? ` (${info.width}x${info.height} ${info.format})` : '';
+      const review = info.fidelity && !info.fidelity.passed;
+
+      if (review) {
+        markNeedsReview(record, { outputPath, rawPath: image.rawPath, ...info });
+      } else {
+        markProcessed(record, { outputPath, rawPath: image.rawPath, ...info });
+      }
+      await saveState(config.outputDir, state);
+      if (review) {
+        const reasons = info.fidelity.reasons.join('; ');
+        log(`${imageName} needs review: ${reasons}`);
+        await appendLog(config.outputDir, `REVIEW ${imageName} -> ${outputPath}${detail}: ${reasons}`);
+        pool.reviewCount += 1;
+      } else {
+        await appendLog(config.outputDir, `SUCCESS ${imageName} -> ${outputPath}${detail}`);
+        pool.successCount += 1;
+      }
+      try {
+        await provider.complete();
       } catch (err) {
-        // If ps fails, keep waiting.
+        log(`Cleanup after ${imageName} failed: ${err.message || err}`);
+      }
+      await emitStepTimings(events, provider, fields);
+      await events.emit(review ? 'image-review' : 'image-success', {
+        ...fields,
+        sourcePath: imagePath,
+        outputPath,
+        width: info.width,
+        height: info.height,
+        format: info.format,
+        ...(review
+          ? { reasons: info.fidelity.reasons, heatmapPath: info.fidelity.heatmapPath }
+          : {}),
+        durationMs: Date.now() - startedAt
+      });
+      return true;
+    } catch (err) {
+      if (err instanceof InterruptedError) throw err;
+      // Keep the names free for the next attempt.
+      for (const file of [outputPath, image && image.outputPath, image && image.rawPath]) {
+        if (file) await fs.rm(file, { force: true });
+      }
+
+      const currentStep = provider.currentStep;
+      const message = err && err.message ? err.message : String(err);
+      const errorClass = classifyError(err, currentStep);
+      const policy = retryPolicyFor(config.retryPolicies, errorClass);
+      const stepMessage = `step=${currentStep} class=${errorClass} ${message}`;
+      recordError(record, currentStep, message, errorClass);
+      await emitStepTimings(events, provider, fields);
+      const durationMs = Date.now() - startedAt;
+      await appendLog(
+        config.outputDir,
+        `ERROR ${imageName} attempt ${attempt}: ${stepMessage}`
+      );
+      const artifacts = {};
+      if (config.debug) {
+        const debugDir = path.join(config.outputDir, 'debug', events.runId);
+        await ensureDir(debugDir);
+        const written = await provider.captureDebug(
+          `${imageName}-attempt-${attempt}-${currentStep}`,
+          debugDir
+        );
+        for (const [kind, file] of Object.entries(written || {})) {
+          artifacts[kind] = path.relative(config.outputDir, file);
+        }
+      }
+      await events.emit('image-error', {
+        ...fields,
+        step: currentStep,
+        errorClass,
+        message,
+        durationMs,
+        artifacts
+      });
+
+      if (errorClass === 'session-expired') {
+        // Signed out: no image can succeed, so stop without blaming this one.
+        releaseAttempt(record);
+        await saveState(config.outputDir, state);
+        throw err;
       }
-      await delay(2000);
+
+      quotaPauses = errorClass === 'quota' ? quotaPauses + 1 : 0;
+      if (errorClass === 'quota' && quotaPauses < policy.attempts) {
+        // Hitting the limit says nothing about this image: pause every worker
+        // and try it again without spending an attempt. The quota policy's
+        // `attempts` caps the pauses in a row, so a limit that never lifts
+        // fails the image instead of looping forever.
+        attempt -= 1;
+        record.attempts -= 1;
+        await saveState(config.outputDir, state);
+        const resumeAt = Date.now() + getQuotaPauseMs(err, config);
+        if (resumeAt > pool.resumeAt) {
+          pool.resumeAt = resumeAt;
+          const resumeIso = new Date(resumeAt).toISOString();
+          await appendLog(config.outputDir, `PAUSE quota reached; resuming at ${resumeIso}`);
+          await events.emit('pause', { ...fields, resumeAt: resumeIso });
+          pool.say(`Usage limit reached. Pausing until ${resumeIso}...`);
+        }
+        continue;
+      }
+
+      if (errorClass === 'quota' || attempt >= policy.attempts) {
+        markFailed(record);
+        await saveState(config.outputDir, state);
+        await events.emit('image-failed', { ...fields, step: currentStep, errorClass });
+        pool.failureCount += 1;
+        return false;
+      }
+      await saveState(config.outputDir, state);
+      const backoffMs = backoffDelay(policy, attempt);
+      log(`Retrying ${imageName} (${errorClass}) in ${backoffMs}ms...`);
+      await shutdown.delay(backoffMs);
     }
   }
+}
 
-  if (hasChromeTesting) {
-    throw new Error(
-      'Chrome for Testing appears to be running; close it before retrying.'
-    );
-  }
+// Each worker gets its own profile directory (profiles mode) and a log
+// prefix; in tabs mode they all share the first profile's browser.
+function createWorkerConfig(config, index) {
+  if (config.workers === 1) return config;
+  const tag = `[worker ${index + 1}]`;
+  return {
+    ...config,
+    browserDataDir: config.browserDataDirs[index] || config.browserDataDir,
+    log: (...args) => config.log(tag, ...args)
+  };
+}
 
-  for (const name of lockFiles) {
-    await fs.rm(path.join(config.browserDataDir, name), { force: true });
+async function runWorker(config, state, pool, shutdown, index) {
+  const workerConfig = createWorkerConfig(config, index);
+  const provider = createProvider(config.provider, workerConfig);
+  try {
+    await shutdown.race(provider.open());
+    let readyAt = 0;
+    while (!shutdown.requested) {
+      // The pause after an image also applies when --watch hands over the
+      // next one only later; a drained batch queue needs no pause.
+      const delayMs = readyAt - Date.now();
+      if (delayMs > 0 && (pool.queue.size || !pool.queue.closed)) {
+        workerConfig.log(`Waiting ${delayMs}ms before next image...`);
+        await shutdown.delay(delayMs);
+      }
+      const entry = await shutdown.race(pool.queue.next());
+      if (!entry) break;
+      pool.progress.startImage(provider, path.relative(config.inputDir, entry.imagePath));
+      let processed;
+      try {
+        processed = await processImage(workerConfig, state, pool, provider, shutdown, entry);
+      } finally {
+        pool.progress.endImage(provider);
+      }
+      if (processed) readyAt = Date.now() + getRandomDelay(config.minDelayMs, config.maxDelayMs);
+    }
+  } catch (err) {
+    if (!(err instanceof InterruptedError)) throw err;
+  } finally {
+    await provider.close();
   }
-  log('Removed stale profile lock files.');
 }
 
-async function run() {
-  const args = minimist(process.argv.slice(2));
-  const config = buildConfig(args);
-  const log = config.verbose ? console.log : () => {};
-  config.log = log;
-
-  log('Starting Gemini upscaler...');
-  await ensureDir(config.outputDir);
-  await ensureDir(config.browserDataDir);
-  await cleanupProfileLocks(config, log);
+/**
+ * Processes pending images with `config.workers` workers pulling from one
+ * queue. Each worker owns a provider (a tab or a profile) and its own delay
+ * between images; a usage limit pauses all of them. Manifest rows override
+ * the prompt, mode and target of the files they match.
+ *
+ * With --watch the queue stays open: a watcher feeds it every image that
+ * lands in the input folder (those already there included) until the run
+ * is stopped or --limit images were queued. `feed` (the serve command's job
+ * server) likewise keeps it open: `start()` must succeed before the workers
+ * start, then `run()` pushes images onto it after `entries`.
+ */
+async function processBatch(config, state, entries, shutdown, manifest = [], { feed } = {}) {
+  let log = config.log;
+  const open = config.watch || Boolean(feed);
+  // --watch checks each image as it lands instead.
+  if (config.dedupe && !open) {
+    const duplicates = await skipNearDuplicates(config, entries);
+    await saveState(config.outputDir, state);
+    if (duplicates.length) console.log(`Skipped ${duplicates.length} near-duplicate frame(s).`);
+  }
 
-  const state = await loadState(config.outputDir);
-  const allImages = await listImages(config.inputDir);
-  const pending = allImages.filter((file) => !state.processed.includes(file));
-  const limited = config.limit ? pending.slice(0, config.limit) : pending;
+  // Failed and skipped images wait for retry-failed or reset.
+  const pending = entries.filter(({ record }) => record.status === 'pending');
+  const limited = config.limit && !feed ? pending.slice(0, config.limit) : pending;
 
-  if (!limited.length) {
+  if (!limited.length && !open) {
     console.log('No images to process.');
-    return;
+    return { successCount: 0, failureCount: 0 };
   }
 
-  log(`Launching browser with profile at ${config.browserDataDir}`);
-  const context = await chromium.launchPersistentContext(
-    config.browserDataDir,
-    {
-      headless: false,
-      viewport: { width: 1920, height: 1080 }
+  const workerCount = open ? config.workers : Math.min(config.workers, limited.length);
+  log(
+    `Starting upscaler with provider "${config.provider}"` +
+      (workerCount > 1 ? ` and ${workerCount} workers (${config.workerMode})...` : '...')
+  );
+
+  const events = createEventLog(config.outputDir);
+  const progress = createProgress({
+    total: config.watch ? 0 : limited.length,
+    workers: workerCount,
+    minDelayMs: config.minDelayMs,
+    maxDelayMs: config.maxDelayMs,
+    mode: config.progress,
+    intervalMs: config.progressIntervalMs
+  });
+  events.subscribe(progress.handle);
+  // Log lines scroll above the progress block instead of through it.
+  log = progress.wrap(config.log);
+  const batchConfig = { ...config, log };
+  const startedAt = Date.now();
+  await events.emit('run-start', {
+    provider: config.provider,
+    workers: workerCount,
+    queued: config.watch ? 0 : limited.length,
+    watch: config.watch
+  });
+  const queue = createWorkQueue(config.watch ? [] : limited);
+  let watcher = null;
+  let watching = Promise.resolve();
+  if (config.watch) {
+    let queuedCount = 0;
+    watcher = createInputWatcher(batchConfig, state, (entry) => {
+      const image = path.relative(config.inputDir, entry.imagePath);
+      queue.push(entry);
+      queuedCount += 1;
+      events
+        .emit('image-queued', { image, sourcePath: entry.imagePath })
+        .catch((err) => log(`Could not record event: ${err.message || err}`));
+      log(`Queued ${image}`);
+      if (config.limit && queuedCount >= config.limit) {
+        watcher.stop();
+        queue.close();
+      }
+    }, { skip: config.dedupe ? createDeduper(batchConfig) : undefined });
+    console.log(`Watching ${config.inputDir} for new images. Press Ctrl+C to stop.`);
+    watching = watcher.run(shutdown);
+  } else if (feed) {
+    // Before any worker opens the provider, so a feed that cannot start
+    // (e.g. a busy port) fails the run without leaving anything behind.
+    try {
+      await feed.start({ queue, events, log });
+    } catch (err) {
+      await events.emit('run-end', {
+        successCount: 0,
+        failureCount: 0,
+        error: err.message,
+        durationMs: Date.now() - startedAt
+      });
+      throw err;
     }
+    watching = feed.run(shutdown);
+  } else {
+    queue.close();
+  }
+  const pool = {
+    queue,
+    manifest,
+    events,
+    progress,
+    say: progress.wrap(console.log),
+    successCount: 0,
+    failureCount: 0,
+    reviewCount: 0,
+    resumeAt: 0
+  };
+  progress.start();
+  const results = await Promise.allSettled(
+    Array.from({ length: workerCount }, (_, index) =>
+      runWorker(batchConfig, state, pool, shutdown, index)
+    )
   );
+  if (watcher) watcher.stop();
+  if (feed) feed.stop();
+  queue.close();
+  await watching;
+  progress.stop();
+  const failures = results.filter((result) => result.status === 'rejected');
+  // One dead worker (e.g. a logged-out profile) leaves the rest running; only
+  // give up when none of them could work.
+  if (failures.length === workerCount) {
+    await events.emit('run-end', {
+      successCount: pool.successCount,
+      failureCount: pool.failureCount,
+      reviewCount: pool.reviewCount,
+      error: failures[0].reason && failures[0].reason.message,
+      durationMs: Date.now() - startedAt
+    });
+    throw failures[0].reason;
+  }
+  for (const failure of failures) {
+    console.error(`A worker stopped early: ${failure.reason && failure.reason.message}`);
+  }
 
-  const page = await context.newPage();
-  const handler = new GeminiHandler(page, config);
+  const { successCount, failureCount, reviewCount } = pool;
+  const interrupted = shutdown.requested;
+  if (interrupted) {
+    // The browser is closed, so nothing can still be writing the partial
+    // output; drop it and put the image back in the queue.
+    const released = await recoverInFlight(state);
+    await saveState(config.outputDir, state);
+    for (const record of released) {
+      log(`Returned ${record.sourcePath} to pending.`);
+    }
+  }
 
-  log('Navigating to Gemini...');
-  await page.goto('https://gemini.google.com/app', { waitUntil: 'domcontentloaded' });
-  await handler.ensureLoggedIn();
+  await appendLog(
+    config.outputDir,
+    `SUMMARY success=${successCount} failed=${failureCount}` +
+      (reviewCount ? ` review=${reviewCount}` : '') +
+      (interrupted ? ' interrupted=true' : '')
+  );
 
-  let successCount = 0;
-  let failureCount = 0;
+  await events.emit('run-end', {
+    successCount,
+    failureCount,
+    reviewCount,
+    interrupted,
+    durationMs: Date.now() - startedAt
+  });
+  if (config.htmlReport) {
+    try {
+      const { reportPath } = await writeRunReport(config.outputDir, { runId: events.runId });
+      log(`Wrote run report to ${reportPath}`);
+    } catch (err) {
+      console.error(`Could not write the run report: ${err.message || err}`);
+    }
+  }
 
-  for (const imagePath of limited) {
-    const baseName = path.basename(imagePath);
-    let attempt = 0;
-    let succeeded = false;
+  console.log(
+    `${interrupted ? 'Interrupted' : 'Done'}. Success: ${successCount}, Failed: ${failureCount}` +
+      (reviewCount ? `, Needs review: ${reviewCount}` : '')
+  );
+  const result = { successCount, failureCount };
+  // Only present when a run had something to review.
+  if (reviewCount) result.reviewCount = reviewCount;
+  if (interrupted) result.interrupted = true;
+  return result;
+}
 
-    while (attempt < config.retries && !succeeded) {
-      attempt += 1;
-      let currentStep = 'init';
-      try {
-        log(`Processing ${baseName} (attempt ${attempt}/${config.retries})`);
-        const previousDownloadCount = await handler.getDownloadButtonCount();
-        currentStep = 'ensure-ready';
-        await handler.ensureReadyForInput();
-        currentStep = 'select-fast';
-        await handler.selectFastMode();
-        currentStep = 'upload';
-        await handler.uploadImage(imagePath);
-        currentStep = 'prompt';
-        await handler.enterPrompt(config.prompt);
-        currentStep = 'send';
-        await handler.sendPrompt();
-        currentStep = 'processing';
-        await handler.waitForProcessingComplete(previousDownloadCount);
-
-        currentStep = 'download';
-        const outputPath = await buildOutputPath(config.outputDir, imagePath);
-        const downloadButton = await handler.waitForNewDownloadButton(
-          previousDownloadCount
-        );
-        await handler.downloadImage(outputPath, downloadButton);
+const USAGE = `Usage: node src/main.js [command] [options]
 
-        state.processed.push(imagePath);
-        await saveState(config.outputDir, state);
-        await appendLog(config.outputDir, `SUCCESS ${baseName} -> ${outputPath}`);
+Commands:
+  run                 Process pending images (default); --watch keeps processing new ones
+  serve               Keep one session open behind a local HTTP job API (--host, --port)
+  status              Show counts and failures grouped by step
+  retry-failed        Re-queue failed images, then process
+  reset <pattern>     Return matching images to pending
+  skip <pattern>      Exclude matching images from future runs
+  approve <pattern>   Accept matching needs-review images as processed
+  report              Per-image table; --format csv|json, --out <file>;
+                      --format html [--run <id>] builds a run report from events.jsonl
+  config print        Show the resolved config as JSON
+  login               Log in once (headed) and save the session to --session <file>
+  doctor              Open Gemini and report which selector in each chain matches
 
-        successCount += 1;
-        succeeded = true;
+Settings come from (lowest first) upscaler.config.json or --config <file>,
+its --profile <name>, UPSCALER_* env vars and CLI flags.`;
 
-        const delayMs = getRandomDelay(config.minDelayMs, config.maxDelayMs);
-        log(`Waiting ${delayMs}ms before next image...`);
-        await delay(delayMs);
-      } catch (err) {
-        const message = err && err.message ? err.message : String(err);
-        const stepMessage = `step=${currentStep} ${message}`;
-        await appendLog(
-          config.outputDir,
-          `ERROR ${baseName} attempt ${attempt}: ${stepMessage}`
+async function run(argv = process.argv.slice(2)) {
+  const args = minimist(argv);
+  const [command = 'run', pattern] = args._.map(String);
+  if (args.help) {
+    console.log(USAGE);
+    return undefined;
+  }
+  const config = await loadConfig(args, process.env);
+  if (command === 'config') {
+    if (pattern !== undefined && pattern !== 'print') {
+      throw new Error(`Unknown config action "${pattern}". Expected: config print`);
+    }
+    return commands.printConfig(config);
+  }
+  config.log = config.verbose ? console.log : () => {};
+  if (command === 'login') {
+    return commands.login(config);
+  }
+  if (command === 'doctor') {
+    return commands.doctor(config);
+  }
+
+  if (!STATE_COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+  await ensureDir(config.outputDir);
+  // status and report only read; everything else holds the state lock.
+  const release = READ_ONLY_COMMANDS.includes(command)
+    ? null
+    : await acquireStateLock(config.outputDir);
+  try {
+    return await runCommand(config, args, command, pattern);
+  } finally {
+    if (release) await release();
+  }
+}
+
+async function runCommand(config, args, command, pattern) {
+  const state = await loadState(config.outputDir);
+  const processes = ['run', 'retry-failed', 'serve'].includes(command);
+  if (processes) {
+    // Safe only under the lock: no other run can own these images.
+    for (const record of await recoverInFlight(state)) {
+      console.log(`Recovered interrupted image ${record.sourcePath}; it will be redone.`);
+    }
+  }
+  // Identity is the content hash, so moved or renamed inputs keep their
+  // history and byte-identical copies are only processed once. serve only
+  // syncs the images a job submits (see src/server.js), not the whole tree.
+  const entries =
+    command === 'serve' ? [] : await syncRecords(state, await listInputImages(config));
+  if (!READ_ONLY_COMMANDS.includes(command)) await saveState(config.outputDir, state);
+
+  switch (command) {
+    case 'run':
+    case 'retry-failed': {
+      if (command === 'retry-failed') {
+        commands.retryFailed(config, state);
+        await saveState(config.outputDir, state);
+      }
+      const manifest = config.manifest ? await loadManifest(config.manifest) : [];
+      const shutdown = createShutdownController(console.log);
+      try {
+        return await processBatch(config, state, entries, shutdown, manifest);
+      } finally {
+        shutdown.dispose();
+      }
+    }
+    case 'serve': {
+      const manifest = config.manifest ? await loadManifest(config.manifest) : [];
+      const server = createJobServer(config, state, await loadJobs(config.outputDir));
+      const shutdown = createShutdownController(console.log);
+      try {
+        return await processBatch(
+          { ...config, watch: false },
+          state,
+          server.pendingEntries(),
+          shutdown,
+          manifest,
+          { feed: server }
         );
-        if (config.debug) {
-          await handler.captureDebug(
-            `${baseName}-attempt-${attempt}-${currentStep}`,
-            config.outputDir
-          );
-        }
-        if (attempt >= config.retries) {
-          state.failed.push(imagePath);
-          await saveState(config.outputDir, state);
-          failureCount += 1;
-        } else {
-          const backoffMs = 30000 * Math.pow(2, attempt - 1);
-          await delay(backoffMs);
-        }
+      } finally {
+        shutdown.dispose();
       }
     }
+    case 'status':
+      return commands.status(config, state);
+    case 'reset':
+    case 'skip':
+    case 'approve': {
+      const result = commands[command](config, state, pattern);
+      await saveState(config.outputDir, state);
+      return result;
+    }
+    case 'report':
+      return commands.report(config, state, {
+        format: args.format,
+        out: args.out,
+        run: args.run
+      });
   }
+}
 
-  await appendLog(
-    config.outputDir,
-    `SUMMARY success=${successCount} failed=${failureCount}`
-  );
-
-  console.log(`Done. Success: ${successCount}, Failed: ${failureCount}`);
-  await context.close();
+if (require.main === module) {
+  run()
+    .then((result) => {
+      if (result && result.interrupted) process.exitCode = FORCE_EXIT_CODE;
+      if (result && result.healthy === false) process.exitCode = 1;
+    })
+    .catch((err) => {
+      console.error('Fatal error:', err);
+      process.exitCode = err.exitCode || 1;
+    });
 }
 
-run().catch((err) => {
-  console.error('Fatal error:', err);
-  process.exitCode = 1;
-});
+module.exports = {
+  run
+};
@@ -0,0 +1,127 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { coerceOption } = require('./config-schema');
+const { matchesAny } = require('./glob');
+const { checkTemplate } = require('./prompt');
+
+// Columns (CSV) or keys (JSON) a manifest row may set besides "file".
+const MANIFEST_FIELDS = ['prompt', 'mode', 'targetWidth', 'targetHeight', 'scale'];
+
+/**
+ * Minimal RFC 4180 reader: commas inside double quotes, "" for a quote and
+ * quoted line breaks. Returns an array of rows of strings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function csvRows(text, source) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((column) => column.trim());
+  return rows.map((cells, index) => ({
+    source: `${source} row ${index + 2}`,
+    values: Object.fromEntries(
+      columns.map((column, cell) => [column, (cells[cell] || '').trim()])
+    )
+  }));
+}
+
+// JSON manifests are an array of rows, or an object keyed by file.
+function jsonRows(text, source) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Manifest ${source} is not valid JSON: ${err.message}`);
+  }
+  const rows = Array.isArray(parsed)
+    ? parsed
+    : Object.entries(parsed || {}).map(([file, values]) => ({ file, ...values }));
+  return rows.map((values, index) => ({
+    source: `${source} entry ${index + 1}`,
+    values
+  }));
+}
+
+function toEntry({ source, values }) {
+  if (!values || typeof values !== 'object' || !values.file) {
+    throw new Error(`Manifest ${source} has no "file".`);
+  }
+  const entry = { file: String(values.file) };
+  for (const [field, value] of Object.entries(values)) {
+    if (field === 'file') continue;
+    if (!MANIFEST_FIELDS.includes(field)) {
+      throw new Error(
+        `Unknown manifest field "${field}" in ${source}. Expected: file, ${MANIFEST_FIELDS.join(', ')}`
+      );
+    }
+    // Empty CSV cells fall back to the run's settings.
+    if (value === '' || value === null || value === undefined) continue;
+    entry[field] = coerceOption(field, value, { source });
+  }
+  if (entry.prompt) checkTemplate(entry.prompt, source);
+  return entry;
+}
+
+/**
+ * Loads a per-file manifest (.csv or .json). Each row names a file, as a
+ * path relative to --input or a glob, and may override prompt, mode,
+ * targetWidth, targetHeight or scale for it.
+ */
+async function loadManifest(manifestPath) {
+  const text = await fs.readFile(manifestPath, 'utf8');
+  const source = path.basename(manifestPath);
+  const rows =
+    path.extname(manifestPath).toLowerCase() === '.json'
+      ? jsonRows(text, source)
+      : csvRows(text, source);
+  return rows.map(toEntry);
+}
+
+// The first row whose file matches wins.
+function findManifestEntry(manifest, relativePath) {
+  return manifest.find((entry) => matchesAny([entry.file], relativePath));
+}
+
+module.exports = {
+  findManifestEntry,
+  loadManifest,
+  parseCsv
+};
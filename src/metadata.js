@@ -0,0 +1,364 @@
+const fs = require('fs/promises');
+
+const { parseImageInfo } = require('./image-info');
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'binary');
+const XMP_EXTENSION_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'binary');
+
+const TAG_IMAGE_WIDTH = 0x0100;
+const TAG_IMAGE_LENGTH = 0x0101;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_PIXEL_X_DIMENSION = 0xa002;
+const TAG_PIXEL_Y_DIMENSION = 0xa003;
+const TAG_FOCAL_PLANE_X_RESOLUTION = 0xa20e;
+const TAG_FOCAL_PLANE_Y_RESOLUTION = 0xa20f;
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function startsWith(buffer, prefix) {
+  return buffer.length >= prefix.length && buffer.subarray(0, prefix.length).equals(prefix);
+}
+
+/**
+ * Splits a JPEG into its header segments up to the start of scan. Each entry
+ * keeps the marker and the raw payload (without the length field).
+ */
+function readJpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    segments.push({
+      marker,
+      start: offset,
+      end: offset + 2 + length,
+      payload: buffer.subarray(offset + 4, offset + 2 + length)
+    });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+function extractMetadata(buffer) {
+  const metadata = { exif: null, xmp: null, extendedXmp: [] };
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return metadata;
+
+  for (const segment of readJpegSegments(buffer)) {
+    if (segment.marker !== 0xe1) continue;
+    const { payload } = segment;
+    if (!metadata.exif && startsWith(payload, EXIF_HEADER)) {
+      metadata.exif = Buffer.from(payload.subarray(EXIF_HEADER.length));
+    } else if (!metadata.xmp && startsWith(payload, XMP_HEADER)) {
+      metadata.xmp = payload.subarray(XMP_HEADER.length).toString('utf8');
+    } else if (startsWith(payload, XMP_EXTENSION_HEADER)) {
+      metadata.extendedXmp.push(Buffer.from(payload));
+    }
+  }
+  return metadata;
+}
+
+function createTiffReader(tiff) {
+  const little = tiff.toString('ascii', 0, 2) === 'II';
+  return {
+    u16: (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)),
+    u32: (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset)),
+    setU16: (value, offset) =>
+      little ? tiff.writeUInt16LE(value, offset) : tiff.writeUInt16BE(value, offset),
+    setU32: (value, offset) =>
+      little ? tiff.writeUInt32LE(value, offset) : tiff.writeUInt32BE(value, offset)
+  };
+}
+
+// Null when the IFD does not fit in the block.
+function readIfd(tiff, reader, offset) {
+  if (!offset) return [];
+  if (offset + 2 > tiff.length) return null;
+  const count = reader.u16(offset);
+  if (offset + 2 + count * 12 > tiff.length) return null;
+  const entries = [];
+  for (let i = 0; i < count; i += 1) {
+    const entryOffset = offset + 2 + i * 12;
+    entries.push({
+      tag: reader.u16(entryOffset),
+      type: reader.u16(entryOffset + 2),
+      count: reader.u32(entryOffset + 4),
+      valueOffset: entryOffset + 8
+    });
+  }
+  return entries;
+}
+
+// IFD0 plus the Exif and GPS sub-IFDs; the thumbnail IFD is left alone.
+// Null when the block is malformed: no byte order mark, or an IFD or rational
+// value pointing past its end.
+function collectIfdEntries(tiff) {
+  const byteOrder = tiff.toString('ascii', 0, 2);
+  if (tiff.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) return null;
+  const reader = createTiffReader(tiff);
+  const ifd0 = readIfd(tiff, reader, reader.u32(4));
+  if (!ifd0) return null;
+  const entries = [...ifd0];
+  for (const entry of ifd0) {
+    if (entry.tag === TAG_EXIF_IFD || entry.tag === TAG_GPS_IFD) {
+      const sub = readIfd(tiff, reader, reader.u32(entry.valueOffset));
+      if (!sub) return null;
+      entries.push(...sub);
+    }
+  }
+  const outOfBounds = entries.some(
+    (entry) => entry.type === TYPE_RATIONAL && reader.u32(entry.valueOffset) + 8 > tiff.length
+  );
+  return outOfBounds ? null : { reader, entries };
+}
+
+function readEntryValue(reader, entry) {
+  if (entry.type === TYPE_SHORT) return reader.u16(entry.valueOffset);
+  if (entry.type === TYPE_LONG) return reader.u32(entry.valueOffset);
+  if (entry.type === TYPE_RATIONAL) {
+    const offset = reader.u32(entry.valueOffset);
+    return reader.u32(offset) / reader.u32(offset + 4);
+  }
+  return undefined;
+}
+
+function readExifTag(tiff, tag) {
+  const ifd = collectIfdEntries(tiff);
+  const entry = ifd && ifd.entries.find((candidate) => candidate.tag === tag);
+  return entry ? readEntryValue(ifd.reader, entry) : undefined;
+}
+
+function writeDimension(reader, entry, value) {
+  if (entry.type === TYPE_SHORT && value <= 0xffff) {
+    reader.setU16(value, entry.valueOffset);
+  } else if (entry.type === TYPE_LONG) {
+    reader.setU32(value, entry.valueOffset);
+  }
+}
+
+function scaleRational(reader, entry, scale) {
+  const offset = reader.u32(entry.valueOffset);
+  const value = (reader.u32(offset) / reader.u32(offset + 4)) * scale;
+  let denominator = reader.u32(offset + 4) || 1;
+  while (denominator > 1 && Math.round(value * denominator) > 0xffffffff) {
+    denominator = Math.floor(denominator / 10);
+  }
+  reader.setU32(Math.round(value * denominator), offset);
+  reader.setU32(denominator, offset + 4);
+}
+
+/**
+ * Returns a copy of the TIFF/Exif block with resolution-dependent tags updated
+ * for the upscaled image. GPS, altitude and camera tags are left untouched.
+ * Returns null when the block is malformed.
+ */
+function rescaleExif(exif, { width, height, scaleX, scaleY }) {
+  const tiff = Buffer.from(exif);
+  const ifd = collectIfdEntries(tiff);
+  if (!ifd) return null;
+  const { reader, entries } = ifd;
+  for (const entry of entries) {
+    if (entry.tag === TAG_PIXEL_X_DIMENSION || entry.tag === TAG_IMAGE_WIDTH) {
+      writeDimension(reader, entry, width);
+    } else if (entry.tag === TAG_PIXEL_Y_DIMENSION || entry.tag === TAG_IMAGE_LENGTH) {
+      writeDimension(reader, entry, height);
+    } else if (entry.tag === TAG_FOCAL_PLANE_X_RESOLUTION && entry.type === TYPE_RATIONAL) {
+      scaleRational(reader, entry, scaleX);
+    } else if (entry.tag === TAG_FOCAL_PLANE_Y_RESOLUTION && entry.type === TYPE_RATIONAL) {
+      scaleRational(reader, entry, scaleY);
+    }
+  }
+  return tiff;
+}
+
+function rescaleXmp(xmp, { width, height }) {
+  const replacements = {
+    'exif:PixelXDimension': width,
+    'exif:PixelYDimension': height,
+    'tiff:ImageWidth': width,
+    'tiff:ImageLength': height
+  };
+  let result = xmp;
+  for (const [name, value] of Object.entries(replacements)) {
+    result = result
+      .replace(new RegExp(`(${name}=")\\d+(")`, 'g'), `$1${value}$2`)
+      .replace(new RegExp(`(<${name}>)\\d+(</${name}>)`, 'g'), `$1${value}$2`);
+  }
+  return result;
+}
+
+function jpegSegment(payload) {
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+function injectIntoJpeg(buffer, metadata) {
+  const segments = readJpegSegments(buffer);
+  const kept = segments.filter(
+    (segment) =>
+      !(
+        segment.marker === 0xe1 &&
+        (startsWith(segment.payload, EXIF_HEADER) ||
+          startsWith(segment.payload, XMP_HEADER) ||
+          startsWith(segment.payload, XMP_EXTENSION_HEADER))
+      )
+  );
+
+  const inserted = [];
+  if (metadata.exif) {
+    inserted.push(jpegSegment(Buffer.concat([EXIF_HEADER, metadata.exif])));
+  }
+  if (metadata.xmp) {
+    inserted.push(jpegSegment(Buffer.concat([XMP_HEADER, Buffer.from(metadata.xmp, 'utf8')])));
+  }
+  for (const extension of metadata.extendedXmp) {
+    inserted.push(jpegSegment(extension));
+  }
+
+  // JFIF must stay the first segment when present.
+  const jfifFirst = kept.length > 0 && kept[0].marker === 0xe0;
+  const parts = [Buffer.from([0xff, 0xd8])];
+  if (!jfifFirst) parts.push(...inserted);
+  kept.forEach((segment, index) => {
+    parts.push(buffer.subarray(segment.start, segment.end));
+    if (jfifFirst && index === 0) parts.push(...inserted);
+  });
+
+  const headerEnd = segments.length ? segments[segments.length - 1].end : 2;
+  parts.push(buffer.subarray(headerEnd));
+  return Buffer.concat(parts);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+function injectIntoPng(buffer, metadata) {
+  const inserted = [];
+  if (metadata.exif) {
+    inserted.push(pngChunk('eXIf', metadata.exif));
+  }
+  if (metadata.xmp) {
+    // iTXt: keyword, null, compression flag + method, empty language and
+    // translated keyword, then the packet itself.
+    const data = Buffer.concat([
+      Buffer.from('XML:com.adobe.xmp\0\0\0\0\0', 'binary'),
+      Buffer.from(metadata.xmp, 'utf8')
+    ]);
+    inserted.push(pngChunk('iTXt', data));
+  }
+
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    const isMetadata =
+      type === 'eXIf' ||
+      (type === 'iTXt' && buffer.toString('binary', offset + 8, offset + 25) === 'XML:com.adobe.xmp');
+    if (!isMetadata) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    // Metadata goes straight after IHDR so readers see it before image data.
+    if (type === 'IHDR') parts.push(...inserted);
+    offset = end;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Copies Exif (GPS, altitude, camera) and XMP (including DJI gimbal tags) from
+ * a source JPEG into the upscaled output, rescaling dimension tags to the new
+ * size. The output is rewritten in place under the same name. Returns false
+ * when there was nothing to copy or the output format cannot carry it.
+ */
+async function copyMetadata(sourcePath, outputPath, log = () => {}) {
+  const source = await fs.readFile(sourcePath);
+  const metadata = extractMetadata(source);
+  if (!metadata.exif && !metadata.xmp) {
+    log(`No EXIF/XMP found in ${sourcePath}; skipping metadata copy.`);
+    return false;
+  }
+
+  const output = await fs.readFile(outputPath);
+  const sourceInfo = parseImageInfo(source);
+  const outputInfo = parseImageInfo(output);
+  const dimensions = {
+    width: outputInfo.width,
+    height: outputInfo.height,
+    scaleX: outputInfo.width / sourceInfo.width,
+    scaleY: outputInfo.height / sourceInfo.height
+  };
+
+  const rescaled = {
+    exif: metadata.exif ? rescaleExif(metadata.exif, dimensions) : null,
+    xmp: metadata.xmp ? rescaleXmp(metadata.xmp, dimensions) : null,
+    extendedXmp: metadata.extendedXmp
+  };
+  if (metadata.exif && !rescaled.exif) {
+    log(`Malformed EXIF in ${sourcePath}; dropping it from the output.`);
+    if (!rescaled.xmp) return false;
+  }
+
+  let updated;
+  if (outputInfo.format === 'jpeg') {
+    updated = injectIntoJpeg(output, rescaled);
+  } else if (outputInfo.format === 'png') {
+    updated = injectIntoPng(output, rescaled);
+  } else {
+    log(`Metadata copy is not supported for ${outputInfo.format} outputs.`);
+    return false;
+  }
+
+  const tempPath = `${outputPath}.metadata.tmp`;
+  await fs.writeFile(tempPath, updated);
+  await fs.rename(tempPath, outputPath);
+  return true;
+}
+
+module.exports = {
+  copyMetadata,
+  extractMetadata,
+  readExifTag,
+  rescaleExif,
+  rescaleXmp,
+  TAGS: {
+    GPS_IFD: TAG_GPS_IFD,
+    PIXEL_X_DIMENSION: TAG_PIXEL_X_DIMENSION,
+    PIXEL_Y_DIMENSION: TAG_PIXEL_Y_DIMENSION,
+    FOCAL_PLANE_X_RESOLUTION: TAG_FOCAL_PLANE_X_RESOLUTION,
+    FOCAL_PLANE_Y_RESOLUTION: TAG_FOCAL_PLANE_Y_RESOLUTION
+  }
+};
@@ -0,0 +1,229 @@
+const { formatMs } = require('./run-report');
+
+// Completed images the "time per image" average is taken over.
+const ROLLING_WINDOW = 10;
+
+// Provider steps grouped into the phases the breakdown shows.
+const STEP_PHASES = {
+  upload: 'upload',
+  processing: 'generation',
+  download: 'download'
+};
+const PHASES = ['upload', 'generation', 'download', 'other'];
+
+function average(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Batch progress fed by the run's events: processed/failed/remaining
+ * counts (and results held for review), a rolling average time per image,
+ * throughput, an ETA that includes the delay between images, and where the
+ * time went (upload, generation, download). On a TTY it redraws a status
+ * block below the log, with each worker's current step; elsewhere it prints
+ * a plain line every `intervalMs`. Log functions must be passed through
+ * `wrap()` so their lines land above the block.
+ */
+function createProgress({
+  total: initialTotal,
+  workers = 1,
+  minDelayMs = 0,
+  maxDelayMs = 0,
+  stream = process.stdout,
+  mode = 'auto',
+  intervalMs = 30000,
+  now = Date.now
+}) {
+  const style = mode === 'auto' ? (stream.isTTY ? 'bar' : 'lines') : mode;
+  const startedAt = now();
+  let total = initialTotal;
+  const imageStarts = new Map();
+  const recent = [];
+  const phaseMs = Object.fromEntries(PHASES.map((phase) => [phase, 0]));
+  // provider -> image it is working on; labels stay fixed per provider.
+  const active = new Map();
+  const labels = new Map();
+  let processed = 0;
+  let failed = 0;
+  let review = 0;
+  let resumeAt = 0;
+  let drawnLines = 0;
+  let timer = null;
+  let stopped = false;
+
+  function finishImage(event) {
+    const firstStart = imageStarts.get(event.image);
+    imageStarts.delete(event.image);
+    if (firstStart === undefined) return;
+    recent.push(now() - firstStart);
+    if (recent.length > ROLLING_WINDOW) recent.shift();
+  }
+
+  function snapshot() {
+    const elapsedMs = now() - startedAt;
+    const done = processed + failed + review;
+    const remaining = Math.max(0, total - done);
+    const imageMs = average(recent);
+    const delayMs = (minDelayMs + maxDelayMs) / 2;
+    const lanes = Math.max(1, Math.min(workers, remaining));
+    let etaMs = null;
+    if (recent.length) {
+      // Each worker waits between images, except after its last one.
+      const perLane = Math.ceil(remaining / lanes);
+      const pauseMs = Math.max(0, resumeAt - now());
+      etaMs = Math.round(perLane * imageMs + Math.max(0, perLane - 1) * delayMs + pauseMs);
+    }
+    return {
+      total,
+      processed,
+      failed,
+      review,
+      remaining,
+      elapsedMs,
+      imageMs: Math.round(imageMs),
+      perHour: done && elapsedMs ? (done * 3600 * 1000) / elapsedMs : 0,
+      etaMs,
+      phases: { ...phaseMs },
+      pausedUntil: resumeAt > now() ? new Date(resumeAt).toISOString() : null
+    };
+  }
+
+  function summaryLine(state) {
+    const parts = [
+      `${state.processed}/${state.total} processed, ${state.failed} failed, ` +
+        (state.review ? `${state.review} to review, ` : '') +
+        `${state.remaining} remaining`
+    ];
+    if (state.imageMs) parts.push(`${formatMs(state.imageMs)}/image`);
+    if (state.perHour) parts.push(`${state.perHour.toFixed(1)} images/h`);
+    if (state.etaMs !== null && state.remaining) parts.push(`ETA ${formatMs(state.etaMs)}`);
+    if (state.pausedUntil) parts.push(`paused until ${state.pausedUntil}`);
+    return parts.join(' | ');
+  }
+
+  function phaseLine(state) {
+    const spent = PHASES.reduce((sum, phase) => sum + state.phases[phase], 0);
+    if (!spent) return null;
+    return PHASES.map((phase) => {
+      const share = Math.round((state.phases[phase] / spent) * 100);
+      return `${phase} ${formatMs(state.phases[phase])} (${share}%)`;
+    }).join(', ');
+  }
+
+  function render() {
+    const state = snapshot();
+    const lines = [`Progress: ${summaryLine(state)}`];
+    const phases = phaseLine(state);
+    if (phases) lines.push(`Time: ${phases}`);
+    if (style === 'bar') {
+      for (const [provider, image] of active) {
+        const stepMs = provider.stepStartedAt === null ? 0 : now() - provider.stepStartedAt;
+        lines.push(
+          `  [${labels.get(provider)}] ${image}: ${provider.currentStep} ${formatMs(stepMs)}`
+        );
+      }
+    }
+    return lines;
+  }
+
+  function clear() {
+    if (!drawnLines) return;
+    // Back to the first line of the block, then erase to the end of screen.
+    stream.write(`\x1b[${drawnLines}F\x1b[0J`);
+    drawnLines = 0;
+  }
+
+  function draw() {
+    if (style === 'off') return;
+    if (style === 'lines') {
+      stream.write(`${render()[0]}\n`);
+      return;
+    }
+    clear();
+    const lines = render();
+    stream.write(`${lines.join('\n')}\n`);
+    drawnLines = lines.length;
+  }
+
+  const progress = {
+    style,
+    snapshot,
+    render,
+
+    handle(event) {
+      switch (event.type) {
+        case 'image-queued':
+          total += 1;
+          break;
+        case 'image-start':
+          if (!imageStarts.has(event.image)) imageStarts.set(event.image, now());
+          break;
+        case 'step':
+          phaseMs[STEP_PHASES[event.step] || 'other'] += event.durationMs;
+          break;
+        case 'image-success':
+          processed += 1;
+          finishImage(event);
+          break;
+        case 'image-failed':
+          failed += 1;
+          finishImage(event);
+          break;
+        case 'image-review':
+          review += 1;
+          finishImage(event);
+          break;
+        case 'pause':
+          resumeAt = Math.max(resumeAt, Date.parse(event.resumeAt));
+          break;
+        default:
+      }
+      if (style === 'bar' && !stopped) draw();
+    },
+
+    // A worker's provider, read at every redraw for its current step.
+    startImage(provider, image) {
+      if (!labels.has(provider)) labels.set(provider, labels.size + 1);
+      active.set(provider, image);
+    },
+
+    endImage(provider) {
+      active.delete(provider);
+    },
+
+    // Wraps a log function so its lines scroll above the status block.
+    wrap(write) {
+      return (...args) => {
+        if (style !== 'bar' || stopped) return write(...args);
+        clear();
+        write(...args);
+        draw();
+        return undefined;
+      };
+    },
+
+    start() {
+      if (style === 'off') return;
+      const every = style === 'bar' ? 1000 : intervalMs;
+      timer = setInterval(draw, every);
+      timer.unref();
+      if (style === 'bar') draw();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      stopped = true;
+      if (style === 'bar') clear();
+      if (style !== 'off') {
+        const phases = phaseLine(snapshot());
+        if (phases) stream.write(`Time spent: ${phases}\n`);
+      }
+    }
+  };
+  return progress;
+}
+
+module.exports = {
+  createProgress
+};
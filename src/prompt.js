@@ -0,0 +1,126 @@
+const path = require('path');
+
+const { SourceError } = require('./errors');
+const { readSourceInfo } = require('./image-info');
+
+const PLACEHOLDERS = ['srcWidth', 'srcHeight', 'targetWidth', 'targetHeight', 'filename'];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Used when neither a target size, a scale nor a size in the prompt is given;
+// the height follows the source's aspect ratio (1920x1080 -> 4000x2250).
+const DEFAULT_TARGET_WIDTH = 4000;
+
+// Picks the last "WIDTHxHEIGHT" in the prompt, i.e. the size asked for.
+function parseTargetFromPrompt(prompt) {
+  const matches = [...prompt.matchAll(/(\d{2,5})\s*[x×]\s*(\d{2,5})/gi)];
+  if (!matches.length) return {};
+  const [, width, height] = matches[matches.length - 1];
+  return { width: Number(width), height: Number(height) };
+}
+
+function templatePlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]);
+}
+
+// Throws for placeholders we cannot fill, so typos surface at start-up.
+function checkTemplate(template, source) {
+  for (const name of templatePlaceholders(template)) {
+    if (!PLACEHOLDERS.includes(name)) {
+      throw new Error(
+        `Unknown placeholder {${name}} in ${source}. Expected one of: ` +
+          PLACEHOLDERS.map((placeholder) => `{${placeholder}}`).join(', ')
+      );
+    }
+  }
+}
+
+function renderPrompt(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name]));
+}
+
+/**
+ * Works out the output size for one image from the first request that asks
+ * for one: explicit width/height (a missing side follows the source aspect),
+ * or a scale factor applied to the source. Sides that need the source size
+ * stay undefined when it is unknown.
+ */
+function resolveTarget(requests, source) {
+  const request = requests.find(
+    (candidate) => candidate.targetWidth || candidate.targetHeight || candidate.scale
+  );
+  let { targetWidth, targetHeight } = request;
+  if (!source) return { targetWidth, targetHeight };
+
+  if (!targetWidth && !targetHeight) {
+    targetWidth = Math.round(source.width * request.scale);
+    targetHeight = Math.round(source.height * request.scale);
+  } else if (!targetHeight) {
+    targetHeight = Math.round((targetWidth * source.height) / source.width);
+  } else if (!targetWidth) {
+    targetWidth = Math.round((targetHeight * source.width) / source.height);
+  }
+  return { targetWidth, targetHeight };
+}
+
+/**
+ * Resolves what to ask for one image: the prompt (manifest row, else
+ * --prompt) rendered with the source's real header size, the mode and the
+ * target size the output is validated against. The template is kept so
+ * --tiles can render it again per tile.
+ */
+async function resolveJob(config, imagePath, entry = {}) {
+  let source = null;
+  try {
+    const info = await readSourceInfo(imagePath);
+    if (info.width && info.height) source = { width: info.width, height: info.height };
+  } catch (err) {
+    source = null;
+  }
+
+  const template = entry.prompt || config.prompt;
+  const entryLiteral = entry.prompt ? parseTargetFromPrompt(entry.prompt) : {};
+  const target = resolveTarget(
+    [
+      entry,
+      { targetWidth: entryLiteral.width, targetHeight: entryLiteral.height },
+      config,
+      { targetWidth: DEFAULT_TARGET_WIDTH }
+    ],
+    source
+  );
+
+  const values = {
+    srcWidth: source ? source.width : undefined,
+    srcHeight: source ? source.height : undefined,
+    targetWidth: target.targetWidth,
+    targetHeight: target.targetHeight,
+    filename: path.basename(imagePath)
+  };
+  const missing = templatePlaceholders(template).filter((name) => values[name] === undefined);
+  if (missing.length) {
+    throw new SourceError(
+      `Cannot fill {${missing.join('}, {')}} for ${path.basename(imagePath)}: ` +
+        'its dimensions could not be read from the file header.'
+    );
+  }
+
+  return {
+    prompt: renderPrompt(template, values),
+    template,
+    mode: entry.mode || config.mode,
+    targetWidth: target.targetWidth,
+    targetHeight: target.targetHeight,
+    sourceWidth: values.srcWidth,
+    sourceHeight: values.srcHeight
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TARGET_WIDTH,
+  checkTemplate,
+  parseTargetFromPrompt,
+  renderPrompt,
+  resolveJob,
+  resolveTarget
+};
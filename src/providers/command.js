@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const { spawn } = require('child_process');
+
+const { GenerationError, GenerationTimeoutError } = require('../errors');
+const { UpscaleProvider } = require('./provider');
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function renderCommand(template, values) {
+  return template.replace(/\{(input|output|prompt)\}/g, (match, key) =>
+    shellQuote(values[key])
+  );
+}
+
+/**
+ * Runs a local upscaler (e.g. Real-ESRGAN) per image. The command template
+ * comes from --command and may reference {input}, {output} and {prompt}.
+ */
+class CommandProvider extends UpscaleProvider {
+  constructor(config) {
+    super(config);
+    if (!config.command) {
+      throw new Error('The command provider requires --command "<template>".');
+    }
+    this.pending = null;
+    this.child = null;
+  }
+
+  async submit(imagePath, prompt) {
+    this.setStep('upload');
+    this.pending = { input: imagePath, prompt };
+  }
+
+  async collect(outputPath) {
+    if (!this.pending) {
+      throw new Error('collect() called before submit().');
+    }
+    this.setStep('processing');
+    const command = renderCommand(this.config.command, {
+      ...this.pending,
+      output: outputPath
+    });
+    this.pending = null;
+
+    this.log(`Running: ${command}`);
+    await new Promise((resolve, reject) => {
+      // Own process group, so close() can stop the command and anything it
+      // started, and a terminal Ctrl+C reaches us rather than the command.
+      const child = spawn(command, {
+        shell: true,
+        detached: true,
+        stdio: ['ignore', 'inherit', 'inherit']
+      });
+      this.child = child;
+      const timer = setTimeout(() => {
+        this._killChild();
+        reject(new GenerationTimeoutError('Timeout waiting for upscaler command.'));
+      }, this.config.processingTimeoutMs);
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new GenerationError(`Upscaler command failed: ${err.message}`, { cause: err }));
+      });
+      child.on('exit', (code) => {
+        clearTimeout(timer);
+        this.child = null;
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new GenerationError(`Upscaler command exited with code ${code}.`));
+        }
+      });
+    });
+
+    this.setStep('download');
+    const stats = await fs.stat(outputPath);
+    if (!stats.size) {
+      throw new GenerationError(`Upscaler output is empty: ${outputPath}`);
+    }
+  }
+
+  _killChild() {
+    if (!this.child) return;
+    try {
+      process.kill(-this.child.pid, 'SIGTERM');
+    } catch (err) {
+      // Already exited.
+    }
+    this.child = null;
+  }
+
+  async close() {
+    this._killChild();
+  }
+}
+
+module.exports = {
+  CommandProvider,
+  renderCommand
+};
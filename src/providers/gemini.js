@@ -0,0 +1,102 @@
+const { acquireBrowserContext, releaseBrowserContext } = require('../browser');
+const { GeminiHandler } = require('../gemini-handler');
+const { loadSelectors } = require('../selectors');
+const { UpscaleProvider } = require('./provider');
+
+class GeminiProvider extends UpscaleProvider {
+  constructor(config) {
+    super(config);
+    this.context = null;
+    this.page = null;
+    this.handler = null;
+    this.selectors = null;
+    this.previousDownloadCount = 0;
+    this.previousResponseCount = 0;
+    this.imagesInChat = 0;
+  }
+
+  async open() {
+    this.selectors = await loadSelectors(this.config.selectors);
+    for (const warning of this.selectors.warnings) this.log(`Warning: ${warning}`);
+    this.context = await acquireBrowserContext(this.config, this.log);
+    this.page = await this.context.newPage();
+    this.handler = new GeminiHandler(this.page, this.config, this.selectors);
+
+    this.log('Navigating to Gemini...');
+    await this.page.goto(this.config.geminiUrl, { waitUntil: 'domcontentloaded' });
+    await this.handler.ensureLoggedIn();
+  }
+
+  // --newChatEvery N moves on to a fresh conversation after N images.
+  _chatIsFull() {
+    const every = this.config.newChatEvery;
+    return every > 0 && this.imagesInChat >= every;
+  }
+
+  async prepare(job = {}) {
+    this.setStep('check-session');
+    await this.handler.assertSignedIn();
+    this.setStep('ensure-ready');
+    await this.handler.ensureReadyForInput();
+    if (this._chatIsFull()) {
+      this.setStep('new-chat');
+      await this.handler.startNewChat();
+      this.imagesInChat = 0;
+    }
+    // Counted after any chat switch, so "new" means new in this chat.
+    this.previousDownloadCount = await this.handler.getDownloadButtonCount();
+    this.previousResponseCount = await this.handler.getResponseCount();
+    this.setStep('select-mode');
+    await this.handler.selectMode(job.mode || this.config.mode);
+  }
+
+  async submit(imagePath, prompt) {
+    this.setStep('upload');
+    await this.handler.uploadImage(imagePath);
+    this.setStep('prompt');
+    await this.handler.enterPrompt(prompt);
+    this.setStep('send');
+    await this.handler.sendPrompt();
+    this.imagesInChat += 1;
+  }
+
+  async collect(outputPath) {
+    this.setStep('processing');
+    await this.handler.waitForProcessingComplete(
+      this.previousDownloadCount,
+      this.previousResponseCount
+    );
+
+    this.setStep('download');
+    const downloadButton = await this.handler.waitForNewDownloadButton(
+      this.previousDownloadCount
+    );
+    await this.handler.downloadImage(outputPath, downloadButton);
+  }
+
+  async complete() {
+    if (!this.config.deleteChats) return;
+    this.setStep('delete-chat');
+    await this.handler.deleteCurrentChat();
+    this.imagesInChat = 0;
+  }
+
+  async captureDebug(label, outputDir) {
+    if (!this.handler) return {};
+    return this.handler.captureDebug(label, outputDir);
+  }
+
+  async close() {
+    if (!this.context) return;
+    this.context = null;
+    if (this.page) {
+      await this.page.close().catch(() => {});
+      this.page = null;
+    }
+    await releaseBrowserContext(this.config);
+  }
+}
+
+module.exports = {
+  GeminiProvider
+};
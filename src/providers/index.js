@@ -0,0 +1,21 @@
+const { CommandProvider } = require('./command');
+const { GeminiProvider } = require('./gemini');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  command: CommandProvider
+};
+
+function createProvider(name, config) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    const known = Object.keys(PROVIDERS).join(', ');
+    throw new Error(`Unknown provider "${name}". Available: ${known}`);
+  }
+  return new Provider(config);
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
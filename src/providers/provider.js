@@ -0,0 +1,73 @@
+/**
+ * Contract every upscaling backend implements. The batch loop in main.js only
+ * talks to these methods, so retry, state and logging code stay the same
+ * whichever provider is selected with --provider.
+ *
+ * Lifecycle: open() once, then per image prepare(job) -> submit() -> collect(),
+ * complete() once the image is validated and recorded, and close() when the
+ * batch ends. `job` carries the per-image settings (prompt, mode, target
+ * size) resolved by src/prompt.js. Providers update `currentStep` as they go
+ * so failures can be logged with the step that was running.
+ */
+class UpscaleProvider {
+  constructor(config) {
+    this.config = config;
+    this.log = config.log || (() => {});
+    this.currentStep = 'init';
+    this.stepStartedAt = null;
+    this.stepTimings = [];
+  }
+
+  setStep(step) {
+    const now = Date.now();
+    if (this.stepStartedAt !== null) {
+      if (step === this.currentStep) return;
+      this.stepTimings.push({ step: this.currentStep, durationMs: now - this.stepStartedAt });
+    }
+    this.currentStep = step;
+    this.stepStartedAt = now;
+  }
+
+  // Ends the running step and returns how long each step since the last call
+  // took, in order.
+  takeStepTimings() {
+    if (this.stepStartedAt !== null) {
+      this.stepTimings.push({
+        step: this.currentStep,
+        durationMs: Date.now() - this.stepStartedAt
+      });
+    }
+    const timings = this.stepTimings;
+    this.stepTimings = [];
+    this.stepStartedAt = null;
+    return timings;
+  }
+
+  async open() {}
+
+  async prepare(job) {}
+
+  async submit(imagePath, prompt) {
+    throw new Error(`${this.constructor.name} does not implement submit().`);
+  }
+
+  async collect(outputPath) {
+    throw new Error(`${this.constructor.name} does not implement collect().`);
+  }
+
+  // Post-success housekeeping (e.g. deleting the chat); failures are only
+  // logged since the image is already processed.
+  async complete() {}
+
+  // Saves whatever helps diagnose a failure into outputDir and resolves with
+  // the paths written, keyed by kind (e.g. { screenshot, html }).
+  async captureDebug(label, outputDir) {
+    return {};
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  UpscaleProvider
+};
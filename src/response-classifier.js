@@ -0,0 +1,78 @@
+// Only usage-limit wording: a bare "quota" also shows up in ordinary error
+// banners, which must not pause the batch.
+const QUOTA_PATTERNS = [
+  /(?:you've|you have) reached your (?:\w+ )?limit/i,
+  /\b(?:usage|rate|daily|generation|request) limit (?:reached|exceeded|has been reached)\b/i,
+  /\busage limit\b/i,
+  /\bquota (?:reached|exceeded|exhausted|used up)\b/i,
+  /\b(?:exceeded|reached|used up) (?:your|the) (?:\w+ )?quota\b/i,
+  /\btoo many requests\b/i
+];
+// Gemini's shortest limit notice. Only a reply without an image counts; next
+// to an image it is ordinary advice.
+const TRY_LATER_PATTERN = /\btry again later\b/i;
+
+const REFUSAL_PATTERNS = [
+  /\bI (?:can't|cannot|can not|won't) (?:help|edit|modify|create|generate|make|do)\b/i,
+  /\bI'm (?:not able|unable) to (?:help|edit|modify|create|generate|make|do)\b/i,
+  /\bI'm just a language model\b/i,
+  /\b(?:against|violates?) (?:my|our) (?:policies|guidelines|policy)\b/i,
+  /\bcan't (?:edit|modify) (?:images|photos|this (?:image|photo))\b/i
+];
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Finds when a usage limit lifts, from phrases such as "try again in 2 hours"
+ * or "resets at 5:00 PM". Clock times are taken as local time and roll over
+ * to tomorrow when already past. Returns undefined when no time is given.
+ */
+function parseResetTime(text, now = new Date()) {
+  const relative = text.match(/\bin (\d+|an?) (minute|hour|day)s?\b/i);
+  if (relative) {
+    const amount = /^an?$/i.test(relative[1]) ? 1 : Number(relative[1]);
+    return new Date(now.getTime() + amount * UNIT_MS[relative[2].toLowerCase()]);
+  }
+
+  const clock = text.match(/\b(?:at|after|until)\s+(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?/i);
+  if (clock) {
+    let hours = Number(clock[1]);
+    const minutes = Number(clock[2] || 0);
+    const meridiem = clock[3] ? clock[3][0].toLowerCase() : null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return undefined;
+
+    const reset = new Date(now);
+    reset.setHours(hours, minutes, 0, 0);
+    if (reset <= now) reset.setDate(reset.getDate() + 1);
+    return reset;
+  }
+  return undefined;
+}
+
+/**
+ * Classifies a model reply. Returns `{ type: 'quota', resetAt }`,
+ * `{ type: 'refusal' }` or null. `hasImage` says the reply carries an image,
+ * which rules out a bare "try again later" as a usage limit.
+ */
+function classifyResponse(text, now = new Date(), { hasImage = false } = {}) {
+  if (!text) return null;
+  const tryLater = !hasImage && TRY_LATER_PATTERN.test(text);
+  if (tryLater || QUOTA_PATTERNS.some((pattern) => pattern.test(text))) {
+    return { type: 'quota', resetAt: parseResetTime(text, now) };
+  }
+  if (REFUSAL_PATTERNS.some((pattern) => pattern.test(text))) {
+    return { type: 'refusal' };
+  }
+  return null;
+}
+
+module.exports = {
+  classifyResponse,
+  parseResetTime
+};
@@ -0,0 +1,295 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const { readRunEvents } = require('./events');
+
+const REPORTS_DIR = 'reports';
+const THUMBNAIL_SIZE = 320;
+
+function getReportDir(outputDir, runId) {
+  return path.join(outputDir, REPORTS_DIR, runId);
+}
+
+function percentile(sorted, fraction) {
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function timingStats(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const totalMs = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    count: sorted.length,
+    totalMs,
+    meanMs: sorted.length ? Math.round(totalMs / sorted.length) : 0,
+    medianMs: sorted.length ? percentile(sorted, 0.5) : 0,
+    p90Ms: sorted.length ? percentile(sorted, 0.9) : 0,
+    maxMs: sorted.length ? sorted[sorted.length - 1] : 0
+  };
+}
+
+/**
+ * Folds one run's events into what the report shows: run totals, timing
+ * statistics per step and per image, every failed attempt (with its debug
+ * artifacts and whether the image recovered), the processed images and
+ * those held for review.
+ */
+function summarizeRun(events) {
+  const start = events.find((event) => event.type === 'run-start') || {};
+  const end = events.find((event) => event.type === 'run-end') || {};
+  const byType = (type) => events.filter((event) => event.type === type);
+
+  const stepDurations = new Map();
+  for (const { step, durationMs } of byType('step')) {
+    if (!stepDurations.has(step)) stepDurations.set(step, []);
+    stepDurations.get(step).push(durationMs);
+  }
+  const successes = byType('image-success');
+  const reviews = byType('image-review');
+  const processed = new Set([...successes, ...reviews].map((event) => event.image));
+
+  return {
+    runId: start.runId || (events[0] && events[0].runId),
+    startedAt: start.ts || null,
+    endedAt: end.ts || null,
+    provider: start.provider,
+    workers: start.workers,
+    // --watch runs start empty and queue images as they arrive.
+    queued: (start.queued || 0) + byType('image-queued').length,
+    successCount: successes.length,
+    failureCount: byType('image-failed').length,
+    reviewCount: reviews.length,
+    interrupted: Boolean(end.interrupted),
+    durationMs: end.durationMs,
+    steps: [...stepDurations].map(([step, durations]) => ({ step, ...timingStats(durations) })),
+    images: timingStats(successes.map((event) => event.durationMs)),
+    errors: byType('image-error').map((event) => ({
+      ...event,
+      recovered: processed.has(event.image)
+    })),
+    successes,
+    reviews
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatMs(ms) {
+  if (ms === undefined || ms === null) return '';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// Links are relative to the report so the output folder can be moved or
+// shared as a whole.
+function linkTo(reportDir, target) {
+  return path.relative(reportDir, target).split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// Thumbnails of images that cannot be decoded (missing, truncated) are left
+// out and the report says so instead.
+async function makeThumbnail(source, destination) {
+  try {
+    await sharp(source)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(destination);
+    return destination;
+  } catch (err) {
+    return null;
+  }
+}
+
+function thumbnailCell(reportDir, thumbnail, original, label) {
+  if (!thumbnail) return `<td class="missing">${escapeHtml(label)} preview unavailable</td>`;
+  return (
+    `<td><a href="${linkTo(reportDir, original)}">` +
+    `<img src="${linkTo(reportDir, thumbnail)}" alt="${escapeHtml(label)}"></a></td>`
+  );
+}
+
+function renderReport(summary, { reportDir, outputDir, previews, reviews }) {
+  const stepRows = summary.steps
+    .map(
+      (row) =>
+        `<tr><td>${escapeHtml(row.step)}</td><td>${row.count}</td><td>${formatMs(row.totalMs)}</td>` +
+        `<td>${formatMs(row.meanMs)}</td><td>${formatMs(row.medianMs)}</td>` +
+        `<td>${formatMs(row.p90Ms)}</td><td>${formatMs(row.maxMs)}</td></tr>`
+    )
+    .join('\n');
+
+  const errorRows = summary.errors
+    .map((error) => {
+      const screenshot = error.artifacts && error.artifacts.screenshot;
+      const shot = screenshot
+        ? `<a href="${linkTo(reportDir, path.join(outputDir, screenshot))}">` +
+          `<img class="screenshot" src="${linkTo(reportDir, path.join(outputDir, screenshot))}" ` +
+          'alt="debug screenshot"></a>'
+        : '';
+      const links = Object.entries(error.artifacts || {})
+        .filter(([kind]) => kind !== 'screenshot')
+        .map(
+          ([kind, file]) =>
+            `<a href="${linkTo(reportDir, path.join(outputDir, file))}">${escapeHtml(kind)}</a>`
+        )
+        .join(' ');
+      return (
+        `<tr class="${error.recovered ? 'recovered' : 'failed'}">` +
+        `<td>${escapeHtml(error.image)}</td><td>${error.attempt}</td><td>${escapeHtml(error.step)}</td>` +
+        `<td>${escapeHtml(error.errorClass)}</td><td>${escapeHtml(error.message)}</td>` +
+        `<td>${error.recovered ? 'recovered' : 'failed'}</td><td>${shot} ${links}</td></tr>`
+      );
+    })
+    .join('\n');
+
+  const previewRows = previews
+    .map(
+      (preview) =>
+        `<tr><td>${escapeHtml(preview.image)}<br><small>${escapeHtml(preview.size)} in ` +
+        `${formatMs(preview.durationMs)}</small></td>` +
+        thumbnailCell(reportDir, preview.sourceThumbnail, preview.sourcePath, 'source') +
+        thumbnailCell(reportDir, preview.outputThumbnail, preview.outputPath, 'upscaled') +
+        '</tr>'
+    )
+    .join('\n');
+
+  const reviewRows = reviews
+    .map(
+      (review) =>
+        `<tr><td>${escapeHtml(review.image)}<br><small>` +
+        `${(review.reasons || []).map(escapeHtml).join('<br>')}</small></td>` +
+        thumbnailCell(reportDir, review.sourceThumbnail, review.sourcePath, 'source') +
+        thumbnailCell(reportDir, review.outputThumbnail, review.outputPath, 'upscaled') +
+        thumbnailCell(reportDir, review.heatmapThumbnail, review.heatmapPath, 'difference') +
+        '</tr>'
+    )
+    .join('\n');
+
+  const totals =
+    `${summary.successCount} processed, ${summary.failureCount} failed` +
+    (summary.reviewCount ? `, ${summary.reviewCount} to review` : '') +
+    (summary.interrupted ? ', interrupted' : '') +
+    (summary.durationMs !== undefined ? ` in ${formatMs(summary.durationMs)}` : '');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Upscale run ${escapeHtml(summary.runId)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  tr.failed td { background: #fde8e8; }
+  tr.recovered td { background: #fff6dd; }
+  td.missing { color: #888; font-style: italic; }
+  img { max-width: ${THUMBNAIL_SIZE}px; }
+  img.screenshot { max-width: 200px; }
+</style>
+</head>
+<body>
+<h1>Upscale run ${escapeHtml(summary.runId)}</h1>
+<p>Provider ${escapeHtml(summary.provider)}, ${escapeHtml(summary.workers)} worker(s),
+${escapeHtml(summary.queued)} image(s) queued. Started ${escapeHtml(summary.startedAt)}.</p>
+<p><strong>${escapeHtml(totals)}</strong></p>
+
+<h2>Time per step</h2>
+<table>
+<tr><th>Step</th><th>Count</th><th>Total</th><th>Mean</th><th>Median</th><th>p90</th><th>Max</th></tr>
+${stepRows}
+<tr><th>Per image</th><td>${summary.images.count}</td><td>${formatMs(summary.images.totalMs)}</td>
+<td>${formatMs(summary.images.meanMs)}</td><td>${formatMs(summary.images.medianMs)}</td>
+<td>${formatMs(summary.images.p90Ms)}</td><td>${formatMs(summary.images.maxMs)}</td></tr>
+</table>
+
+<h2>Failed attempts (${summary.errors.length})</h2>
+<table>
+<tr><th>Image</th><th>Attempt</th><th>Step</th><th>Class</th><th>Message</th><th>Outcome</th><th>Debug</th></tr>
+${errorRows}
+</table>
+
+<h2>Needs review (${reviews.length})</h2>
+<table>
+<tr><th>Image</th><th>Source</th><th>Upscaled</th><th>Difference</th></tr>
+${reviewRows}
+</table>
+
+<h2>Processed images (${previews.length})</h2>
+<table>
+<tr><th>Image</th><th>Source</th><th>Upscaled</th></tr>
+${previewRows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the HTML report for a run (the latest by default) from
+ * events.jsonl, with source/upscaled thumbnails for every processed image
+ * (and the diff heatmap for those held for review).
+ * Written to reports/<runId>/index.html under the output folder unless `out`
+ * names another file; thumbnails go to a "thumbs" folder beside it.
+ */
+async function writeRunReport(outputDir, { runId, out } = {}) {
+  const { runId: selected, events } = await readRunEvents(outputDir, runId);
+  if (!events.length) {
+    throw new Error(
+      runId ? `No events recorded for run ${runId}.` : `No runs recorded in ${outputDir} yet.`
+    );
+  }
+  const summary = summarizeRun(events);
+  const reportPath = out || path.join(getReportDir(outputDir, selected), 'index.html');
+  const reportDir = path.dirname(reportPath);
+  const thumbsDir = out
+    ? path.join(reportDir, `${path.parse(out).name}-thumbs`)
+    : path.join(reportDir, 'thumbs');
+  await fs.mkdir(thumbsDir, { recursive: true });
+
+  const previews = [];
+  for (const [index, success] of summary.successes.entries()) {
+    const prefix = path.join(thumbsDir, String(index + 1).padStart(4, '0'));
+    previews.push({
+      ...success,
+      size: success.width ? `${success.width}x${success.height}` : 'unvalidated',
+      sourceThumbnail: await makeThumbnail(success.sourcePath, `${prefix}-source.jpg`),
+      outputThumbnail: await makeThumbnail(success.outputPath, `${prefix}-upscaled.jpg`)
+    });
+  }
+
+  const reviews = [];
+  for (const [index, review] of summary.reviews.entries()) {
+    const prefix = path.join(thumbsDir, `review-${String(index + 1).padStart(4, '0')}`);
+    reviews.push({
+      ...review,
+      sourceThumbnail: await makeThumbnail(review.sourcePath, `${prefix}-source.jpg`),
+      outputThumbnail: await makeThumbnail(review.outputPath, `${prefix}-upscaled.jpg`),
+      heatmapThumbnail: review.heatmapPath
+        ? await makeThumbnail(review.heatmapPath, `${prefix}-diff.jpg`)
+        : null
+    });
+  }
+
+  await fs.writeFile(
+    reportPath,
+    renderReport(summary, { reportDir, outputDir, previews, reviews })
+  );
+  return { reportPath, summary };
+}
+
+module.exports = {
+  REPORTS_DIR,
+  formatMs,
+  summarizeRun,
+  timingStats,
+  writeRunReport
+};
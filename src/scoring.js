@@ -0,0 +1,179 @@
+const sharp = require('sharp');
+
+// Source and result are compared at this size (long side) or less, so the
+// check costs the same for a thumbnail and an 8K frame.
+const COMPARE_SIZE = 512;
+// Sharpness is measured a little larger, where upscaled detail still shows.
+const SHARPNESS_SIZE = 1024;
+const HISTOGRAM_BINS = 32;
+const SSIM_WINDOW = 8;
+// How much each measure counts towards a candidate's score.
+const WEIGHTS = { ssim: 0.5, colour: 0.3, sharpness: 0.2 };
+
+// Largest size with the source's aspect whose long side is at most `limit`.
+function fitWithin(width, height, limit) {
+  const factor = Math.min(1, limit / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * factor)),
+    height: Math.max(1, Math.round(height * factor))
+  };
+}
+
+// Raw pixels resized to exactly width x height ('fill': aspect differences
+// show up in the comparison instead of being cropped away).
+async function loadPixels(imagePath, { width, height }, channels) {
+  let image = sharp(imagePath).resize(width, height, { fit: 'fill' }).removeAlpha();
+  image = channels === 1 ? image.grayscale() : image.toColourspace('srgb');
+  return image.raw().toBuffer();
+}
+
+/**
+ * Mean structural similarity of two greyscale images of the same size, over
+ * 8x8 windows: 1 for identical images, near 0 for unrelated ones.
+ */
+function ssim(a, b, width, height) {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  let total = 0;
+  let windows = 0;
+  for (let top = 0; top < height; top += SSIM_WINDOW) {
+    for (let left = 0; left < width; left += SSIM_WINDOW) {
+      const bottom = Math.min(height, top + SSIM_WINDOW);
+      const right = Math.min(width, left + SSIM_WINDOW);
+      const count = (bottom - top) * (right - left);
+      let sumA = 0;
+      let sumB = 0;
+      for (let y = top; y < bottom; y += 1) {
+        for (let x = left; x < right; x += 1) {
+          sumA += a[y * width + x];
+          sumB += b[y * width + x];
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      let varA = 0;
+      let varB = 0;
+      let cov = 0;
+      for (let y = top; y < bottom; y += 1) {
+        for (let x = left; x < right; x += 1) {
+          const da = a[y * width + x] - meanA;
+          const db = b[y * width + x] - meanB;
+          varA += da * da;
+          varB += db * db;
+          cov += da * db;
+        }
+      }
+      varA /= count;
+      varB /= count;
+      cov /= count;
+      total +=
+        ((2 * meanA * meanB + c1) * (2 * cov + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+      windows += 1;
+    }
+  }
+  return windows ? total / windows : 1;
+}
+
+// Per-channel histograms of interleaved RGB pixels, each summing to 1.
+function colourHistogram(rgb) {
+  const histogram = Array.from({ length: 3 }, () => new Float64Array(HISTOGRAM_BINS));
+  const pixels = rgb.length / 3;
+  for (let i = 0; i < rgb.length; i += 1) {
+    histogram[i % 3][Math.floor((rgb[i] * HISTOGRAM_BINS) / 256)] += 1 / pixels;
+  }
+  return histogram;
+}
+
+// 0 when the colour distributions match, up to 1 when they do not overlap
+// (Hellinger distance, averaged over the channels).
+function histogramDistance(a, b) {
+  let total = 0;
+  for (let channel = 0; channel < 3; channel += 1) {
+    let overlap = 0;
+    for (let bin = 0; bin < HISTOGRAM_BINS; bin += 1) {
+      overlap += Math.sqrt(a[channel][bin] * b[channel][bin]);
+    }
+    total += Math.sqrt(Math.max(0, 1 - overlap));
+  }
+  return total / 3;
+}
+
+// Variance of the Laplacian: higher for crisp edges, lower for soft ones.
+function laplacianVariance(grey, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const value = grey[i - width] + grey[i + width] + grey[i - 1] + grey[i + 1] - 4 * grey[i];
+      sum += value;
+      sumSquares += value * value;
+      count += 1;
+    }
+  }
+  if (!count) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * How faithful `resultPath` is to `sourcePath`: structural similarity and
+ * colour histogram distance after downscaling both to the source's aspect,
+ * plus the result's own sharpness (not comparable between sources).
+ */
+async function compareToSource(sourcePath, resultPath) {
+  const meta = await sharp(sourcePath).metadata();
+  const size = fitWithin(meta.width, meta.height, COMPARE_SIZE);
+  const [sourceGrey, resultGrey, sourceRgb, resultRgb] = await Promise.all([
+    loadPixels(sourcePath, size, 1),
+    loadPixels(resultPath, size, 1),
+    loadPixels(sourcePath, size, 3),
+    loadPixels(resultPath, size, 3)
+  ]);
+  const resultMeta = await sharp(resultPath).metadata();
+  const sharpSize = fitWithin(resultMeta.width, resultMeta.height, SHARPNESS_SIZE);
+  const sharpGrey = await loadPixels(resultPath, sharpSize, 1);
+  return {
+    ssim: ssim(sourceGrey, resultGrey, size.width, size.height),
+    colourDistance: histogramDistance(colourHistogram(sourceRgb), colourHistogram(resultRgb)),
+    sharpness: laplacianVariance(sharpGrey, sharpSize.width, sharpSize.height)
+  };
+}
+
+/**
+ * Scores candidates that were compared to the same source, in place: SSIM
+ * and colour fidelity count most, sharpness (relative to the sharpest
+ * candidate) breaks ties between equally faithful results. Candidates
+ * without measures (undecodable) score null. Resolves with the best one.
+ */
+function rankCandidates(candidates) {
+  const measured = candidates.filter((candidate) => candidate.measures);
+  const sharpest = Math.max(0, ...measured.map((candidate) => candidate.measures.sharpness));
+  let best = null;
+  for (const candidate of candidates) {
+    if (!candidate.measures) {
+      candidate.score = null;
+      continue;
+    }
+    const { ssim: similarity, colourDistance, sharpness } = candidate.measures;
+    candidate.score =
+      WEIGHTS.ssim * similarity +
+      WEIGHTS.colour * (1 - colourDistance) +
+      WEIGHTS.sharpness * (sharpest ? sharpness / sharpest : 1);
+    if (!best || candidate.score > best.score) best = candidate;
+  }
+  return best;
+}
+
+module.exports = {
+  colourHistogram,
+  compareToSource,
+  fitWithin,
+  histogramDistance,
+  laplacianVariance,
+  loadPixels,
+  rankCandidates,
+  ssim
+};
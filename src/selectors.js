@@ -0,0 +1,220 @@
+const fs = require('fs/promises');
+
+// Bump when the default chains change, so override files written against an
+// older set can be flagged.
+const SELECTORS_VERSION = 1;
+
+/**
+ * Every element GeminiHandler looks for, as ordered fallback chains. Each
+ * candidate is one of:
+ *   { css: '...' }
+ *   { role: 'button', name: '/new chat/i' }   (name: "/regex/flags" or text)
+ *   { text: '/loading nano banana/i' }
+ *   { placeholder: '/describe your image/i' }
+ * optionally with `within: <candidate>` to search inside another element.
+ * "{mode}" in a name or text is replaced with the mode being selected.
+ */
+const DEFAULT_SELECTORS = {
+  version: SELECTORS_VERSION,
+  chains: {
+    signIn: [
+      { role: 'link', name: '/sign in/i' },
+      { role: 'button', name: '/sign in/i' },
+      { css: 'a[href*="signin"]' }
+    ],
+    appReady: [{ css: '[data-test-id="bard-mode-menu-button"]' }],
+    prompt: [
+      { css: 'div[contenteditable="true"][role="textbox"]' },
+      { css: 'div[contenteditable="true"][aria-label*="prompt" i]' },
+      { css: 'textarea' },
+      { placeholder: '/describe your image/i' },
+      { role: 'textbox' }
+    ],
+    newChat: [
+      { role: 'button', name: '/new chat/i' },
+      { css: '[aria-label*="new chat" i]' }
+    ],
+    modeButton: [
+      { css: '[data-test-id="bard-mode-menu-button"]' },
+      { role: 'button', name: '/fast/i' }
+    ],
+    modeOption: [
+      { role: 'option', name: '/^{mode}$/i' },
+      { role: 'menuitem', name: '/^{mode}$/i' },
+      { text: '/^{mode}$/i' }
+    ],
+    modeSelected: [{ role: 'button', name: '/{mode}/i' }],
+    fileInput: [{ css: 'input[type="file"]' }],
+    uploadMenuButton: [
+      { role: 'button', name: '/open upload file menu/i' },
+      { role: 'button', name: '/\\+/' }
+    ],
+    uploadFilesButton: [{ css: '[data-test-id="local-images-files-uploader-button"]' }],
+    hiddenUploadButton: [{ css: '[data-test-id="hidden-local-image-upload-button"]' }],
+    uploadButton: [
+      { css: '[data-test-id*="upload" i]' },
+      { role: 'button', name: '/upload/i' },
+      { role: 'button', name: '/add file/i' },
+      { role: 'button', name: '/\\+/' }
+    ],
+    send: [
+      { css: '[data-test-id*="send" i]' },
+      { role: 'button', name: '/send/i' },
+      { css: '[aria-label*="send" i]' }
+    ],
+    loadingIndicator: [{ text: '/loading nano banana/i' }],
+    response: [{ css: 'model-response' }, { css: '.model-response' }],
+    downloadButton: [{ css: '[data-test-id="download-generated-image-button"]' }],
+    chatActions: [
+      { css: '.conversation.selected [data-test-id="actions-menu-button"]' },
+      { css: '[data-test-id="conversation-actions-button"]' }
+    ],
+    chatDelete: [
+      { css: '[data-test-id="delete-button"]' },
+      { role: 'menuitem', name: '/delete/i' }
+    ],
+    chatConfirm: [
+      { css: '[data-test-id="confirm-button"]' },
+      { role: 'button', name: '/^delete$/i', within: { role: 'dialog' } }
+    ]
+  }
+};
+
+/**
+ * When each chain is expected to match, for the doctor report. Chains marked
+ * 'idle' should match on a signed-in page with an empty chat; the others only
+ * appear in the stated situation. Presence chains count hidden elements too.
+ */
+const CHAIN_INFO = {
+  signIn: { when: 'signed out' },
+  appReady: { when: 'idle' },
+  prompt: { when: 'idle' },
+  newChat: { when: 'idle' },
+  modeButton: { when: 'idle' },
+  modeOption: { when: 'the mode menu is open' },
+  modeSelected: { when: 'the mode button is labelled with the mode' },
+  fileInput: { when: 'an upload is in progress', presence: true },
+  uploadMenuButton: { when: 'idle' },
+  uploadFilesButton: { when: 'the upload menu is open' },
+  hiddenUploadButton: { when: 'idle', presence: true },
+  uploadButton: { when: 'idle' },
+  send: { when: 'idle' },
+  // `union` chains are looked up across all candidates at once: the handler
+  // uses the first or the newest element any of them matches.
+  loadingIndicator: { when: 'an image is generating', union: 'first' },
+  response: { when: 'a reply is shown', presence: true, union: 'newest' },
+  downloadButton: { when: 'an image has been generated', union: 'newest' },
+  chatActions: { when: 'a saved chat is open' },
+  chatDelete: { when: 'the chat menu is open' },
+  chatConfirm: { when: 'the delete dialog is open' }
+};
+
+const MATCHERS = ['css', 'role', 'text', 'placeholder'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "/abc/i" -> /abc/i; anything else stays a plain string. {mode}-style
+// variables are filled in first, escaped when they land inside a regex.
+function toMatcher(value, vars = {}) {
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  const fill = (text, escape) =>
+    text.replace(/\{(\w+)\}/g, (match, name) =>
+      vars[name] === undefined ? match : escape ? escapeRegExp(vars[name]) : vars[name]
+    );
+  if (regex) return new RegExp(fill(regex[1], true), regex[2]);
+  return fill(value, false);
+}
+
+function toLocator(root, candidate, vars) {
+  const scope = candidate.within ? toLocator(root, candidate.within, vars) : root;
+  if (candidate.css) return scope.locator(toMatcher(candidate.css, vars));
+  if (candidate.role) {
+    const options = candidate.name ? { name: toMatcher(candidate.name, vars) } : {};
+    return scope.getByRole(candidate.role, options);
+  }
+  if (candidate.text) return scope.getByText(toMatcher(candidate.text, vars));
+  return scope.getByPlaceholder(toMatcher(candidate.placeholder, vars));
+}
+
+function describeSelector(candidate) {
+  const own = candidate.css
+    ? `css=${candidate.css}`
+    : candidate.role
+      ? `role=${candidate.role}${candidate.name ? ` name=${candidate.name}` : ''}`
+      : candidate.text
+        ? `text=${candidate.text}`
+        : `placeholder=${candidate.placeholder}`;
+  return candidate.within ? `${describeSelector(candidate.within)} >> ${own}` : own;
+}
+
+function validateCandidate(candidate, where) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    throw new Error(`Selector ${where} must be an object.`);
+  }
+  const kinds = MATCHERS.filter((key) => candidate[key] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`Selector ${where} needs exactly one of ${MATCHERS.join(', ')}.`);
+  }
+  for (const key of Object.keys(candidate)) {
+    if (![...MATCHERS, 'name', 'within'].includes(key)) {
+      throw new Error(`Unknown key "${key}" in selector ${where}.`);
+    }
+  }
+  if (candidate.within) validateCandidate(candidate.within, `${where}.within`);
+}
+
+/**
+ * Applies an override file to the defaults. A chain given as an array
+ * replaces the default; `{ "prepend": [...], "append": [...] }` extends it.
+ */
+function mergeSelectors(overrides, source = 'selector overrides') {
+  const chains = { ...DEFAULT_SELECTORS.chains };
+  const warnings = [];
+  if (overrides.version !== undefined && overrides.version !== SELECTORS_VERSION) {
+    warnings.push(
+      `${source} targets selector version ${overrides.version}; the built-in set is ` +
+        `version ${SELECTORS_VERSION}. Check it against "doctor".`
+    );
+  }
+  for (const [chain, value] of Object.entries(overrides.chains || {})) {
+    if (!chains[chain]) {
+      throw new Error(
+        `Unknown selector chain "${chain}" in ${source}. Expected one of: ${Object.keys(chains).join(', ')}`
+      );
+    }
+    const replaced = Array.isArray(value)
+      ? value
+      : [...(value.prepend || []), ...chains[chain], ...(value.append || [])];
+    replaced.forEach((candidate, index) => validateCandidate(candidate, `${chain}[${index}]`));
+    if (!replaced.length) throw new Error(`Selector chain "${chain}" in ${source} is empty.`);
+    chains[chain] = replaced;
+  }
+  return { version: SELECTORS_VERSION, chains, warnings, source };
+}
+
+async function loadSelectors(overridePath) {
+  if (!overridePath) return { ...DEFAULT_SELECTORS, warnings: [], source: 'built-in' };
+  let overrides;
+  try {
+    overrides = JSON.parse(await fs.readFile(overridePath, 'utf8'));
+  } catch (err) {
+    if (err instanceof SyntaxError) {
+      throw new Error(`Selector file ${overridePath} is not valid JSON: ${err.message}`);
+    }
+    throw err;
+  }
+  return mergeSelectors(overrides, overridePath);
+}
+
+module.exports = {
+  CHAIN_INFO,
+  DEFAULT_SELECTORS,
+  SELECTORS_VERSION,
+  describeSelector,
+  escapeRegExp,
+  loadSelectors,
+  mergeSelectors,
+  toLocator
+};
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { coerceOption } = require('./config-schema');
+const { SUPPORTED_EXTS, listImages } = require('./file-manager');
+const { JOB_OPTIONS, addJob, describeJob, jobStatus, saveJobs } = require('./jobs');
+const { saveState, syncRecords } = require('./state');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+// Events after which an image has nothing more coming this run.
+const FINISHED_EVENTS = ['image-success', 'image-failed', 'image-review'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+async function readJsonBody(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+    if (text.length > MAX_BODY_BYTES) throw httpError(413, 'Request body is too large.');
+  }
+  try {
+    return text.trim() ? JSON.parse(text) : {};
+  } catch (err) {
+    throw httpError(400, `Request body is not valid JSON: ${err.message}`);
+  }
+}
+
+function sendEvent(res, event) {
+  res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * The `serve` command's HTTP API, fed into processBatch like the --watch
+ * watcher: `pendingEntries()` are the images of earlier jobs still waiting
+ * (queued first after a restart), `start()` listens before any worker starts,
+ * so a busy port fails the run cleanly, and `run()` serves requests, pushing
+ * each submitted job's images onto the open queue, until stop() or a
+ * shutdown signal. Jobs live in jobs.json; their images' progress is the
+ * state file.
+ *
+ *   POST /jobs                         {"path", "prompt", "mode", "targetWidth", "targetHeight"}
+ *   GET  /jobs                         all jobs with counts per status
+ *   GET  /jobs/:id                     one job with every image
+ *   POST /jobs/:id/retry               re-queue the job's failed images
+ *   GET  /jobs/:id/events              server-sent events until the job is done
+ *   GET  /jobs/:id/images/:n/result    the n-th image's output file
+ *   GET  /events                       server-sent events for every job
+ */
+function createJobServer(config, state, jobs) {
+  // Hashes pushed onto the queue that have not finished yet.
+  const queued = new Set();
+  const streams = new Set();
+  let queue = null;
+  let events = null;
+  let log = config.log;
+  let server = null;
+  let stopped = false;
+
+  function findJob(id) {
+    const job = jobs.jobs[id];
+    if (!job) throw httpError(404, `No job "${id}".`);
+    return job;
+  }
+
+  function entryFor(job, record) {
+    return { imagePath: record.sourcePath, record, overrides: job.options };
+  }
+
+  // Jobs oldest first, so a restart keeps the order they were submitted in.
+  function jobsInOrder() {
+    return Object.values(jobs.jobs).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function enqueue(job, records) {
+    for (const record of records) {
+      if (record.status !== 'pending' || queued.has(record.hash)) continue;
+      queued.add(record.hash);
+      queue.push(entryFor(job, record));
+      const image = path.relative(config.inputDir, record.sourcePath);
+      await events.emit('image-queued', { image, sourcePath: record.sourcePath, job: job.id });
+      log(`Queued ${image} for job ${job.id}`);
+    }
+  }
+
+  // A submitted path must be an image or folder under --input, where its
+  // output name is derived from.
+  async function resolveImages(requested) {
+    if (typeof requested !== 'string' || !requested) {
+      throw httpError(400, 'A "path" to an image or folder under the input folder is required.');
+    }
+    const target = path.resolve(config.inputDir, requested);
+    const relative = path.relative(config.inputDir, target);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw httpError(400, `${requested} is not inside the input folder ${config.inputDir}.`);
+    }
+    let stats;
+    try {
+      stats = await fs.promises.stat(target);
+    } catch (err) {
+      throw httpError(400, `${requested} does not exist.`);
+    }
+    if (stats.isDirectory()) {
+      const found = await listImages(target, {
+        recursive: config.recursive,
+        ignoreDirs: [config.outputDir, ...config.browserDataDirs]
+      });
+      if (!found.length) throw httpError(400, `No images found in ${requested}.`);
+      return { source: target, imagePaths: found };
+    }
+    if (!SUPPORTED_EXTS.has(path.extname(target).toLowerCase())) {
+      throw httpError(400, `${requested} is not a supported image.`);
+    }
+    return { source: target, imagePaths: [target] };
+  }
+
+  function readOptions(body) {
+    const options = {};
+    for (const name of JOB_OPTIONS) {
+      if (body[name] === undefined) continue;
+      try {
+        options[name] = coerceOption(name, body[name], { source: 'the request' });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+    }
+    return options;
+  }
+
+  async function submit(body) {
+    const options = readOptions(body);
+    const { source, imagePaths } = await resolveImages(body.path);
+    const entries = await syncRecords(state, imagePaths);
+    // Asking again retries failed images. Skipped ones (--dedupe or `skip`)
+    // stay skipped, and byte-identical images already processed keep their
+    // output.
+    for (const { record } of entries) {
+      if (record.status === 'failed') record.status = 'pending';
+    }
+    const job = addJob(jobs, { source, options, entries, inputDir: config.inputDir });
+    await saveState(config.outputDir, state);
+    await saveJobs(config.outputDir, jobs);
+    await events.emit('job-submitted', { job: job.id, source, images: job.images.length });
+    log(`Job ${job.id}: ${job.images.length} image(s) from ${source}`);
+    await enqueue(job, entries.map(({ record }) => record));
+    await finishJobs();
+    return job;
+  }
+
+  async function retry(job) {
+    const records = job.images
+      .map((image) => state.images[image.hash])
+      .filter((record) => record && record.status === 'failed');
+    for (const record of records) record.status = 'pending';
+    if (records.length) job.completedAt = null;
+    await saveState(config.outputDir, state);
+    await saveJobs(config.outputDir, jobs);
+    await enqueue(job, records);
+    return records.length;
+  }
+
+  // Stamps and announces jobs whose last image just finished.
+  async function finishJobs() {
+    for (const job of jobsInOrder()) {
+      if (job.completedAt || jobStatus(state, job) !== 'done') continue;
+      job.completedAt = new Date().toISOString();
+      await saveJobs(config.outputDir, jobs);
+      const { counts } = describeJob(state, job);
+      await events.emit('job-done', { job: job.id, counts });
+      log(`Job ${job.id} done: ${JSON.stringify(counts)}`);
+    }
+  }
+
+  function openStream(req, res, job) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const stream = { res, job };
+    if (job) {
+      sendEvent(res, { type: 'job', ...describeJob(state, job, { detail: true }) });
+      if (job.completedAt) {
+        res.end();
+        return;
+      }
+    }
+    streams.add(stream);
+    req.on('close', () => streams.delete(stream));
+  }
+
+  function relatesTo(event, job) {
+    if (event.job) return event.job === job.id;
+    return Boolean(event.image) && job.images.some((image) => image.image === event.image);
+  }
+
+  function broadcast(event) {
+    for (const stream of streams) {
+      if (stream.job && !relatesTo(event, stream.job)) continue;
+      sendEvent(stream.res, event);
+      if (stream.job && event.type === 'job-done') {
+        stream.res.end();
+        streams.delete(stream);
+      }
+    }
+    if (FINISHED_EVENTS.includes(event.type)) {
+      for (const hash of queued) {
+        const record = state.images[hash];
+        if (!record || !['pending', 'in-progress'].includes(record.status)) queued.delete(hash);
+      }
+      finishJobs().catch((err) => log(`Could not update jobs: ${err.message || err}`));
+    }
+  }
+
+  async function sendResult(res, job, index) {
+    const image = job.images[Number(index) - 1];
+    const record = image && state.images[image.hash];
+    if (!record) throw httpError(404, `Job ${job.id} has no image ${index}.`);
+    if (!['processed', 'needs-review'].includes(record.status) || !record.outputPath) {
+      throw httpError(409, `${image.image} has no result yet (status ${record.status}).`);
+    }
+    const stats = await fs.promises.stat(record.outputPath).catch(() => null);
+    if (!stats) throw httpError(410, `The result of ${image.image} is no longer on disk.`);
+    res.writeHead(200, {
+      'Content-Type':
+        CONTENT_TYPES[path.extname(record.outputPath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stats.size,
+      'Content-Disposition': `inline; filename="${path.basename(record.outputPath)}"`,
+      'X-Image-Status': record.status
+    });
+    fs.createReadStream(record.outputPath).pipe(res);
+  }
+
+  async function route(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const { method } = req;
+
+    if (parts[0] === 'events' && parts.length === 1 && method === 'GET') {
+      return openStream(req, res, null);
+    }
+    if (parts[0] !== 'jobs') throw httpError(404, `No route for ${method} ${pathname}.`);
+    if (parts.length === 1 && method === 'POST') {
+      const job = await submit(await readJsonBody(req));
+      return sendJson(res, 201, describeJob(state, job, { detail: true }));
+    }
+    if (parts.length === 1 && method === 'GET') {
+      return sendJson(res, 200, { jobs: jobsInOrder().map((job) => describeJob(state, job)) });
+    }
+    const job = findJob(parts[1]);
+    if (parts.length === 2 && method === 'GET') {
+      return sendJson(res, 200, describeJob(state, job, { detail: true }));
+    }
+    if (parts.length === 3 && parts[2] === 'retry' && method === 'POST') {
+      const requeued = await retry(job);
+      return sendJson(res, 200, { requeued, job: describeJob(state, job) });
+    }
+    if (parts.length === 3 && parts[2] === 'events' && method === 'GET') {
+      return openStream(req, res, job);
+    }
+    if (parts.length === 5 && parts[2] === 'images' && parts[4] === 'result' && method === 'GET') {
+      return sendResult(res, job, parts[3]);
+    }
+    throw httpError(404, `No route for ${method} ${pathname}.`);
+  }
+
+  return {
+    pendingEntries() {
+      const entries = [];
+      for (const job of jobsInOrder()) {
+        for (const image of job.images) {
+          const record = state.images[image.hash];
+          if (!record || record.status !== 'pending' || queued.has(record.hash)) continue;
+          queued.add(record.hash);
+          entries.push(entryFor(job, record));
+        }
+      }
+      return entries;
+    },
+
+    async start(pool) {
+      ({ queue, events, log } = pool);
+      server = http.createServer((req, res) => {
+        route(req, res).catch((err) => {
+          if (!err.status) log(`Request ${req.method} ${req.url} failed: ${err.message || err}`);
+          if (res.headersSent) {
+            res.end();
+            return;
+          }
+          sendJson(res, err.status || 500, { error: err.message || String(err) });
+        });
+      });
+      try {
+        await new Promise((resolve, reject) => {
+          server.once('error', reject);
+          server.listen(config.port, config.host, resolve);
+        });
+      } catch (err) {
+        if (err.code !== 'EADDRINUSE') throw err;
+        throw new Error(
+          `Port ${config.port} on ${config.host} is already in use; pick another with --port.`
+        );
+      }
+      events.subscribe(broadcast);
+      const { address, port } = server.address();
+      console.log(`Serving the job API on http://${address}:${port}/. Press Ctrl+C to stop.`);
+    },
+
+    // Serves until stop() or a shutdown signal; `queue` is left to the caller.
+    async run(shutdown) {
+      await finishJobs();
+      try {
+        while (!stopped) await shutdown.delay(1000);
+      } catch (err) {
+        // Shutdown requested.
+      }
+      for (const stream of streams) stream.res.end();
+      streams.clear();
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections();
+      await closed;
+    },
+
+    stop() {
+      stopped = true;
+    }
+  };
+}
+
+module.exports = {
+  createJobServer
+};
@@ -0,0 +1,70 @@
+const { InterruptedError } = require('./errors');
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+const FORCE_EXIT_CODE = 130;
+
+/**
+ * Turns the first SIGINT/SIGTERM into a cooperative shutdown: `requested`
+ * flips, and anything passed through `race()` or `delay()` rejects with an
+ * InterruptedError so the batch loop can clean up. A second signal exits
+ * immediately.
+ */
+function createShutdownController(log = console.log) {
+  let rejectInterrupted;
+  const interrupted = new Promise((resolve, reject) => {
+    rejectInterrupted = reject;
+  });
+  // Nobody may be racing when the signal arrives.
+  interrupted.catch(() => {});
+
+  const controller = {
+    requested: false,
+    signal: null,
+
+    throwIfRequested() {
+      if (controller.requested) throw new InterruptedError();
+    },
+
+    race(promise) {
+      // The losing promise may still reject later (e.g. when the browser is
+      // closed underneath it); that rejection is expected and ignored.
+      promise.catch(() => {});
+      return Promise.race([promise, interrupted]);
+    },
+
+    delay(ms) {
+      let timer;
+      const wait = new Promise((resolve) => {
+        timer = setTimeout(resolve, ms);
+      });
+      return controller.race(wait).finally(() => clearTimeout(timer));
+    },
+
+    dispose() {
+      for (const signal of SIGNALS) {
+        process.removeListener(signal, onSignal);
+      }
+    }
+  };
+
+  function onSignal(signal) {
+    if (controller.requested) {
+      console.error(`Received ${signal} again; forcing exit.`);
+      process.exit(FORCE_EXIT_CODE);
+    }
+    controller.requested = true;
+    controller.signal = signal;
+    log(`Received ${signal}; stopping after cleanup. Send again to force quit.`);
+    rejectInterrupted(new InterruptedError(`Interrupted by ${signal}.`));
+  }
+
+  for (const signal of SIGNALS) {
+    process.on(signal, onSignal);
+  }
+  return controller;
+}
+
+module.exports = {
+  FORCE_EXIT_CODE,
+  createShutdownController
+};
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+
+const STATE_VERSION = 2;
+
+function getStatePath(outputDir) {
+  return path.join(outputDir, 'processing-state.json');
+}
+
+function getLockPath(outputDir) {
+  return path.join(outputDir, 'processing-state.lock');
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function createState() {
+  return { version: STATE_VERSION, images: {} };
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync
+      .createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function createRecord(key, sourcePath, extra = {}) {
+  const timestamp = now();
+  return {
+    hash: key,
+    sourcePath,
+    sourceSize: null,
+    sourceMtimeMs: null,
+    status: 'pending',
+    attempts: 0,
+    lastStep: null,
+    lastError: null,
+    lastErrorClass: null,
+    outputPath: null,
+    outputWidth: null,
+    outputHeight: null,
+    outputFormat: null,
+    rawOutputPath: null,
+    inFlightOutputPath: null,
+    inFlightPaths: [],
+    perceptualHash: null,
+    duplicateOf: null,
+    duplicateDistance: null,
+    tiles: null,
+    candidates: null,
+    fidelity: null,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    completedAt: null,
+    ...extra
+  };
+}
+
+// Version 1 kept two arrays of absolute paths. Files that still exist are
+// re-keyed by content hash; missing ones keep a path-based key so their
+// history is not lost.
+async function migrateV1(parsed) {
+  const state = createState();
+  const lists = [
+    ['processed', Array.isArray(parsed.processed) ? parsed.processed : []],
+    ['failed', Array.isArray(parsed.failed) ? parsed.failed : []]
+  ];
+  for (const [status, paths] of lists) {
+    for (const sourcePath of paths) {
+      let key;
+      try {
+        key = await hashFile(sourcePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        key = `path:${sourcePath}`;
+      }
+      const record = createRecord(key, sourcePath, { status });
+      if (status === 'processed') record.completedAt = record.updatedAt;
+      state.images[key] = record;
+    }
+  }
+  return state;
+}
+
+async function loadState(outputDir) {
+  const statePath = getStatePath(outputDir);
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(statePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return createState();
+    }
+    throw err;
+  }
+
+  if (parsed.version === STATE_VERSION) {
+    return { version: STATE_VERSION, images: parsed.images || {} };
+  }
+  return migrateV1(parsed);
+}
+
+const pendingWrites = new Map();
+
+async function writeStateFile(statePath, state) {
+  const tempPath = `${statePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+  await fs.rename(tempPath, statePath);
+}
+
+/**
+ * Writes the state file atomically: a crash mid-write leaves the previous
+ * file intact instead of a truncated one. Concurrent saves (from parallel
+ * workers) are queued so they never share the temp file.
+ */
+function saveState(outputDir, state) {
+  const statePath = getStatePath(outputDir);
+  const previous = pendingWrites.get(statePath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => writeStateFile(statePath, state));
+  pendingWrites.set(statePath, write);
+  return write;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Claims the output folder's state for this process with a pid file, so two
+ * commands that write state never run against it at once. A lock left by a
+ * process that is gone is taken over. Resolves with a function that releases
+ * it; throws while another live process holds it.
+ */
+async function acquireStateLock(outputDir) {
+  const lockPath = getLockPath(outputDir);
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return () => fs.rm(lockPath, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const pid = Number((await fs.readFile(lockPath, 'utf8').catch(() => '')).trim());
+    if (pid && isRunning(pid)) {
+      throw new Error(
+        `Another run (pid ${pid}) is working in ${outputDir}. ` +
+          `Wait for it to finish, or delete ${lockPath} if it is not running.`
+      );
+    }
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+function sourceKey(sourcePath, size, mtimeMs) {
+  return `${size}:${mtimeMs}:${sourcePath}`;
+}
+
+// Records by the path, size and mtime they were last seen with. state.images
+// itself is the index by hash.
+function indexBySource(state) {
+  const index = new Map();
+  for (const record of Object.values(state.images)) {
+    const key = sourceKey(record.sourcePath, record.sourceSize, record.sourceMtimeMs);
+    if (!index.has(key)) index.set(key, record);
+  }
+  return index;
+}
+
+/**
+ * Returns the state record for an image, creating it on first sight. Hashing
+ * is skipped when a record already points at this path with the same size
+ * and mtime; a moved file is re-hashed and its record follows it. Pass the
+ * `index` from indexBySource when resolving many images; it is kept current.
+ */
+async function getRecordForImage(state, imagePath, index = indexBySource(state)) {
+  const stats = await fs.stat(imagePath);
+  const known = index.get(sourceKey(imagePath, stats.size, stats.mtimeMs));
+  if (known) return known;
+
+  const hash = await hashFile(imagePath);
+  let record = state.images[hash];
+  if (!record) {
+    record = createRecord(hash, imagePath);
+    state.images[hash] = record;
+  }
+  const previous = sourceKey(record.sourcePath, record.sourceSize, record.sourceMtimeMs);
+  if (index.get(previous) === record) index.delete(previous);
+  record.sourcePath = imagePath;
+  record.sourceSize = stats.size;
+  record.sourceMtimeMs = stats.mtimeMs;
+  index.set(sourceKey(imagePath, stats.size, stats.mtimeMs), record);
+  return record;
+}
+
+/**
+ * Resolves records for a list of images, in order. Byte-identical copies
+ * share one record, so only the first path of each is returned.
+ */
+async function syncRecords(state, imagePaths) {
+  const entries = [];
+  const seen = new Set();
+  const index = indexBySource(state);
+  for (const imagePath of imagePaths) {
+    const record = await getRecordForImage(state, imagePath, index);
+    if (seen.has(record.hash)) continue;
+    seen.add(record.hash);
+    entries.push({ imagePath, record });
+  }
+  return entries;
+}
+
+function resetRecord(record) {
+  Object.assign(record, createRecord(record.hash, record.sourcePath), {
+    sourceSize: record.sourceSize,
+    sourceMtimeMs: record.sourceMtimeMs,
+    perceptualHash: record.perceptualHash || null,
+    createdAt: record.createdAt
+  });
+}
+
+function markSkipped(record) {
+  record.status = 'skipped';
+  record.updatedAt = now();
+}
+
+// Skipped because it looks like `kept`, a frame that is processed anyway.
+function markDuplicate(record, kept, distance) {
+  record.status = 'skipped';
+  record.duplicateOf = kept.hash;
+  record.duplicateDistance = distance;
+  record.updatedAt = now();
+}
+
+// Marks the image as being worked on, remembering where its output will land
+// so a crash or shutdown can clean up a partial file.
+function markInProgress(record, outputPath) {
+  record.status = 'in-progress';
+  record.inFlightOutputPath = outputPath;
+  record.updatedAt = now();
+}
+
+// Notes another file or folder the attempt claimed (a renamed output, the
+// --keepRaw copy, the candidates folder), for recoverInFlight to delete.
+function claimInFlight(record, filePath) {
+  record.inFlightPaths = [...(record.inFlightPaths || []), filePath];
+  record.updatedAt = now();
+}
+
+// Files derived from the output name while it is written.
+function scratchFiles(outputPath) {
+  const { dir, name } = path.parse(outputPath);
+  return [
+    outputPath,
+    `${outputPath}.metadata.tmp`,
+    `${outputPath}.conform.tmp`,
+    path.join(dir, `${name}.diff.png`)
+  ];
+}
+
+/**
+ * Puts images left 'in-progress' (by a crash or an interrupted run) back to
+ * pending and deletes whatever partial output they produced: the output and
+ * its temporary files, everything noted by claimInFlight, and the tiles
+ * folder unless finished tiles in it can still be reused.
+ */
+async function recoverInFlight(state) {
+  const recovered = [];
+  for (const record of Object.values(state.images)) {
+    if (record.status !== 'in-progress') continue;
+    const claimed = [record.inFlightOutputPath, ...(record.inFlightPaths || [])].filter(Boolean);
+    for (const claimedPath of claimed) {
+      for (const file of scratchFiles(claimedPath)) {
+        await fs.rm(file, { recursive: true, force: true });
+      }
+    }
+    const tiles = record.tiles;
+    if (tiles && tiles.dir && !tiles.items.some((tile) => tile.status === 'done')) {
+      await fs.rm(tiles.dir, { recursive: true, force: true });
+      record.tiles = null;
+    }
+    record.status = 'pending';
+    record.inFlightOutputPath = null;
+    record.inFlightPaths = [];
+    record.updatedAt = now();
+    recovered.push(record);
+  }
+  return recovered;
+}
+
+// Returns an image to the queue without counting the attempt against it.
+function releaseAttempt(record) {
+  record.status = 'pending';
+  record.attempts = Math.max(0, record.attempts - 1);
+  record.inFlightOutputPath = null;
+  record.inFlightPaths = [];
+  record.updatedAt = now();
+}
+
+function recordAttempt(record) {
+  record.attempts += 1;
+  record.updatedAt = now();
+}
+
+function recordError(record, step, message, errorClass = null) {
+  record.lastStep = step;
+  record.lastError = message;
+  record.lastErrorClass = errorClass;
+  record.updatedAt = now();
+}
+
+function markProcessed(record, output) {
+  const timestamp = now();
+  record.status = 'processed';
+  record.outputPath = output.outputPath;
+  record.outputWidth = output.width || null;
+  record.outputHeight = output.height || null;
+  record.outputFormat = output.format || null;
+  record.rawOutputPath = output.rawPath || null;
+  record.fidelity = output.fidelity || null;
+  record.inFlightOutputPath = null;
+  record.inFlightPaths = [];
+  record.updatedAt = timestamp;
+  record.completedAt = timestamp;
+}
+
+// Downloaded and valid, but the fidelity check wants a person to look at it
+// before it counts.
+function markNeedsReview(record, output) {
+  markProcessed(record, output);
+  record.status = 'needs-review';
+}
+
+// A reviewed image is accepted as it is.
+function approveRecord(record) {
+  record.status = 'processed';
+  record.updatedAt = now();
+}
+
+function markFailed(record) {
+  record.status = 'failed';
+  record.inFlightOutputPath = null;
+  record.inFlightPaths = [];
+  record.updatedAt = now();
+}
+
+module.exports = {
+  STATE_VERSION,
+  getStatePath,
+  getLockPath,
+  acquireStateLock,
+  hashFile,
+  loadState,
+  saveState,
+  getRecordForImage,
+  syncRecords,
+  resetRecord,
+  markSkipped,
+  markDuplicate,
+  markInProgress,
+  claimInFlight,
+  recoverInFlight,
+  recordAttempt,
+  releaseAttempt,
+  recordError,
+  markProcessed,
+  markNeedsReview,
+  approveRecord,
+  markFailed
+};
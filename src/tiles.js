@@ -0,0 +1,261 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const { formatForExtension } = require('./conform');
+const { SourceError } = require('./errors');
+const { ensureDir } = require('./file-manager');
+const { renderPrompt } = require('./prompt');
+const { validateOutput } = require('./validator');
+
+const TILES_DIR = 'tiles';
+// Largest grid --tiles auto will try per side.
+const MAX_GRID_SIDE = 16;
+// --tiles auto avoids strips: upscalers handle ordinary aspect ratios best.
+const MAX_TILE_ASPECT = 2;
+
+// Splits [0, length) into `count` even parts, each grown by `overlap` into
+// its neighbours.
+function splitAxis(length, count, overlap) {
+  return Array.from({ length: count }, (_, index) => {
+    const start = Math.round((index * length) / count);
+    const end = Math.round(((index + 1) * length) / count);
+    return {
+      start: Math.max(0, start - (index > 0 ? overlap : 0)),
+      end: Math.min(length, end + (index < count - 1 ? overlap : 0))
+    };
+  });
+}
+
+/**
+ * Cuts a source of `source` pixels into a cols x rows grid of overlapping
+ * tiles, in row-major order. Each tile has its crop in the source (x, y,
+ * width, height) and where its upscaled version lands in a `target`-sized
+ * result (targetX, targetY, targetWidth, targetHeight). Neighbouring tiles
+ * share `overlap` source pixels either side of their common edge.
+ */
+function planTiles(source, target, { cols, rows, overlap }) {
+  const scaleX = target.width / source.width;
+  const scaleY = target.height / source.height;
+  const columns = splitAxis(source.width, cols, overlap);
+  const lines = splitAxis(source.height, rows, overlap);
+  const tiles = [];
+  for (const [row, line] of lines.entries()) {
+    for (const [col, column] of columns.entries()) {
+      const targetX = Math.round(column.start * scaleX);
+      const targetY = Math.round(line.start * scaleY);
+      tiles.push({
+        index: tiles.length,
+        row,
+        col,
+        x: column.start,
+        y: line.start,
+        width: column.end - column.start,
+        height: line.end - line.start,
+        targetX,
+        targetY,
+        targetWidth: Math.round(column.end * scaleX) - targetX,
+        targetHeight: Math.round(line.end * scaleY) - targetY
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * The grid for one image: the one --tiles names, or for "auto" the fewest
+ * tiles whose upscaled size stays within --tileMaxPixels and whose sides are
+ * at most 2:1 (squarest tiles first on a tie). 1x1 means the image fits in
+ * one pass.
+ */
+function chooseGrid(config, source, target) {
+  if (config.tiles && config.tiles !== 'auto') return config.tiles;
+  let best = null;
+  for (let cols = 1; cols <= MAX_GRID_SIDE; cols += 1) {
+    for (let rows = 1; rows <= MAX_GRID_SIDE; rows += 1) {
+      const tiles = planTiles(source, target, { cols, rows, overlap: config.tileOverlap });
+      const fits = tiles.every(
+        (tile) => tile.targetWidth * tile.targetHeight <= config.tileMaxPixels
+      );
+      const { targetWidth, targetHeight } = tiles[0];
+      const skew = Math.max(targetWidth / targetHeight, targetHeight / targetWidth);
+      if (!fits || (skew > MAX_TILE_ASPECT && cols * rows > 1)) continue;
+      const count = cols * rows;
+      if (!best || count < best.count || (count === best.count && skew < best.skew)) {
+        best = { cols, rows, count, skew };
+      }
+    }
+  }
+  if (!best) {
+    throw new Error(
+      `Cannot split a ${target.width}x${target.height} result into tiles of at most ` +
+        `${config.tileMaxPixels} pixels; raise --tileMaxPixels or pass --tiles <cols>x<rows>.`
+    );
+  }
+  return { cols: best.cols, rows: best.rows };
+}
+
+function getTilesDir(outputDir, record) {
+  return path.join(outputDir, TILES_DIR, record.hash.slice(0, 16));
+}
+
+// Alpha for one tile: ramps up across the strips it shares with the tiles
+// left of and above it, which are already drawn, and is opaque elsewhere.
+function featherMask(tile, tiles, cols) {
+  const left = tile.col > 0 ? tiles[tile.index - 1] : null;
+  const above = tile.row > 0 ? tiles[tile.index - cols] : null;
+  const rampX = left ? left.targetX + left.targetWidth - tile.targetX : 0;
+  const rampY = above ? above.targetY + above.targetHeight - tile.targetY : 0;
+  const ramp = (offset, length) => (offset < length ? (offset + 0.5) / length : 1);
+
+  const mask = Buffer.alloc(tile.targetWidth * tile.targetHeight);
+  for (let y = 0; y < tile.targetHeight; y += 1) {
+    const alphaY = ramp(y, rampY);
+    for (let x = 0; x < tile.targetWidth; x += 1) {
+      mask[y * tile.targetWidth + x] = Math.round(255 * alphaY * ramp(x, rampX));
+    }
+  }
+  return mask;
+}
+
+/**
+ * Rebuilds the full image from upscaled tiles. Each tile is resized to its
+ * exact slot (the upscaler may be a few pixels off) and drawn in row-major
+ * order with a feathered edge, so every overlap cross-fades from one tile to
+ * the next instead of showing a seam. Encoded in the format `outputPath`
+ * names (at `quality`), or as PNG when it names none; the conform step fixes
+ * the extension.
+ */
+async function stitchTiles(tiles, { width, height, cols }, outputPath, { quality = 92 } = {}) {
+  const layers = [];
+  for (const tile of tiles) {
+    const { targetWidth, targetHeight } = tile;
+    const raw = { width: targetWidth, height: targetHeight };
+    const rgb = await sharp(tile.outputPath)
+      .resize(targetWidth, targetHeight, { fit: 'fill' })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer();
+    const pixels = await sharp(rgb, { raw: { ...raw, channels: 3 } })
+      .joinChannel(featherMask(tile, tiles, cols), { raw: { ...raw, channels: 1 } })
+      .raw()
+      .toBuffer();
+    layers.push({
+      input: pixels,
+      raw: { ...raw, channels: 4 },
+      left: tile.targetX,
+      top: tile.targetY
+    });
+  }
+  const { data, info } = await sharp({
+    create: { width, height, channels: 3, background: '#000000' }
+  })
+    .composite(layers)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  // Compositing adds an alpha channel; the result is opaque.
+  const image = sharp(data, { raw: { width, height, channels: info.channels } }).removeAlpha();
+  const format = formatForExtension(path.extname(outputPath)) || 'png';
+  await (format === 'png' ? image.png() : image.toFormat(format, { quality })).toFile(outputPath);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * --tiles: upscales one image as a grid of sub-jobs through the same
+ * prepare/submit/collect round trip, then stitches the result into
+ * `outputPath`. Tiles are kept under tiles/<hash>/ in the output folder and
+ * each finished tile is recorded on `record.tiles` and saved right away, so
+ * a retry or a restart after a crash only redoes the missing ones. A
+ * different grid, overlap or target starts over. Resolves false, without
+ * doing anything, when the image fits in one tile.
+ */
+async function upscaleTiles(config, provider, shutdown, image) {
+  const { imagePath, outputPath, job, record, save } = image;
+  if (!job.sourceWidth || !job.sourceHeight || !job.targetWidth || !job.targetHeight) {
+    throw new SourceError(
+      `Cannot tile ${path.basename(imagePath)}: its dimensions could not be read from the file header.`
+    );
+  }
+  const source = { width: job.sourceWidth, height: job.sourceHeight };
+  const target = { width: job.targetWidth, height: job.targetHeight };
+  const { cols, rows } = chooseGrid(config, source, target);
+  if (cols * rows === 1) return false;
+  const key = `${cols}x${rows}+${config.tileOverlap} -> ${target.width}x${target.height}`;
+  const workDir = getTilesDir(config.outputDir, record);
+
+  if (!record.tiles || record.tiles.key !== key) {
+    await fs.rm(workDir, { recursive: true, force: true });
+    const plan = planTiles(source, target, { cols, rows, overlap: config.tileOverlap });
+    record.tiles = {
+      key,
+      cols,
+      rows,
+      // Kept across a crash while finished tiles in it can be reused.
+      dir: workDir,
+      items: plan.map((tile) => ({ ...tile, status: 'pending', outputPath: null }))
+    };
+    await save();
+  }
+  await ensureDir(workDir);
+
+  const { items } = record.tiles;
+  for (const tile of items) {
+    if (tile.status === 'done' && (await exists(tile.outputPath))) continue;
+    const label = `r${tile.row}c${tile.col}`;
+    const tilePath = path.join(workDir, `${label}.png`);
+    const tileOutputPath = path.join(workDir, `${label}-upscaled.png`);
+    config.log(`Tile ${tile.index + 1}/${items.length} (${label}) of ${path.basename(imagePath)}`);
+
+    provider.setStep('tile-split');
+    await sharp(imagePath)
+      .extract({ left: tile.x, top: tile.y, width: tile.width, height: tile.height })
+      .png()
+      .toFile(tilePath);
+    const prompt = renderPrompt(job.template, {
+      srcWidth: tile.width,
+      srcHeight: tile.height,
+      targetWidth: tile.targetWidth,
+      targetHeight: tile.targetHeight,
+      filename: path.basename(imagePath)
+    });
+    const tileJob = {
+      ...job,
+      prompt,
+      targetWidth: tile.targetWidth,
+      targetHeight: tile.targetHeight
+    };
+    await shutdown.race(provider.prepare(tileJob));
+    await shutdown.race(provider.submit(tilePath, prompt));
+    await shutdown.race(provider.collect(tileOutputPath));
+    if (config.validate) {
+      provider.setStep('validate');
+      await validateOutput(tileOutputPath, { ...config, ...tileJob });
+    }
+
+    tile.status = 'done';
+    tile.outputPath = tileOutputPath;
+    await save();
+  }
+
+  provider.setStep('stitch');
+  await stitchTiles(items, { ...target, cols }, outputPath, { quality: config.quality });
+  await fs.rm(workDir, { recursive: true, force: true });
+  return true;
+}
+
+module.exports = {
+  TILES_DIR,
+  chooseGrid,
+  planTiles,
+  stitchTiles,
+  upscaleTiles
+};
@@ -0,0 +1,55 @@
+const { ValidationError } = require('./errors');
+const { readImageInfo } = require('./image-info');
+
+const ACCEPTED_FORMATS = new Set(['jpeg', 'png', 'webp']);
+
+function withinTolerance(actual, expected, tolerance) {
+  return Math.abs(actual - expected) <= expected * tolerance;
+}
+
+/**
+ * Checks a downloaded result before it is marked processed: the file must be a
+ * complete JPEG/PNG/WebP and, when a target size is configured, match it in
+ * both dimensions and aspect ratio. Throws with a readable reason otherwise.
+ */
+async function validateOutput(outputPath, config) {
+  let info;
+  try {
+    info = await readImageInfo(outputPath);
+  } catch (err) {
+    throw new ValidationError(`Output is not a readable image: ${err.message || err}`);
+  }
+
+  const summary = `${info.width}x${info.height} ${info.format}`;
+  if (!ACCEPTED_FORMATS.has(info.format)) {
+    throw new ValidationError(`Output format ${info.format} is not accepted.`);
+  }
+  if (!info.complete) {
+    throw new ValidationError(`Output ${summary} is truncated.`);
+  }
+
+  const { targetWidth, targetHeight } = config;
+  if (!targetWidth || !targetHeight) {
+    return info;
+  }
+
+  const expected = `${targetWidth}x${targetHeight}`;
+  const aspect = info.width / info.height;
+  const targetAspect = targetWidth / targetHeight;
+  if (!withinTolerance(aspect, targetAspect, config.aspectTolerance)) {
+    throw new ValidationError(
+      `Output ${summary} has aspect ${aspect.toFixed(3)}; expected ${expected} (${targetAspect.toFixed(3)}).`
+    );
+  }
+  if (
+    !withinTolerance(info.width, targetWidth, config.sizeTolerance) ||
+    !withinTolerance(info.height, targetHeight, config.sizeTolerance)
+  ) {
+    throw new ValidationError(`Output is ${summary}; expected ${expected}.`);
+  }
+  return info;
+}
+
+module.exports = {
+  validateOutput
+};
@@ -0,0 +1,110 @@
+const fs = require('fs/promises');
+
+const { listInputImages } = require('./file-manager');
+const { readSourceInfo } = require('./image-info');
+const { getRecordForImage, saveState } = require('./state');
+
+/**
+ * Polls the input folder for --watch. A file is handed to `onImage` once it
+ * looks fully written: its size matches the previous poll, it has not been
+ * modified for `watchStableMs`, and its image header is complete. Images are
+ * matched against the state file first, so anything already processed,
+ * failed, skipped or queued (including byte-identical copies) is not queued
+ * again. `skip`, when given, sees every settled image in listing order and
+ * resolves true for one that should not be queued (see --dedupe).
+ */
+function createInputWatcher(config, state, onImage, { now = Date.now, skip } = {}) {
+  // path -> size/mtime at the last poll, and the key it was settled at.
+  const observed = new Map();
+  const settled = new Map();
+  const queuedHashes = new Set();
+  let stopped = false;
+  let wake = null;
+  let dirty = false;
+
+  async function isComplete(imagePath) {
+    try {
+      return (await readSourceInfo(imagePath)).complete !== false;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async function checkFile(imagePath) {
+    let stats;
+    try {
+      stats = await fs.stat(imagePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const key = `${stats.size}:${stats.mtimeMs}`;
+    if (settled.get(imagePath) === key) return null;
+
+    const previous = observed.get(imagePath);
+    observed.set(imagePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+    const sizeSettled = !previous || previous.size === stats.size;
+    const quiet = now() - stats.mtimeMs >= config.watchStableMs;
+    if (!stats.size || !sizeSettled || !quiet || !(await isComplete(imagePath))) {
+      return null;
+    }
+
+    settled.set(imagePath, key);
+    observed.delete(imagePath);
+    const record = await getRecordForImage(state, imagePath);
+    dirty = true;
+    if (skip && (await skip({ imagePath, record }))) return null;
+    if (record.status !== 'pending' || queuedHashes.has(record.hash)) return null;
+    queuedHashes.add(record.hash);
+    return { imagePath, record };
+  }
+
+  const watcher = {
+    // One scan of the input folder; resolves with the entries it queued.
+    async poll() {
+      const found = [];
+      for (const imagePath of await listInputImages(config)) {
+        if (stopped) break;
+        const entry = await checkFile(imagePath);
+        if (entry) {
+          found.push(entry);
+          onImage(entry);
+        }
+      }
+      if (dirty) await saveState(config.outputDir, state);
+      dirty = false;
+      return found;
+    },
+
+    // Polls every `watchIntervalMs` until stop() or a shutdown signal.
+    async run(shutdown) {
+      while (!stopped && !shutdown.requested) {
+        try {
+          await watcher.poll();
+        } catch (err) {
+          // E.g. the input folder is briefly missing; try again next time.
+          config.log(`Watch scan failed: ${err.message || err}`);
+        }
+        if (stopped) break;
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, config.watchIntervalMs);
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        wake = null;
+      }
+    },
+
+    stop() {
+      stopped = true;
+      if (wake) wake();
+    }
+  };
+  return watcher;
+}
+
+module.exports = {
+  createInputWatcher
+};
@@ -0,0 +1,43 @@
+/**
+ * FIFO that workers await. `next()` resolves with the next item, waiting
+ * while the queue is empty, and with null once the queue is closed and
+ * drained. A batch run closes it straight away; --watch keeps it open and
+ * pushes images as they land.
+ */
+function createWorkQueue(initial = []) {
+  const items = [...initial];
+  const waiters = [];
+  let closed = false;
+
+  return {
+    get size() {
+      return items.length;
+    },
+
+    get closed() {
+      return closed;
+    },
+
+    push(item) {
+      if (closed) throw new Error('Cannot add to a closed queue.');
+      const waiter = waiters.shift();
+      if (waiter) waiter(item);
+      else items.push(item);
+    },
+
+    next() {
+      if (items.length) return Promise.resolve(items.shift());
+      if (closed) return Promise.resolve(null);
+      return new Promise((resolve) => waiters.push(resolve));
+    },
+
+    close() {
+      closed = true;
+      for (const waiter of waiters.splice(0)) waiter(null);
+    }
+  };
+}
+
+module.exports = {
+  createWorkQueue
+};
@@ -0,0 +1,164 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { generateCandidates } = require('../src/candidates');
+const { QuotaError } = require('../src/errors');
+const { run } = require('../src/main');
+const { commandArgs, createWorkspace, readState } = require('./mock-gemini');
+
+// Stands in for a provider: `results[n]` is what the n-th collect does, a
+// sharp pipeline to write or an error to throw.
+function fakeProvider(source, results) {
+  let count = 0;
+  return {
+    currentStep: 'init',
+    setStep(step) {
+      this.currentStep = step;
+    },
+    async prepare() {
+      this.setStep('new-chat');
+    },
+    async submit() {
+      this.setStep('processing');
+    },
+    async collect(download) {
+      this.setStep('download');
+      const result = results[count];
+      count += 1;
+      if (result instanceof Error) throw result;
+      await result(sharp(source).resize(128, 96)).png().toFile(download);
+    }
+  };
+}
+
+const clean = (image) => image;
+const soft = (image) => image.blur(3);
+
+describe('generateCandidates', () => {
+  let root;
+  let image;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'candidates-'));
+    const pixels = Buffer.from(Array.from({ length: 64 * 48 }, (_, i) => (i * 7919) % 251));
+    const imagePath = path.join(root, 'frame.jpg');
+    await sharp(pixels, { raw: { width: 64, height: 48, channels: 1 } })
+      .jpeg({ quality: 95 })
+      .toFile(imagePath);
+    image = {
+      imagePath,
+      outputPath: path.join(root, 'frame_upscaled.png'),
+      job: { prompt: 'Upscale' },
+      record: { hash: 'a'.repeat(64) },
+      save: async () => {},
+      claim: async () => {}
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  function configFor(candidates) {
+    return { outputDir: root, candidates, log: () => {} };
+  }
+
+  const shutdown = { race: (promise) => promise };
+
+  it('ranks the candidates that came back when another one fails', async () => {
+    const provider = fakeProvider(image.imagePath, [soft, new Error('no button'), clean]);
+    await generateCandidates(configFor(3), provider, shutdown, image);
+
+    assert.deepEqual(
+      image.record.candidates.map(({ index, chosen, error }) => [index, chosen, error]),
+      [[1, false, null], [2, false, 'step=download no button'], [3, true, null]]
+    );
+    assert.equal(image.record.candidates[1].path, null);
+    assert.equal(image.record.candidates[1].score, null);
+    await fs.access(image.outputPath);
+    await fs.access(image.record.candidates[0].path);
+  });
+
+  it('stops at a usage limit and keeps what it has', async () => {
+    const provider = fakeProvider(image.imagePath, [clean, new QuotaError('limit'), clean]);
+    await generateCandidates(configFor(3), provider, shutdown, image);
+
+    assert.deepEqual(
+      image.record.candidates.map(({ index, chosen }) => [index, chosen]),
+      [[1, true], [2, false]]
+    );
+    await fs.access(image.outputPath);
+  });
+
+  it('fails with the last error when no candidate came back', async () => {
+    const provider = fakeProvider(image.imagePath, [new Error('first'), new Error('second')]);
+    await assert.rejects(
+      generateCandidates(configFor(2), provider, shutdown, image),
+      /^Error: second$/
+    );
+    await assert.rejects(fs.access(image.outputPath));
+  });
+});
+
+describe('--candidates runs', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('keeps the best of several candidates and archives the rest', async () => {
+    const pixels = Buffer.from(Array.from({ length: 64 * 48 }, (_, i) => (i * 7919) % 251));
+    await sharp(pixels, { raw: { width: 64, height: 48, channels: 1 } })
+      .jpeg({ quality: 95 })
+      .toFile(workspace.images[0]);
+    // Each call returns the next of: a soft upscale, a clean one, a tinted one.
+    const script = path.join(workspace.root, 'upscale.js');
+    const counter = path.join(workspace.root, 'count.txt');
+    await fs.writeFile(
+      script,
+      `const fs = require('fs');
+const sharp = require(${JSON.stringify(require.resolve('sharp'))});
+const [input, output] = process.argv.slice(2);
+const counter = ${JSON.stringify(counter)};
+const count = (fs.existsSync(counter) ? Number(fs.readFileSync(counter, 'utf8')) : 0) + 1;
+fs.writeFileSync(counter, String(count));
+let image = sharp(input).resize(128, 96, { kernel: 'nearest' });
+if (count === 1) image = image.blur(3);
+if (count === 3) image = image.tint('#30ff30');
+image.png().toFile(output);
+`
+    );
+    const result = await run(
+      commandArgs(workspace, [], [
+        '--command', `node ${script} {input} {output}`,
+        '--targetWidth', '128',
+        '--targetHeight', '96',
+        '--candidates', '3',
+        '--limit', '1'
+      ])
+    );
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+
+    const record = Object.values((await readState(workspace)).images).find(
+      (entry) => entry.status === 'processed'
+    );
+    assert.deepEqual(
+      record.candidates.map((candidate) => [candidate.index, candidate.chosen]),
+      [[1, false], [2, true], [3, false]]
+    );
+    assert.ok(record.candidates.every((candidate) => typeof candidate.score === 'number'));
+    assert.match(record.outputPath, /frame_001_upscaled\.png$/);
+    for (const candidate of [record.candidates[0], record.candidates[2]]) {
+      await fs.access(candidate.path);
+    }
+  });
+});
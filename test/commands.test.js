@@ -0,0 +1,168 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { run } = require('../src/main');
+const {
+  commandArgs,
+  createWorkspace,
+  mockUrl,
+  readState,
+  statusByName
+} = require('./mock-gemini');
+
+describe('management commands', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('reports counts and failures grouped by step', async () => {
+    await run(commandArgs(workspace, [], ['--limit', '1']));
+    await run(
+      commandArgs(workspace, [], ['--command', 'false', '--retries', '1', '--limit', '1'])
+    );
+
+    const summary = await run(commandArgs(workspace, ['status']));
+    assert.equal(summary.total, 3);
+    assert.deepEqual(summary.counts, {
+      processed: 1,
+      'needs-review': 0,
+      failed: 1,
+      pending: 1,
+      skipped: 0
+    });
+    assert.deepEqual(summary.failuresByStep, { processing: ['frame_002.jpg'] });
+  });
+
+  it('reads status without disturbing a batch that is still running', async () => {
+    await run(commandArgs(workspace, [], ['--limit', '1']));
+    // As a live batch would leave things mid-image, holding the lock.
+    const statePath = path.join(workspace.outputDir, 'processing-state.json');
+    const state = await readState(workspace);
+    const record = Object.values(state.images).find((entry) => entry.status === 'pending');
+    const partial = path.join(workspace.outputDir, 'frame_002_upscaled.jpg');
+    await fs.writeFile(partial, 'partial');
+    Object.assign(record, { status: 'in-progress', inFlightOutputPath: partial });
+    await fs.writeFile(statePath, JSON.stringify(state));
+    const before = await fs.readFile(statePath, 'utf8');
+    await fs.writeFile(path.join(workspace.outputDir, 'processing-state.lock'), String(process.pid));
+
+    const summary = await run(commandArgs(workspace, ['status']));
+    assert.equal(summary.counts['in-progress'], 1);
+    assert.equal(await fs.readFile(partial, 'utf8'), 'partial');
+    assert.equal(await fs.readFile(statePath, 'utf8'), before);
+    await assert.rejects(run(commandArgs(workspace)), /Another run \(pid \d+\)/);
+    await assert.rejects(run(commandArgs(workspace, ['reset', '*.jpg'])), /Another run/);
+  });
+
+  it('leaves failed images alone until retry-failed', async () => {
+    await run(
+      commandArgs(workspace, [], ['--command', 'false', '--retries', '1', '--limit', '1'])
+    );
+
+    const plain = await run(commandArgs(workspace));
+    assert.deepEqual(plain, { successCount: 2, failureCount: 0 });
+    assert.equal((await statusByName(workspace))['frame_001.jpg'], 'failed');
+
+    const retried = await run(commandArgs(workspace, ['retry-failed']));
+    assert.deepEqual(retried, { successCount: 1, failureCount: 0 });
+    assert.equal((await statusByName(workspace))['frame_001.jpg'], 'processed');
+  });
+
+  it('skips and resets images by pattern', async () => {
+    assert.equal(await run(commandArgs(workspace, ['skip', 'frame_00{1,2}.jpg'])), 2);
+
+    const result = await run(commandArgs(workspace));
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+    assert.deepEqual(await statusByName(workspace), {
+      'frame_001.jpg': 'skipped',
+      'frame_002.jpg': 'skipped',
+      'frame_003.jpg': 'processed'
+    });
+
+    assert.equal(await run(commandArgs(workspace, ['reset', '*.jpg'])), 3);
+    const state = await readState(workspace);
+    for (const record of Object.values(state.images)) {
+      assert.equal(record.status, 'pending');
+      assert.equal(record.attempts, 0);
+      assert.equal(record.outputPath, null);
+    }
+  });
+
+  it('approves images held for review', async () => {
+    await run(commandArgs(workspace, [], ['--limit', '2']));
+    // As a --fidelity run leaves a flagged result.
+    const statePath = path.join(workspace.outputDir, 'processing-state.json');
+    const state = await readState(workspace);
+    const record = Object.values(state.images).find((entry) =>
+      entry.sourcePath.endsWith('frame_002.jpg')
+    );
+    record.status = 'needs-review';
+    await fs.writeFile(statePath, JSON.stringify(state));
+
+    assert.equal(await run(commandArgs(workspace, ['approve', 'frame_00*.jpg'])), 1);
+    const statuses = await statusByName(workspace);
+    assert.equal(statuses['frame_001.jpg'], 'processed');
+    assert.equal(statuses['frame_002.jpg'], 'processed');
+  });
+
+  it('writes a CSV report', async () => {
+    await run(commandArgs(workspace, [], ['--limit', '1']));
+    const out = path.join(workspace.root, 'report.csv');
+    await run(commandArgs(workspace, ['report'], ['--out', out]));
+
+    const lines = (await fs.readFile(out, 'utf8')).trim().split('\n');
+    assert.equal(lines[0], 'image,status,attempts,lastStep,lastError,outputPath,outputWidth,outputHeight,duplicateOf,duplicateDistance,reviewReasons,heatmapPath,updatedAt,hash');
+    assert.equal(lines.length, 4);
+    assert.match(lines[1], /^frame_001\.jpg,processed,1,,,.*frame_001_upscaled\.jpg,1920,1080,/);
+    assert.match(lines[2], /^frame_002\.jpg,pending,0,/);
+  });
+
+  it('rejects reset without a pattern', async () => {
+    await assert.rejects(run(commandArgs(workspace, ['reset'])), /A pattern is required/);
+  });
+});
+
+describe('doctor', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(1);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  function doctorArgs(extra = []) {
+    return [
+      'doctor',
+      '--browserData', workspace.browserDataDir,
+      '--geminiUrl', mockUrl(),
+      '--headless',
+      '--no-verbose',
+      ...extra
+    ];
+  }
+
+  it('finds every chain expected on an idle page', async () => {
+    const result = await run(doctorArgs());
+    assert.equal(result.healthy, true);
+    assert.equal(result.source, 'built-in');
+  });
+
+  it('reports chains an override file breaks', async () => {
+    const file = path.join(workspace.root, 'selectors.json');
+    await fs.writeFile(file, JSON.stringify({ chains: { send: [{ css: '#renamed-send' }] } }));
+    const result = await run(doctorArgs(['--selectors', file]));
+    assert.equal(result.healthy, false);
+    assert.deepEqual(result.missing, ['send']);
+  });
+});
@@ -0,0 +1,156 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { buildConfig, loadConfig } = require('../src/config');
+
+const FILE = {
+  retries: 5,
+  output: 'out',
+  profiles: {
+    'drone-4k': { prompt: 'Upscale to 4000x2250', minDelayMs: 1000, maxDelayMs: 2000 },
+    'stills-2x': { prompt: 'Upscale to 3840x2160', headless: true }
+  }
+};
+
+describe('buildConfig workers', () => {
+  it('runs one worker in one profile by default', () => {
+    const config = buildConfig({ browserData: '/tmp/profile' });
+    assert.equal(config.workers, 1);
+    assert.equal(config.workerMode, 'tabs');
+    assert.deepEqual(config.browserDataDirs, ['/tmp/profile']);
+  });
+
+  it('shares the first profile between tabs', () => {
+    const config = buildConfig({ browserData: '/tmp/profile', workers: 3 });
+    assert.equal(config.workerMode, 'tabs');
+    assert.deepEqual(config.browserDataDirs, ['/tmp/profile']);
+  });
+
+  it('derives a profile per worker in profiles mode', () => {
+    const config = buildConfig({
+      browserData: '/tmp/profile/',
+      workers: 3,
+      workerMode: 'profiles'
+    });
+    assert.deepEqual(config.browserDataDirs, [
+      '/tmp/profile/',
+      '/tmp/profile-2',
+      '/tmp/profile-3'
+    ]);
+  });
+
+  it('uses one worker per repeated --browserData', () => {
+    const config = buildConfig({ browserData: ['/tmp/a', '/tmp/b'] });
+    assert.equal(config.workerMode, 'profiles');
+    assert.equal(config.workers, 2);
+    assert.deepEqual(config.browserDataDirs, ['/tmp/a', '/tmp/b']);
+  });
+
+  it('rejects unknown modes and bad counts', () => {
+    assert.throws(
+      () => buildConfig({ workerMode: 'threads' }),
+      /"workerMode" \(from --workerMode\): expected one of tabs, profiles/
+    );
+    assert.throws(() => buildConfig({ workers: 0.5 }), /expected an integer, got 0\.5/);
+  });
+});
+
+describe('buildConfig sources', () => {
+  const configPath = '/etc/upscaler/upscaler.config.json';
+
+  it('layers the file, its profile, env vars and flags, later winning', () => {
+    const config = buildConfig(
+      { maxDelayMs: 3000 },
+      {
+        file: FILE,
+        configPath,
+        profile: 'drone-4k',
+        env: { UPSCALER_MIN_DELAY_MS: '1500', UPSCALER_RETRIES: '7' }
+      }
+    );
+    assert.equal(config.retries, 7);
+    assert.equal(config.minDelayMs, 1500);
+    assert.equal(config.maxDelayMs, 3000);
+    assert.equal(config.targetWidth, 4000);
+    assert.equal(config.profile, 'drone-4k');
+  });
+
+  it('lets the last of a repeated single-valued flag win', () => {
+    assert.equal(buildConfig({ retries: [2, 4] }).retries, 4);
+  });
+
+  it('resolves relative paths in the file against its folder', () => {
+    const config = buildConfig({}, { file: FILE, configPath });
+    assert.equal(config.outputDir, '/etc/upscaler/out');
+  });
+
+  it('reads booleans and lists from env vars', () => {
+    const config = buildConfig({}, {
+      env: { UPSCALER_HEADLESS: 'yes', UPSCALER_EXCLUDE: '**/thumbs/**, *.png' }
+    });
+    assert.equal(config.headless, true);
+    assert.deepEqual(config.exclude, ['**/thumbs/**', '*.png']);
+  });
+
+  it('reads --tiles as auto, off or a grid', () => {
+    assert.equal(buildConfig({}).tiles, false);
+    assert.equal(buildConfig({ tiles: true }).tiles, 'auto');
+    assert.deepEqual(buildConfig({ tiles: '3x2' }).tiles, { cols: 3, rows: 2 });
+    assert.equal(buildConfig({}, { env: { UPSCALER_TILES: 'off' } }).tiles, false);
+    assert.throws(() => buildConfig({ tiles: '0x2' }), /expected "auto", "off" or a grid/);
+  });
+
+  it('names the option and its source when a value is invalid', () => {
+    assert.throws(
+      () => buildConfig({ retries: 'abc' }),
+      /Invalid value for "retries" \(from --retries\): expected an integer, got "abc"/
+    );
+    assert.throws(
+      () => buildConfig({}, { env: { UPSCALER_VALIDATE: 'maybe' } }),
+      /\(from UPSCALER_VALIDATE\): expected true or false/
+    );
+    assert.throws(
+      () => buildConfig({}, { file: { profiles: { x: { retries: -1 } } }, configPath, profile: 'x' }),
+      /\(from profile "x" in .*upscaler\.config\.json\): expected an integer >= 1/
+    );
+    assert.throws(() => buildConfig({ minDelayMs: 5, maxDelayMs: 1 }), /must not be greater/);
+  });
+
+  it('rejects unknown options and profiles', () => {
+    assert.throws(() => buildConfig({ retires: 3 }), /Unknown option "retires" in command line flags/);
+    assert.throws(
+      () => buildConfig({}, { file: { retires: 3 }, configPath }),
+      /Unknown option "retires" in .*upscaler\.config\.json/
+    );
+    assert.throws(
+      () => buildConfig({}, { file: FILE, configPath, profile: 'drone' }),
+      /Unknown profile "drone".*Available: drone-4k, stills-2x/
+    );
+  });
+});
+
+describe('loadConfig', () => {
+  it('reads the file given by --config and selects the profile', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-config-'));
+    try {
+      const configPath = path.join(dir, 'settings.json');
+      await fs.writeFile(configPath, JSON.stringify(FILE));
+      const config = await loadConfig({ config: configPath, profile: 'stills-2x' }, {});
+      assert.equal(config.headless, true);
+      assert.equal(config.targetHeight, 2160);
+      assert.equal(config.configPath, configPath);
+
+      await fs.writeFile(configPath, '{ retries: 3 }');
+      await assert.rejects(loadConfig({ config: configPath }, {}), /not valid JSON/);
+      await assert.rejects(
+        loadConfig({ config: path.join(dir, 'missing.json') }, {}),
+        /ENOENT/
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { conformOutput, extensionFor, outputExtension } = require('../src/conform');
+const { ValidationError } = require('../src/errors');
+const { buildOutputPath } = require('../src/file-manager');
+const { readImageInfo } = require('../src/image-info');
+
+describe('conforming downloads', () => {
+  let root;
+  let config;
+  let imagePath;
+  const job = { targetWidth: 400, targetHeight: 225 };
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-conform-'));
+    config = {
+      inputDir: path.join(root, 'input'),
+      outputDir: path.join(root, 'output'),
+      conform: 'off',
+      conformTolerance: 0.1,
+      letterboxColor: '#000000',
+      outputFormat: 'keep',
+      quality: 90,
+      keepRaw: false
+    };
+    await fs.mkdir(config.inputDir);
+    imagePath = path.join(config.inputDir, 'frame.jpg');
+    await fs.writeFile(imagePath, '');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  // Claims the output like a run does, then "downloads" into it.
+  async function download(width, height, format = 'png') {
+    const outputPath = await buildOutputPath(
+      config.outputDir,
+      imagePath,
+      config.inputDir,
+      outputExtension(config, imagePath)
+    );
+    await sharp({ create: { width, height, channels: 3, background: '#ff0000' } })
+      .toFormat(format)
+      .toFile(outputPath);
+    return outputPath;
+  }
+
+  async function outputs() {
+    return (await fs.readdir(config.outputDir)).sort();
+  }
+
+  it('names the file after its real format', async () => {
+    const outputPath = await download(400, 225);
+    const result = await conformOutput(config, { imagePath, outputPath, job });
+    assert.equal(result.outputPath, path.join(config.outputDir, 'frame_upscaled.png'));
+    assert.equal(result.rawPath, null);
+    assert.deepEqual(await outputs(), ['frame_upscaled.png']);
+  });
+
+  it('center-crops to the exact target and re-encodes, keeping the raw file', async () => {
+    Object.assign(config, { conform: 'crop', outputFormat: 'jpeg', keepRaw: true });
+    const outputPath = await download(420, 230);
+    assert.match(outputPath, /frame_upscaled\.jpg$/);
+
+    const result = await conformOutput(config, { imagePath, outputPath, job });
+    assert.equal(result.outputPath, outputPath);
+    assert.equal(result.rawPath, path.join(config.outputDir, 'frame_upscaled.raw.png'));
+    assert.deepEqual(await outputs(), ['frame_upscaled.jpg', 'frame_upscaled.raw.png']);
+    const info = await readImageInfo(result.outputPath);
+    assert.deepEqual([info.format, info.width, info.height], ['jpeg', 400, 225]);
+  });
+
+  it('never overwrites a raw file kept earlier', async () => {
+    Object.assign(config, { conform: 'crop', outputFormat: 'jpeg', keepRaw: true });
+    await fs.mkdir(config.outputDir);
+    const earlier = path.join(config.outputDir, 'frame_upscaled.raw.png');
+    await fs.writeFile(earlier, 'earlier');
+    const claimed = [];
+    const outputPath = await download(420, 230);
+
+    const result = await conformOutput(config, {
+      imagePath,
+      outputPath,
+      job,
+      claim: async (file) => claimed.push(file)
+    });
+    assert.equal(result.rawPath, path.join(config.outputDir, 'frame_upscaled.raw_2.png'));
+    assert.deepEqual(claimed, [result.rawPath]);
+    assert.equal(await fs.readFile(earlier, 'utf8'), 'earlier');
+    assert.equal((await readImageInfo(result.rawPath)).width, 420);
+  });
+
+  it('letterboxes to the target aspect instead of cropping', async () => {
+    config.conform = 'letterbox';
+    const outputPath = await download(380, 225);
+    const result = await conformOutput(config, { imagePath, outputPath, job });
+    const { data, info } = await sharp(result.outputPath)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    assert.deepEqual([info.width, info.height], [400, 225]);
+    // Padding on the left edge, picture in the middle.
+    assert.deepEqual([...data.subarray(0, 3)], [0, 0, 0]);
+    const middle = (112 * 400 + 200) * info.channels;
+    assert.deepEqual([...data.subarray(middle, middle + 3)], [255, 0, 0]);
+  });
+
+  it('rejects downloads too far off the target to conform', async () => {
+    config.conform = 'crop';
+    const outputPath = await download(200, 112);
+    await assert.rejects(
+      conformOutput(config, { imagePath, outputPath, job }),
+      (err) => err instanceof ValidationError && /too far from 400x225/.test(err.message)
+    );
+    assert.deepEqual(await outputs(), ['frame_upscaled.jpg']);
+  });
+
+  it('keeps the spelling of a matching extension', () => {
+    assert.equal(extensionFor('jpeg', '.JPEG'), '.JPEG');
+    assert.equal(extensionFor('jpeg', '.png'), '.jpg');
+    assert.equal(outputExtension({ outputFormat: 'webp' }, '/in/a.jpg'), '.webp');
+    assert.equal(outputExtension({ outputFormat: 'keep' }, '/in/a.jpeg'), '.jpeg');
+  });
+});
@@ -0,0 +1,161 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const {
+  createDeduper,
+  hammingDistance,
+  perceptualHash,
+  skipNearDuplicates
+} = require('../src/dedupe');
+const { run } = require('../src/main');
+const { commandArgs, createWorkspace, statusByName } = require('./mock-gemini');
+
+function createRecord(hash, sourcePath) {
+  return { hash, sourcePath, status: 'pending', perceptualHash: null };
+}
+
+// A blocky random scene; `shift` brightens it slightly, like the next frame
+// of a still shot.
+function scene(seed, shift = 0) {
+  const width = 64;
+  const height = 48;
+  const pixels = Buffer.alloc(width * height * 3);
+  let value = seed;
+  const blocks = [];
+  for (let i = 0; i < 64; i += 1) {
+    value = (value * 1103515245 + 12345) % 2147483648;
+    blocks.push(value % 256);
+  }
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const level = Math.min(255, blocks[Math.floor(y / 6) * 8 + Math.floor(x / 8)] + shift);
+      pixels.fill(level, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png();
+}
+
+describe('near-duplicate detection', () => {
+  let dir;
+  let config;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-dedupe-'));
+    config = { dedupeThreshold: 5, log: () => {} };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function frame(name, seed, shift) {
+    const imagePath = path.join(dir, name);
+    await scene(seed, shift).toFile(imagePath);
+    return { imagePath, record: createRecord(`hash-${name}`, imagePath) };
+  }
+
+  it('hashes similar images close together and different ones far apart', async () => {
+    const a = await perceptualHash((await frame('a.png', 1)).imagePath);
+    const b = await perceptualHash((await frame('b.png', 1, 3)).imagePath);
+    const c = await perceptualHash((await frame('c.png', 2)).imagePath);
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(a, b) <= 2);
+    assert.ok(hammingDistance(a, c) > 10);
+    assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  });
+
+  it('skips frames close to the last kept frame and records which one', async () => {
+    const entries = [
+      await frame('001.png', 1),
+      await frame('002.png', 1, 2),
+      await frame('003.png', 1, 4),
+      await frame('004.png', 2),
+      await frame('005.png', 2, 1)
+    ];
+    const skipped = await skipNearDuplicates(config, entries);
+    assert.deepEqual(
+      skipped.map((entry) => path.basename(entry.imagePath)),
+      ['002.png', '003.png', '005.png']
+    );
+    const [first, second, third, fourth, fifth] = entries.map((entry) => entry.record);
+    assert.equal(second.status, 'skipped');
+    assert.equal(second.duplicateOf, first.hash);
+    assert.equal(third.duplicateOf, first.hash);
+    assert.equal(typeof third.duplicateDistance, 'number');
+    assert.equal(fourth.status, 'pending');
+    assert.equal(fifth.duplicateOf, fourth.hash);
+    assert.ok(first.perceptualHash);
+  });
+
+  it('only skips pending frames and keeps frames it cannot decode', async () => {
+    const kept = await frame('001.png', 1);
+    kept.record.status = 'processed';
+    const broken = path.join(dir, '002.jpg');
+    await fs.writeFile(broken, 'not an image');
+    const entries = [
+      kept,
+      { imagePath: broken, record: createRecord('hash-broken', broken) },
+      await frame('003.png', 1, 1)
+    ];
+    const deduper = createDeduper(config);
+    assert.equal(await deduper(entries[0]), false);
+    assert.equal(await deduper(entries[1]), false);
+    // The undecodable frame breaks the run, so the next one is kept too.
+    assert.equal(await deduper(entries[2]), false);
+    assert.equal(await deduper(await frame('004.png', 1, 2)), true);
+  });
+
+  it('does not compare frames across folders', async () => {
+    await fs.mkdir(path.join(dir, 'b'));
+    const entries = [await frame('001.png', 1), await frame(path.join('b', '001.png'), 1)];
+    assert.deepEqual(await skipNearDuplicates(config, entries), []);
+  });
+
+  it('keeps everything at threshold 0 unless the hashes match', async () => {
+    config.dedupeThreshold = 0;
+    const entries = [await frame('001.png', 1), await frame('002.png', 2)];
+    assert.deepEqual(await skipNearDuplicates(config, entries), []);
+  });
+});
+
+describe('--dedupe runs', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('skips near-duplicate frames with --dedupe and names the kept frame', async () => {
+    // Brightness ramps: the first two frames differ only in exposure.
+    const ramp = (from, to) => {
+      const pixels = Buffer.alloc(32 * 24);
+      for (let i = 0; i < pixels.length; i += 1) pixels[i] = from + ((to - from) * (i % 32)) / 31;
+      return sharp(pixels, { raw: { width: 32, height: 24, channels: 1 } }).jpeg();
+    };
+    await ramp(0, 200).toFile(workspace.images[0]);
+    await ramp(20, 220).toFile(workspace.images[1]);
+    await ramp(200, 0).toFile(workspace.images[2]);
+
+    const result = await run(commandArgs(workspace, [], ['--dedupe', '--no-validate']));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+    assert.deepEqual(await statusByName(workspace), {
+      'frame_001.jpg': 'processed',
+      'frame_002.jpg': 'skipped',
+      'frame_003.jpg': 'processed'
+    });
+
+    const out = path.join(workspace.root, 'report.json');
+    const rows = await run(commandArgs(workspace, ['report'], ['--format', 'json', '--out', out]));
+    const row = rows.find((entry) => entry.status === 'skipped');
+    assert.equal(row.duplicateOf, 'frame_001.jpg');
+    assert.equal(row.duplicateDistance, 0);
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { buildConfig } = require('../src/config');
+const {
+  CATEGORIES,
+  DownloadError,
+  RefusalError,
+  SourceError,
+  STEP_CATEGORIES,
+  backoffDelay,
+  classifyError,
+  retryPolicyFor
+} = require('../src/errors');
+const { run } = require('../src/main');
+const { createWorkspace } = require('./mock-gemini');
+
+describe('error classification', () => {
+  it('uses the category of typed errors', () => {
+    assert.equal(classifyError(new DownloadError('empty'), 'processing'), 'download-failed');
+    assert.equal(classifyError(new RefusalError('no'), 'processing'), 'refusal');
+  });
+
+  it('falls back to the step for untyped errors', () => {
+    assert.equal(classifyError(new Error('Timeout 5000ms'), 'upload'), 'upload-failed');
+    assert.equal(classifyError(new Error('boom'), 'send'), 'ui-not-found');
+    assert.equal(classifyError(new Error('Input buffer is corrupt'), 'stitch'), 'validation-failed');
+    assert.equal(classifyError(new Error('boom'), 'not-a-step'), 'unknown');
+    // Only a SourceError means the source cannot be read.
+    assert.equal(classifyError(new Error('EBUSY: resource busy'), 'init'), 'unknown');
+    assert.equal(classifyError(new SourceError('No size in header'), 'init'), 'source-unreadable');
+    assert.equal(classifyError(new Error('Target closed'), 'check-session'), 'ui-not-found');
+  });
+
+  it('maps every step the providers and the pipeline set', async () => {
+    const steps = new Set(['init']);
+    async function scan(dir) {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await scan(file);
+        } else if (entry.name.endsWith('.js')) {
+          const source = await fs.readFile(file, 'utf8');
+          for (const [, step] of source.matchAll(/setStep\('([^']+)'\)/g)) steps.add(step);
+        }
+      }
+    }
+    await scan(path.join(__dirname, '..', 'src'));
+    assert.ok(steps.has('stitch') && steps.has('delete-chat'));
+    for (const step of steps) {
+      assert.ok(CATEGORIES.includes(STEP_CATEGORIES[step]), `no category for step "${step}"`);
+    }
+  });
+});
+
+describe('retry policies', () => {
+  it('derive defaults from --retries and --retryBackoffMs', () => {
+    const { retryPolicies } = buildConfig({ retries: 4, retryBackoffMs: 100 });
+    assert.equal(retryPolicyFor(retryPolicies, 'upload-failed').attempts, 4);
+    assert.equal(retryPolicyFor(retryPolicies, 'upload-failed').backoffMs, 100);
+    assert.equal(retryPolicyFor(retryPolicies, 'refusal').attempts, 1);
+  });
+
+  it('accept per-class overrides from dotted flags', () => {
+    const { retryPolicies } = buildConfig({
+      retry: { 'download-failed': { attempts: '6', jitter: '0' }, default: { factor: 3 } }
+    });
+    const policy = retryPolicyFor(retryPolicies, 'download-failed');
+    assert.equal(policy.attempts, 6);
+    assert.equal(policy.jitter, 0);
+    assert.equal(retryPolicyFor(retryPolicies, 'ui-not-found').factor, 3);
+  });
+
+  it('reject unknown classes and fields', () => {
+    assert.throws(() => buildConfig({ retry: { nope: { attempts: 1 } } }), /Unknown retry class "nope"/);
+    assert.throws(
+      () => buildConfig({ retry: { quota: { tries: 1 } } }),
+      /Unknown retry setting "tries"/
+    );
+  });
+
+  it('grow backoff exponentially within the jitter band and cap it', () => {
+    const policy = { backoffMs: 1000, factor: 2, maxBackoffMs: 5000, jitter: 0.5 };
+    assert.equal(backoffDelay(policy, 1, () => 0.5), 1000);
+    assert.equal(backoffDelay(policy, 3, () => 0), 2000);
+    assert.equal(backoffDelay(policy, 3, () => 1), 6000);
+    assert.equal(backoffDelay(policy, 10, () => 0.5), 5000);
+  });
+});
+
+describe('per-class retries in run()', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(1);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('stops after the attempts allowed for the failing class', async () => {
+    const result = await run([
+      '--provider', 'command',
+      '--command', 'false',
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir,
+      '--retries', '5',
+      '--retryBackoffMs', '1',
+      '--retry.generation-failed.attempts', '2',
+      '--no-verbose'
+    ]);
+    assert.deepEqual(result, { successCount: 0, failureCount: 1 });
+
+    const state = JSON.parse(
+      await fs.readFile(path.join(workspace.outputDir, 'processing-state.json'), 'utf8')
+    );
+    const [record] = Object.values(state.images);
+    assert.equal(record.attempts, 2);
+    assert.equal(record.lastErrorClass, 'generation-failed');
+  });
+});
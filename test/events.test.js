@@ -0,0 +1,48 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { createEventLog, getEventsPath, readRunEvents } = require('../src/events');
+
+describe('event log', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-events-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('appends one JSON line per event, in emit order', async () => {
+    const events = createEventLog(outputDir, 'run-a');
+    await Promise.all(
+      Array.from({ length: 20 }, (_, index) => events.emit('step', { attempt: index }))
+    );
+    const lines = (await fs.readFile(getEventsPath(outputDir), 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 20);
+    const parsed = lines.map((line) => JSON.parse(line));
+    assert.deepEqual(parsed.map((event) => event.attempt), [...Array(20).keys()]);
+    assert.equal(parsed[0].runId, 'run-a');
+    assert.equal(parsed[0].type, 'step');
+    assert.ok(parsed[0].ts);
+  });
+
+  it('reads the latest run unless one is named, skipping partial lines', async () => {
+    await createEventLog(outputDir, 'run-a').emit('run-start');
+    await createEventLog(outputDir, 'run-b').emit('run-start');
+    await fs.appendFile(getEventsPath(outputDir), '{"runId":"run-b","ty');
+
+    const latest = await readRunEvents(outputDir);
+    assert.equal(latest.runId, 'run-b');
+    assert.equal(latest.events.length, 1);
+    assert.equal((await readRunEvents(outputDir, 'run-a')).events[0].runId, 'run-a');
+  });
+
+  it('returns no events before the first run', async () => {
+    assert.deepEqual(await readRunEvents(outputDir), { runId: null, events: [] });
+  });
+});
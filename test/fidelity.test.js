@@ -0,0 +1,189 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { checkFidelity, estimateOffset } = require('../src/fidelity');
+const { run } = require('../src/main');
+const { commandArgs, createWorkspace, readState } = require('./mock-gemini');
+
+const config = { fidelityMinSsim: 0.6, fidelityMaxOffset: 0.01 };
+
+// Random 8x8 blocks, softened like real imagery.
+function scene(width, height, seed = 3) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let value = seed;
+  for (let y = 0; y < height; y += 8) {
+    for (let x = 0; x < width; x += 8) {
+      value = (value * 1103515245 + 12345) % 2147483648;
+      for (let dy = 0; dy < 8 && y + dy < height; dy += 1) {
+        for (let dx = 0; dx < 8 && x + dx < width; dx += 1) {
+          const offset = ((y + dy) * width + x + dx) * 3;
+          pixels[offset] = value % 256;
+          pixels[offset + 1] = (value >> 8) % 256;
+          pixels[offset + 2] = (value >> 16) % 256;
+        }
+      }
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).blur(1.5);
+}
+
+describe('estimateOffset', () => {
+  it('finds how far the content moved', () => {
+    const width = 64;
+    const height = 48;
+    const source = Buffer.alloc(width * height);
+    for (let i = 0; i < source.length; i += 1) {
+      source[i] = ((i % width) * 13 + Math.floor(i / width) * 29) % 256;
+    }
+    const moved = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        moved[y * width + x] = source[Math.max(0, y - 1) * width + Math.max(0, x - 2)];
+      }
+    }
+    assert.deepEqual(estimateOffset(source, source, { width, height }), { x: 0, y: 0 });
+    assert.deepEqual(estimateOffset(source, moved, { width, height }), { x: 2, y: 1 });
+  });
+});
+
+describe('checkFidelity', () => {
+  let dir;
+  let source;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-fidelity-'));
+    source = path.join(dir, 'source.png');
+    await scene(160, 120).png().toFile(source);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function upscale(name, image) {
+    const file = path.join(dir, `${name}.png`);
+    await sharp(await image.png().toBuffer()).resize(480, 360).png().toFile(file);
+    return file;
+  }
+
+  it('passes a faithful upscale without writing a heatmap', async () => {
+    const result = await checkFidelity(config, source, await upscale('good', sharp(source)));
+    assert.equal(result.passed, true, result.reasons.join('; '));
+    assert.ok(result.minSsim > 0.9);
+    assert.deepEqual(result.offset, { x: 0, y: 0 });
+    assert.equal(result.heatmapPath, null);
+  });
+
+  it('flags shifted and cropped frames', async () => {
+    const padded = await sharp(source).extend({ left: 5, background: '#000' }).png().toBuffer();
+    const shifted = await checkFidelity(
+      config,
+      source,
+      await upscale('shifted', sharp(padded).extract({ left: 0, top: 0, width: 160, height: 120 }))
+    );
+    assert.equal(shifted.passed, false);
+    assert.deepEqual(shifted.offset, { x: 5, y: 0 });
+
+    const cropped = await checkFidelity(
+      config,
+      source,
+      await upscale('cropped', sharp(source).extract({ left: 8, top: 6, width: 144, height: 108 }))
+    );
+    assert.equal(cropped.passed, false);
+    assert.ok(cropped.minSsim < config.fidelityMinSsim);
+  });
+
+  it('flags an invented object and a corner watermark, with a heatmap', async () => {
+    const object = await scene(40, 30, 99).png().toBuffer();
+    const invented = await checkFidelity(
+      config,
+      source,
+      await upscale('invented', sharp(source).composite([{ input: object, left: 60, top: 45 }]))
+    );
+    assert.equal(invented.passed, false);
+    assert.match(invented.reasons[0], /^the 40x30 region at \d+,\d+ has SSIM/);
+    assert.equal(invented.watermarks.length, 0);
+
+    const mark = await sharp({
+      create: { width: 20, height: 8, channels: 3, background: '#ffffff' }
+    })
+      .png()
+      .toBuffer();
+    const marked = await checkFidelity(
+      config,
+      source,
+      await upscale('marked', sharp(source).composite([{ input: mark, left: 134, top: 107 }]))
+    );
+    assert.equal(marked.passed, false);
+    assert.deepEqual(marked.watermarks, ['bottom-right']);
+    assert.equal(marked.heatmapPath, path.join(dir, 'marked.diff.png'));
+    const heatmap = await sharp(marked.heatmapPath).metadata();
+    assert.deepEqual([heatmap.width, heatmap.height], [160, 120]);
+  });
+});
+
+describe('--fidelity runs', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('holds shifted results for review', async () => {
+    for (const [index, file] of workspace.images.slice(0, 2).entries()) {
+      const pixels = Buffer.from(
+        Array.from({ length: 96 * 64 }, (_, i) => (i * 7919 + index * 97) % 251)
+      );
+      await sharp(pixels, { raw: { width: 96, height: 64, channels: 1 } })
+        .blur(1.5)
+        .jpeg({ quality: 95 })
+        .toFile(file);
+    }
+    // frame_001 is upscaled faithfully, frame_002 comes back moved 4px right.
+    const script = path.join(workspace.root, 'upscale.js');
+    await fs.writeFile(
+      script,
+      `const sharp = require(${JSON.stringify(require.resolve('sharp'))});
+const [input, output] = process.argv.slice(2);
+(async () => {
+  let source = await sharp(input).png().toBuffer();
+  if (input.endsWith('frame_002.jpg')) {
+    const padded = await sharp(source).extend({ left: 4, background: '#000' }).png().toBuffer();
+    source = await sharp(padded).extract({ left: 0, top: 0, width: 96, height: 64 }).png().toBuffer();
+  }
+  await sharp(source).resize(192, 128).png().toFile(output);
+})();
+`
+    );
+    const args = [
+      '--command', `node ${script} {input} {output}`,
+      '--targetWidth', '192',
+      '--targetHeight', '128',
+      '--fidelity',
+      '--limit', '2'
+    ];
+    const result = await run(commandArgs(workspace, [], args));
+    assert.deepEqual(result, { successCount: 1, failureCount: 0, reviewCount: 1 });
+
+    const records = Object.values((await readState(workspace)).images);
+    const flagged = records.find((entry) => entry.status === 'needs-review');
+    assert.match(flagged.sourcePath, /frame_002\.jpg$/);
+    assert.deepEqual(flagged.fidelity.offset, { x: 4, y: 0 });
+    assert.ok(flagged.fidelity.reasons.some((reason) => /shifted by 4,0/.test(reason)));
+    await fs.access(flagged.fidelity.heatmapPath);
+    const kept = records.find((entry) => entry.status === 'processed');
+    assert.equal(kept.fidelity.passed, true);
+    assert.equal(kept.fidelity.heatmapPath, null);
+
+    const summary = await run(commandArgs(workspace, ['status']));
+    assert.equal(summary.counts['needs-review'], 1);
+  });
+});
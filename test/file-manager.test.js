@@ -0,0 +1,120 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { buildOutputPath, listImages } = require('../src/file-manager');
+const { matchesAny } = require('../src/glob');
+
+describe('listImages', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-files-'));
+    const files = [
+      'a.jpg',
+      'notes.txt',
+      'flight-1/b.JPEG',
+      'flight-1/c.png',
+      'flight-2/deep/d.webp',
+      'flight-2/deep/e.heic',
+      'flight-2/thumbs/f.jpg',
+      'output/g_upscaled.jpg'
+    ];
+    for (const file of files) {
+      await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), '');
+    }
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const relative = (files) => files.map((file) => path.relative(root, file));
+
+  it('reads only the top level unless recursive', async () => {
+    assert.deepEqual(relative(await listImages(root)), ['a.jpg']);
+  });
+
+  it('walks subfolders, skipping ignored directories', async () => {
+    const files = await listImages(root, {
+      recursive: true,
+      ignoreDirs: [path.join(root, 'output')]
+    });
+    assert.deepEqual(relative(files), [
+      'a.jpg',
+      'flight-1/b.JPEG',
+      'flight-1/c.png',
+      'flight-2/deep/d.webp',
+      'flight-2/deep/e.heic',
+      'flight-2/thumbs/f.jpg'
+    ]);
+  });
+
+  it('applies include and exclude globs to relative paths', async () => {
+    const files = await listImages(root, {
+      recursive: true,
+      include: ['flight-*/**'],
+      exclude: ['**/thumbs/**', '*.heic']
+    });
+    assert.deepEqual(relative(files), [
+      'flight-1/b.JPEG',
+      'flight-1/c.png',
+      'flight-2/deep/d.webp'
+    ]);
+  });
+});
+
+describe('buildOutputPath', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-out-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('mirrors the input subfolder under outputDir', async () => {
+    const inputDir = path.join(root, 'in');
+    const outputDir = path.join(root, 'out');
+    const outputPath = await buildOutputPath(
+      outputDir,
+      path.join(inputDir, 'flight-1', 'DJI_0001.jpg'),
+      inputDir
+    );
+    assert.equal(outputPath, path.join(outputDir, 'flight-1', 'DJI_0001_upscaled.jpg'));
+    assert.ok((await fs.stat(path.dirname(outputPath))).isDirectory());
+  });
+
+  it('adds a counter when the name is taken', async () => {
+    await fs.writeFile(path.join(root, 'a_upscaled.jpg'), '');
+    const outputPath = await buildOutputPath(root, '/elsewhere/a.jpg');
+    assert.equal(outputPath, path.join(root, 'a_upscaled_2.jpg'));
+  });
+
+  it('hands concurrent callers distinct names', async () => {
+    const outputPaths = await Promise.all(
+      [1, 2, 3].map(() => buildOutputPath(root, '/elsewhere/a.jpg'))
+    );
+    assert.deepEqual(outputPaths.sort(), [
+      path.join(root, 'a_upscaled.jpg'),
+      path.join(root, 'a_upscaled_2.jpg'),
+      path.join(root, 'a_upscaled_3.jpg')
+    ]);
+  });
+});
+
+describe('matchesAny', () => {
+  it('matches bare patterns against the file name at any depth', () => {
+    assert.equal(matchesAny(['*.png'], 'x/y/z.png'), true);
+    assert.equal(matchesAny(['x/*.png'], 'x/y/z.png'), false);
+    assert.equal(matchesAny(['x/**/*.png'], 'x/y/z.png'), true);
+    assert.equal(matchesAny(['x/**/*.png'], 'x/z.png'), true);
+    assert.equal(matchesAny(['frame_00?.{jpg,png}'], 'frame_001.png'), true);
+    assert.equal(matchesAny(['frame_00?.{jpg,png}'], 'frame_0010.png'), false);
+  });
+});
@@ -0,0 +1,235 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+const { chromium } = require('playwright');
+
+const { QuotaError, RefusalError, SessionExpiredError } = require('../src/errors');
+const { GeminiHandler } = require('../src/gemini-handler');
+const { mergeSelectors } = require('../src/selectors');
+const { createWorkspace, mockUrl } = require('./mock-gemini');
+
+const HANDLER_CONFIG = {
+  processingTimeoutMs: 10000,
+  downloadTimeoutMs: 10000,
+  loadingIndicatorTimeoutMs: 2000
+};
+
+describe('GeminiHandler against the mock page', () => {
+  let browser;
+  let context;
+  let page;
+  let workspace;
+
+  before(async () => {
+    browser = await chromium.launch({ headless: true });
+  });
+
+  after(async () => {
+    await browser.close();
+  });
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(1);
+    await fs.mkdir(workspace.outputDir, { recursive: true });
+    context = await browser.newContext({ acceptDownloads: true });
+    page = await context.newPage();
+  });
+
+  afterEach(async () => {
+    await context.close();
+    await workspace.cleanup();
+  });
+
+  async function open(params, config = {}) {
+    await page.goto(mockUrl(params));
+    return new GeminiHandler(page, { ...HANDLER_CONFIG, ...config });
+  }
+
+  async function attachmentCount() {
+    return page.locator('#attachments .attachment').count();
+  }
+
+  it('waits for a manual sign-in before continuing', async () => {
+    const handler = await open({ scenario: 'logged-out' });
+    const loggedIn = handler.ensureLoggedIn();
+    await page.getByRole('link', { name: /sign in/i }).click();
+    await loggedIn;
+    assert.equal(await page.locator('#app').isVisible(), true);
+  });
+
+  it('fails fast on a signed-out page when running headless', async () => {
+    const handler = await open({ scenario: 'logged-out' }, { headless: true });
+    await assert.rejects(handler.ensureLoggedIn(), SessionExpiredError);
+  });
+
+  it('switches the mode picker to Fast', async () => {
+    const handler = await open();
+    await handler.selectFastMode();
+    assert.equal(await page.locator('#mode-button').textContent(), 'Fast');
+  });
+
+  it('switches the mode picker to a named mode', async () => {
+    const handler = await open();
+    await handler.selectMode('Thinking');
+    assert.equal(await page.locator('#mode-button').textContent(), 'Thinking');
+  });
+
+  it('uploads through the upload file menu', async () => {
+    const handler = await open();
+    await handler.uploadImage(workspace.images[0]);
+    assert.equal(await attachmentCount(), 1);
+  });
+
+  it('finds a file input inside shadow DOM', async () => {
+    const handler = await open({ scenario: 'shadow-input' });
+    await handler.uploadImage(workspace.images[0]);
+    assert.equal(await attachmentCount(), 1);
+  });
+
+  it('falls back to the hidden upload button when the menu is missing', async () => {
+    const handler = await open({ scenario: 'no-upload-button' });
+    await handler.uploadImage(workspace.images[0]);
+    assert.equal(await attachmentCount(), 1);
+  });
+
+  it('completes a round trip without a loading indicator', async () => {
+    const handler = await open({ scenario: 'no-loading' }, { loadingIndicatorTimeoutMs: 500 });
+    await handler.ensureReadyForInput();
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    await handler.waitForProcessingComplete(0);
+
+    const outputPath = path.join(workspace.outputDir, 'out.png');
+    const button = await handler.waitForNewDownloadButton(0);
+    await handler.downloadImage(outputPath, button);
+
+    const stats = await fs.stat(outputPath);
+    assert.ok(stats.size > 0);
+    const sent = await page.evaluate(() => window.mockGemini.sent);
+    assert.deepEqual(sent, [{ text: 'upscale please', files: ['frame_001.jpg'] }]);
+  });
+
+  it('rejects an empty download', async () => {
+    const handler = await open({ scenario: 'empty-download' });
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    const button = await handler.waitForNewDownloadButton(0);
+    await assert.rejects(
+      handler.downloadImage(path.join(workspace.outputDir, 'empty.png'), button),
+      /Downloaded file is empty/
+    );
+  });
+
+  it('times out when processing outlasts processingTimeoutMs', async () => {
+    const handler = await open({ scenario: 'slow' }, { processingTimeoutMs: 1000 });
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    await assert.rejects(
+      handler.waitForNewDownloadButton(0),
+      /Timeout waiting for new download button/
+    );
+  });
+
+  it('stops waiting when Gemini reports a usage limit', async () => {
+    const handler = await open({ scenario: 'quota' });
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    await assert.rejects(handler.waitForNewDownloadButton(0, 0), (err) => {
+      assert.ok(err instanceof QuotaError);
+      assert.match(err.responseText, /reached your limit/);
+      return true;
+    });
+  });
+
+  it('stops waiting when Gemini declines the edit', async () => {
+    const handler = await open({ scenario: 'refusal' });
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    await assert.rejects(handler.waitForNewDownloadButton(0, 0), RefusalError);
+  });
+
+  it('starts a new chat and deletes a finished one from history', async () => {
+    const handler = await open();
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('first');
+    await handler.sendPrompt();
+    await handler.startNewChat();
+    assert.equal(await page.locator('#conversation .turn').count(), 0);
+
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('second');
+    await handler.sendPrompt();
+    await handler.deleteCurrentChat();
+
+    const mock = await page.evaluate(() => window.mockGemini);
+    assert.equal(mock.chats, 2);
+    assert.equal(mock.deletedChats, 1);
+    assert.deepEqual(await page.locator('#history .conversation').allTextContents(), ['first...']);
+  });
+
+  it('falls back along a chain and logs the candidate that matched', async () => {
+    await page.goto(mockUrl());
+    const lines = [];
+    const selectors = mergeSelectors({
+      chains: { prompt: { prepend: [{ css: '#no-such-prompt' }] } }
+    });
+    const handler = new GeminiHandler(
+      page,
+      { ...HANDLER_CONFIG, log: (line) => lines.push(line) },
+      selectors
+    );
+    await handler.enterPrompt('upscale please');
+    assert.ok(
+      lines.includes('Selector prompt matched #2: css=div[contenteditable="true"][role="textbox"]')
+    );
+    assert.equal(handler.matches.prompt.index, 1);
+  });
+
+  it('notes which candidate the union chains resolved to', async () => {
+    const lines = [];
+    await page.goto(mockUrl());
+    const selectors = mergeSelectors({
+      chains: { downloadButton: { prepend: [{ css: '#no-such-button' }] } }
+    });
+    const handler = new GeminiHandler(
+      page,
+      { ...HANDLER_CONFIG, log: (line) => lines.push(line) },
+      selectors
+    );
+    await handler.uploadImage(workspace.images[0]);
+    await handler.enterPrompt('upscale please');
+    await handler.sendPrompt();
+    await handler.waitForProcessingComplete(0, 0);
+    assert.match(await handler.readLatestResponse(0), /^Here is the higher resolution image/);
+
+    assert.ok(lines.some((line) => /^Selector loadingIndicator matched #1: /.test(line)));
+    assert.ok(lines.includes('Selector response matched #2: css=.model-response'));
+    assert.ok(
+      lines.includes(
+        'Selector downloadButton matched #2: css=[data-test-id="download-generated-image-button"]'
+      )
+    );
+    assert.equal(handler.matches.downloadButton.index, 1);
+    const report = await handler.probeSelectors();
+    const byChain = Object.fromEntries(report.map((entry) => [entry.chain, entry]));
+    assert.equal(byChain.downloadButton.matched, 1);
+    assert.equal(byChain.response.matched, 1);
+  });
+
+  it('reports which candidate of each chain matches the page', async () => {
+    const handler = await open({}, { mode: 'Fast' });
+    const report = await handler.probeSelectors();
+    const byChain = Object.fromEntries(report.map((entry) => [entry.chain, entry]));
+    assert.equal(byChain.prompt.matched, 0);
+    assert.equal(byChain.prompt.candidates[2].count, 0);
+    assert.equal(byChain.downloadButton.matched, -1);
+    assert.equal(byChain.downloadButton.when, 'an image has been generated');
+    assert.equal(await page.locator('#attachments .attachment').count(), 0);
+  });
+});
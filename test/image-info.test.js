@@ -0,0 +1,75 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { parseImageInfo } = require('../src/image-info');
+const { minimalJpeg, minimalPng } = require('./mock-gemini');
+
+function webp(chunk, payload) {
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(12 + payload.length, 4);
+  header.write('WEBP', 8, 'ascii');
+  header.write(chunk, 12, 'ascii');
+  header.writeUInt32LE(payload.length, 16);
+  return Buffer.concat([header, payload]);
+}
+
+describe('parseImageInfo', () => {
+  it('reads JPEG frame dimensions', () => {
+    assert.deepEqual(parseImageInfo(minimalJpeg(4000, 2250)), {
+      format: 'jpeg',
+      width: 4000,
+      height: 2250,
+      complete: true
+    });
+  });
+
+  it('flags a JPEG without an end-of-image marker as truncated', () => {
+    const jpeg = minimalJpeg(1920, 1080);
+    const info = parseImageInfo(jpeg.subarray(0, jpeg.length - 2));
+    assert.equal(info.complete, false);
+  });
+
+  it('reads PNG dimensions and detects a missing IEND', () => {
+    assert.deepEqual(parseImageInfo(minimalPng(4000, 2250)), {
+      format: 'png',
+      width: 4000,
+      height: 2250,
+      complete: true
+    });
+    assert.equal(parseImageInfo(minimalPng(10, 10, { truncated: true })).complete, false);
+  });
+
+  it('reads extended, lossless and lossy WebP headers', () => {
+    const vp8x = Buffer.alloc(10);
+    vp8x.writeUIntLE(3999, 4, 3);
+    vp8x.writeUIntLE(2249, 7, 3);
+    assert.deepEqual(parseImageInfo(webp('VP8X', vp8x)), {
+      format: 'webp',
+      width: 4000,
+      height: 2250,
+      complete: true
+    });
+
+    const vp8l = Buffer.alloc(5);
+    vp8l[0] = 0x2f;
+    vp8l.writeUInt32LE((1919 & 0x3fff) | ((1079 & 0x3fff) << 14), 1);
+    const lossless = parseImageInfo(webp('VP8L', vp8l));
+    assert.equal(`${lossless.width}x${lossless.height}`, '1920x1080');
+
+    const vp8 = Buffer.from([0, 0, 0, 0x9d, 0x01, 0x2a, 0x80, 0x07, 0x38, 0x04]);
+    const lossy = parseImageInfo(webp('VP8 ', vp8));
+    assert.equal(`${lossy.width}x${lossy.height}`, '1920x1080');
+  });
+
+  it('flags a WebP shorter than its RIFF size as truncated', () => {
+    const vp8x = Buffer.alloc(10);
+    const file = webp('VP8X', vp8x);
+    file.writeUInt32LE(1000, 4);
+    assert.equal(parseImageInfo(file).complete, false);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseImageInfo(Buffer.from('GIF89a......')), /Unrecognised image format/);
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { run } = require('../src/main');
+const { createWorkspace, minimalJpeg, readState, runArgs } = require('./mock-gemini');
+
+function sourcesWithStatus(state, status) {
+  return Object.values(state.images)
+    .filter((record) => record.status === status)
+    .map((record) => record.sourcePath)
+    .sort();
+}
+
+async function readLog(workspace) {
+  return fs.readFile(path.join(workspace.outputDir, 'processing.log'), 'utf8');
+}
+
+describe('run() end to end against the mock page', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(2);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('processes every image and records state', async () => {
+    const result = await run(runArgs(workspace));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+
+    const state = await readState(workspace);
+    assert.deepEqual(sourcesWithStatus(state, 'processed'), workspace.images);
+    const [record] = Object.values(state.images);
+    assert.equal(record.attempts, 1);
+    assert.equal(record.outputWidth, 4000);
+    assert.equal(record.outputHeight, 2250);
+    assert.equal(record.outputFormat, 'png');
+    // The mock returns PNGs, so the output is named after the real format.
+    assert.match(record.outputPath, /frame_00\d_upscaled\.png$/);
+    const outputs = await fs.readdir(workspace.outputDir);
+    assert.ok(outputs.includes('frame_001_upscaled.png'));
+    assert.ok(outputs.includes('frame_002_upscaled.png'));
+    assert.ok(!outputs.includes('frame_001_upscaled.jpg'));
+    // The HTML run report is opt-in.
+    assert.ok(!outputs.includes('reports'));
+    assert.match(await readLog(workspace), /SUMMARY success=2 failed=0/);
+  });
+
+  it('mirrors nested input folders into the output tree', async () => {
+    const nestedDir = path.join(workspace.inputDir, 'flight-2');
+    await fs.mkdir(nestedDir);
+    await fs.rename(workspace.images[1], path.join(nestedDir, 'frame_002.jpg'));
+
+    const result = await run(runArgs(workspace));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+    await fs.access(path.join(workspace.outputDir, 'frame_001_upscaled.png'));
+    await fs.access(path.join(workspace.outputDir, 'flight-2', 'frame_002_upscaled.png'));
+  });
+
+  it('skips images that are already processed', async () => {
+    await run(runArgs(workspace, {}, { limit: 1 }));
+    const result = await run(runArgs(workspace));
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+    assert.equal(sourcesWithStatus(await readState(workspace), 'processed').length, 2);
+  });
+
+  it('recognises processed images after the input folder moves', async () => {
+    await run(runArgs(workspace));
+    const movedInput = path.join(workspace.root, 'moved-input');
+    await fs.rename(workspace.inputDir, movedInput);
+
+    const result = await run(runArgs({ ...workspace, inputDir: movedInput }));
+    assert.deepEqual(result, { successCount: 0, failureCount: 0 });
+    const state = await readState(workspace);
+    assert.ok(sourcesWithStatus(state, 'processed').every((file) => file.startsWith(movedInput)));
+  });
+
+  it('retries after an empty download', async () => {
+    const result = await run(
+      runArgs(workspace, { emptyDownloads: 1 }, { limit: 1 })
+    );
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+    const log = await readLog(workspace);
+    assert.match(log, /ERROR frame_001\.jpg attempt 1: step=download class=download-failed Downloaded file is empty/);
+    assert.match(log, /SUCCESS frame_001\.jpg -> .* \(4000x2250 png\)/);
+  });
+
+  it('marks an image failed once retries are exhausted', async () => {
+    const result = await run(
+      runArgs(workspace, { scenario: 'empty-download' }, { limit: 1, retries: 2 })
+    );
+    assert.deepEqual(result, { successCount: 0, failureCount: 1 });
+    const state = await readState(workspace);
+    assert.deepEqual(sourcesWithStatus(state, 'failed'), [workspace.images[0]]);
+    assert.deepEqual(sourcesWithStatus(state, 'processed'), []);
+    const failed = Object.values(state.images).find((record) => record.status === 'failed');
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.lastStep, 'download');
+    assert.match(failed.lastError, /Downloaded file is empty/);
+  });
+
+  it('fails validation when the result is not the requested size', async () => {
+    const result = await run(
+      runArgs(workspace, { width: 1920, height: 1080 }, { limit: 1, retries: 1 })
+    );
+    assert.deepEqual(result, { successCount: 0, failureCount: 1 });
+    assert.match(
+      await readLog(workspace),
+      /step=validate class=validation-failed Output is 1920x1080 png; expected 4000x2250/
+    );
+    const outputs = await fs.readdir(workspace.outputDir);
+    assert.equal(outputs.some((name) => name.includes('upscaled')), false);
+  });
+
+  it('records events, debug screenshots and an HTML run report', async () => {
+    const result = await run(
+      runArgs(workspace, { emptyDownloads: 1 }, { limit: 1, debug: true, htmlReport: true })
+    );
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+
+    const lines = (await fs.readFile(path.join(workspace.outputDir, 'events.jsonl'), 'utf8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    const types = lines.map((event) => event.type);
+    assert.equal(types[0], 'run-start');
+    assert.equal(types[types.length - 1], 'run-end');
+    assert.equal(new Set(lines.map((event) => event.runId)).size, 1);
+    const { runId } = lines[0];
+
+    const error = lines.find((event) => event.type === 'image-error');
+    assert.equal(error.image, 'frame_001.jpg');
+    assert.equal(error.step, 'download');
+    assert.equal(error.errorClass, 'download-failed');
+    assert.ok(error.artifacts.screenshot.startsWith(path.join('debug', runId)));
+    await fs.access(path.join(workspace.outputDir, error.artifacts.screenshot));
+
+    const steps = lines
+      .filter((event) => event.type === 'step' && event.attempt === 2)
+      .map((event) => event.step);
+    assert.deepEqual(steps.slice(-4), ['processing', 'download', 'validate', 'metadata']);
+    const success = lines.find((event) => event.type === 'image-success');
+    assert.equal(success.attempt, 2);
+    assert.equal(success.width, 4000);
+
+    const html = await fs.readFile(
+      path.join(workspace.outputDir, 'reports', runId, 'index.html'),
+      'utf8'
+    );
+    assert.match(html, /Failed attempts \(1\)/);
+    assert.match(html, /<img class="screenshot" src="\.\.\/\.\.\/debug\//);
+  });
+
+  it('pauses on a usage limit without spending an attempt', async () => {
+    const result = await run(
+      runArgs(workspace, { quotaResponses: 1 }, { limit: 1, quotaPauseMs: 50 })
+    );
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+    assert.match(await readLog(workspace), /PAUSE quota reached; resuming at /);
+    const record = Object.values((await readState(workspace)).images).find(
+      (candidate) => candidate.status === 'processed'
+    );
+    assert.equal(record.attempts, 1);
+  });
+
+  it('fails an image after too many usage limits in a row', async () => {
+    const result = await run(
+      runArgs(
+        workspace,
+        { scenario: 'quota' },
+        { limit: 1, quotaPauseMs: 50, 'retry.quota.attempts': 2 }
+      )
+    );
+    assert.deepEqual(result, { successCount: 0, failureCount: 1 });
+    const log = await readLog(workspace);
+    assert.equal(log.match(/PAUSE quota reached/g).length, 1);
+    assert.equal(log.match(/ERROR frame_001\.jpg .*class=quota/g).length, 2);
+    const [record] = Object.values((await readState(workspace)).images).filter(
+      (candidate) => candidate.status === 'failed'
+    );
+    assert.equal(record.attempts, 1);
+  });
+
+  it('fails a refused image immediately and logs the reply', async () => {
+    const result = await run(
+      runArgs(workspace, { scenario: 'refusal' }, { limit: 1, retries: 3 })
+    );
+    assert.deepEqual(result, { successCount: 0, failureCount: 1 });
+    const log = await readLog(workspace);
+    assert.match(log, /step=processing class=refusal Gemini declined the request: "I can't help with editing/);
+    assert.equal(log.match(/ERROR frame_001\.jpg/g).length, 1);
+  });
+
+  it('succeeds when the loading indicator never appears', async () => {
+    const result = await run(
+      runArgs(workspace, { scenario: 'no-loading' }, {
+        limit: 1,
+        loadingIndicatorTimeoutMs: 500
+      })
+    );
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+  });
+
+  it('shares one queue between workers in separate tabs', async () => {
+    const result = await run(runArgs(workspace, {}, { workers: 2, workerMode: 'tabs' }));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+
+    const state = await readState(workspace);
+    assert.deepEqual(sourcesWithStatus(state, 'processed'), workspace.images);
+    const outputs = Object.values(state.images).map((record) => record.outputPath);
+    assert.equal(new Set(outputs).size, 2);
+    for (const record of Object.values(state.images)) {
+      assert.equal(record.attempts, 1);
+    }
+  });
+
+  it('rotates to a new chat for every image', async () => {
+    const result = await run(runArgs(workspace, {}, { newChatEvery: 1 }));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+  });
+
+  it('deletes each chat once its image is processed', async () => {
+    const result = await run(runArgs(workspace, {}, { deleteChats: true }));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+    assert.doesNotMatch(await readLog(workspace), /ERROR/);
+  });
+
+  it('keeps watching the input folder and processes frames as they land', async () => {
+    const running = run(
+      runArgs(workspace, {}, { watch: true, watchIntervalMs: 100, watchStableMs: 200, limit: 3 })
+    );
+    // Land a third frame while the first two are being processed.
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const late = path.join(workspace.inputDir, 'frame_003.jpg');
+    await fs.writeFile(late, minimalJpeg(1920, 1080, 'frame 3'));
+
+    const result = await running;
+    assert.deepEqual(result, { successCount: 3, failureCount: 0 });
+    const state = await readState(workspace);
+    assert.deepEqual(sourcesWithStatus(state, 'processed'), [...workspace.images, late]);
+  });
+});
@@ -0,0 +1,65 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { findManifestEntry, loadManifest, parseCsv } = require('../src/manifest');
+
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes and CRLF', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n'), [
+      ['a', 'b'],
+      ['x, y', 'say "hi"']
+    ]);
+  });
+});
+
+describe('loadManifest', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-manifest-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function write(name, body) {
+    const manifestPath = path.join(dir, name);
+    await fs.writeFile(manifestPath, body);
+    return manifestPath;
+  }
+
+  it('reads CSV rows, skipping empty cells', async () => {
+    const manifest = await loadManifest(
+      await write('m.csv', 'file,mode,scale,prompt\nflight-1/**,Thinking,2,\nDJI_0001.jpg,,1.5,Hi\n')
+    );
+    assert.deepEqual(manifest, [
+      { file: 'flight-1/**', mode: 'Thinking', scale: 2 },
+      { file: 'DJI_0001.jpg', scale: 1.5, prompt: 'Hi' }
+    ]);
+    assert.equal(findManifestEntry(manifest, 'flight-1/DJI_0001.jpg').mode, 'Thinking');
+    assert.equal(findManifestEntry(manifest, 'flight-2/DJI_0001.jpg').scale, 1.5);
+    assert.equal(findManifestEntry(manifest, 'other.jpg'), undefined);
+  });
+
+  it('reads JSON keyed by file', async () => {
+    const manifest = await loadManifest(
+      await write('m.json', JSON.stringify({ 'a.jpg': { targetWidth: 3000 } }))
+    );
+    assert.deepEqual(manifest, [{ file: 'a.jpg', targetWidth: 3000 }]);
+  });
+
+  it('names the row of an invalid value', async () => {
+    await assert.rejects(
+      loadManifest(await write('m.csv', 'file,scale\na.jpg,2\nb.jpg,big\n')),
+      /Invalid value for "scale" \(from m\.csv row 3\): expected a number/
+    );
+    await assert.rejects(
+      loadManifest(await write('m.json', '[{"file": "a.jpg", "size": 2}]')),
+      /Unknown manifest field "size" in m\.json entry 1/
+    );
+  });
+});
@@ -0,0 +1,193 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { parseImageInfo } = require('../src/image-info');
+const {
+  copyMetadata,
+  extractMetadata,
+  readExifTag,
+  TAGS
+} = require('../src/metadata');
+const { minimalJpeg, minimalPng } = require('./mock-gemini');
+
+const GPS_ALTITUDE = 0x0006;
+
+// Little-endian TIFF block: IFD0 -> Exif IFD (pixel dimensions, focal plane
+// resolution) and GPS IFD (altitude), laid out at fixed offsets.
+function droneExif() {
+  const tiff = Buffer.alloc(134);
+  tiff.write('II', 0, 'ascii');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+
+  const entry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16LE(tag, offset);
+    tiff.writeUInt16LE(type, offset + 2);
+    tiff.writeUInt32LE(count, offset + 4);
+    if (type === 3) tiff.writeUInt16LE(value, offset + 8);
+    else tiff.writeUInt32LE(value, offset + 8);
+  };
+
+  tiff.writeUInt16LE(2, 8);
+  entry(10, 0x8769, 4, 1, 38);
+  entry(22, TAGS.GPS_IFD, 4, 1, 92);
+
+  tiff.writeUInt16LE(4, 38);
+  entry(40, TAGS.PIXEL_X_DIMENSION, 3, 1, 1920);
+  entry(52, TAGS.PIXEL_Y_DIMENSION, 3, 1, 1080);
+  entry(64, TAGS.FOCAL_PLANE_X_RESOLUTION, 5, 1, 110);
+  entry(76, TAGS.FOCAL_PLANE_Y_RESOLUTION, 5, 1, 118);
+
+  tiff.writeUInt16LE(1, 92);
+  entry(94, GPS_ALTITUDE, 5, 1, 126);
+
+  tiff.writeUInt32LE(3000, 110);
+  tiff.writeUInt32LE(10, 114);
+  tiff.writeUInt32LE(3000, 118);
+  tiff.writeUInt32LE(10, 122);
+  tiff.writeUInt32LE(1205, 126);
+  tiff.writeUInt32LE(10, 130);
+  return tiff;
+}
+
+const DRONE_XMP =
+  '<x:xmpmeta><rdf:Description drone-dji:GimbalPitchDegree="-90.0" ' +
+  'drone-dji:GimbalYawDegree="+12.3" tiff:ImageWidth="1920" ' +
+  'tiff:ImageLength="1080"/></x:xmpmeta>';
+
+function app1(header, body) {
+  const payload = Buffer.concat([Buffer.from(header, 'binary'), body]);
+  const marker = Buffer.from([0xff, 0xe1, 0, 0]);
+  marker.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([marker, payload]);
+}
+
+function droneJpeg(exif = droneExif()) {
+  const plain = minimalJpeg(1920, 1080);
+  return Buffer.concat([
+    plain.subarray(0, 2),
+    app1('Exif\0\0', exif),
+    app1('http://ns.adobe.com/xap/1.0/\0', Buffer.from(DRONE_XMP)),
+    plain.subarray(2)
+  ]);
+}
+
+function pngExif(buffer) {
+  const index = buffer.indexOf('eXIf');
+  const length = buffer.readUInt32BE(index - 4);
+  return buffer.subarray(index + 4, index + 4 + length);
+}
+
+describe('copyMetadata', () => {
+  let dir;
+  let sourcePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-metadata-'));
+    sourcePath = path.join(dir, 'DJI_0001.jpg');
+    await fs.writeFile(sourcePath, droneJpeg());
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('copies EXIF and XMP into a JPEG output with rescaled dimensions', async () => {
+    const outputPath = path.join(dir, 'DJI_0001_upscaled.jpg');
+    await fs.writeFile(outputPath, minimalJpeg(4000, 2250));
+
+    assert.equal(await copyMetadata(sourcePath, outputPath), true);
+
+    const output = await fs.readFile(outputPath);
+    assert.deepEqual(
+      { width: parseImageInfo(output).width, height: parseImageInfo(output).height },
+      { width: 4000, height: 2250 }
+    );
+    const { exif, xmp } = extractMetadata(output);
+    assert.equal(readExifTag(exif, TAGS.PIXEL_X_DIMENSION), 4000);
+    assert.equal(readExifTag(exif, TAGS.PIXEL_Y_DIMENSION), 2250);
+    assert.equal(readExifTag(exif, TAGS.FOCAL_PLANE_X_RESOLUTION), 300 * (4000 / 1920));
+    assert.equal(readExifTag(exif, TAGS.FOCAL_PLANE_Y_RESOLUTION), 300 * (2250 / 1080));
+    assert.equal(readExifTag(exif, GPS_ALTITUDE), 120.5);
+    assert.match(xmp, /drone-dji:GimbalPitchDegree="-90.0"/);
+    assert.match(xmp, /drone-dji:GimbalYawDegree="\+12.3"/);
+    assert.match(xmp, /tiff:ImageWidth="4000"/);
+    assert.match(xmp, /tiff:ImageLength="2250"/);
+  });
+
+  it('writes eXIf and XMP chunks into a PNG output', async () => {
+    const outputPath = path.join(dir, 'DJI_0001_upscaled.jpg');
+    await fs.writeFile(outputPath, minimalPng(4000, 2250));
+
+    assert.equal(await copyMetadata(sourcePath, outputPath), true);
+
+    const output = await fs.readFile(outputPath);
+    const info = parseImageInfo(output);
+    assert.equal(info.format, 'png');
+    assert.equal(info.complete, true);
+    const exif = pngExif(output);
+    assert.equal(readExifTag(exif, TAGS.PIXEL_X_DIMENSION), 4000);
+    assert.equal(readExifTag(exif, GPS_ALTITUDE), 120.5);
+    assert.ok(output.includes('XML:com.adobe.xmp'));
+    assert.ok(output.includes('GimbalPitchDegree="-90.0"'));
+  });
+
+  it('replaces metadata an output already carries', async () => {
+    const outputPath = path.join(dir, 'DJI_0001_upscaled.jpg');
+    await fs.writeFile(outputPath, minimalJpeg(4000, 2250));
+    await copyMetadata(sourcePath, outputPath);
+    await copyMetadata(sourcePath, outputPath);
+
+    const output = await fs.readFile(outputPath);
+    const exifCount = output.toString('binary').split('Exif\0\0').length - 1;
+    assert.equal(exifCount, 1);
+  });
+
+  it('drops a malformed EXIF block and keeps the XMP', async () => {
+    const logged = [];
+    const outputPath = path.join(dir, 'DJI_0001_upscaled.jpg');
+    await fs.writeFile(outputPath, minimalJpeg(4000, 2250));
+    // The Exif IFD runs past the end of the cut-short block.
+    await fs.writeFile(sourcePath, droneJpeg(droneExif().subarray(0, 60)));
+
+    assert.equal(await copyMetadata(sourcePath, outputPath, (line) => logged.push(line)), true);
+
+    const { exif, xmp } = extractMetadata(await fs.readFile(outputPath));
+    assert.equal(exif, null);
+    assert.match(xmp, /tiff:ImageWidth="4000"/);
+    assert.match(logged.join('\n'), /Malformed EXIF/);
+  });
+
+  it('skips sources without metadata', async () => {
+    const plainSource = path.join(dir, 'plain.jpg');
+    const outputPath = path.join(dir, 'plain_upscaled.jpg');
+    await fs.writeFile(plainSource, minimalJpeg(1920, 1080));
+    await fs.writeFile(outputPath, minimalJpeg(4000, 2250));
+
+    assert.equal(await copyMetadata(plainSource, outputPath), false);
+    assert.deepEqual(await fs.readFile(outputPath), minimalJpeg(4000, 2250));
+  });
+});
+
+describe('readExifTag', () => {
+  it('reads nothing from a malformed block instead of throwing', () => {
+    const pastTheEnd = droneExif();
+    pastTheEnd.writeUInt32LE(5000, 64 + 8);
+    const badSubIfd = droneExif();
+    badSubIfd.writeUInt32LE(0xfffffff0, 10 + 8);
+
+    for (const exif of [
+      Buffer.alloc(0),
+      Buffer.from('II*\0'),
+      droneExif().subarray(0, 30),
+      pastTheEnd,
+      badSubIfd
+    ]) {
+      assert.equal(readExifTag(exif, TAGS.PIXEL_X_DIMENSION), undefined);
+    }
+    assert.equal(readExifTag(droneExif(), TAGS.PIXEL_X_DIMENSION), 1920);
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const PAGE_PATH = path.join(__dirname, 'index.html');
+
+function mockUrl(params = {}) {
+  const url = pathToFileURL(PAGE_PATH);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, Array.isArray(value) ? value.join(',') : value);
+  }
+  return url.href;
+}
+
+// Smallest JPEG the tooling needs: SOI, a baseline SOF0 header carrying the
+// dimensions, and EOI. Not decodable, but enough to upload and to parse. An
+// optional comment segment makes otherwise identical files hash differently.
+function minimalJpeg(width = 1920, height = 1080, comment) {
+  const sof = Buffer.from([
+    0xff, 0xc0, 0x00, 0x11, 0x08,
+    (height >> 8) & 0xff, height & 0xff,
+    (width >> 8) & 0xff, width & 0xff,
+    0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01
+  ]);
+  const segments = [Buffer.from([0xff, 0xd8])];
+  if (comment) {
+    const com = Buffer.from([0xff, 0xfe, 0, 0]);
+    com.writeUInt16BE(Buffer.byteLength(comment) + 2, 2);
+    segments.push(com, Buffer.from(comment));
+  }
+  return Buffer.concat([...segments, sof, Buffer.from([0xff, 0xd9])]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  // CRCs are left zeroed; nothing under test checks them.
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+// PNG with a real IHDR and a dummy IDAT; `truncated` drops the IEND chunk.
+function minimalPng(width = 4000, height = 2250, { truncated = false } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  const chunks = [
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', Buffer.alloc(32))
+  ];
+  if (!truncated) chunks.push(pngChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
+
+async function createWorkspace(imageCount = 2) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-test-'));
+  const inputDir = path.join(root, 'input');
+  const outputDir = path.join(root, 'output');
+  await fs.mkdir(inputDir);
+
+  const images = [];
+  for (let i = 1; i <= imageCount; i += 1) {
+    const imagePath = path.join(inputDir, `frame_${String(i).padStart(3, '0')}.jpg`);
+    await fs.writeFile(imagePath, minimalJpeg(1920, 1080, `frame ${i}`));
+    images.push(imagePath);
+  }
+
+  return {
+    root,
+    inputDir,
+    outputDir,
+    images,
+    browserDataDir: path.join(root, 'browser-data'),
+    cleanup: () => fs.rm(root, { recursive: true, force: true })
+  };
+}
+
+const DEFAULT_FLAGS = {
+  minDelayMs: 1,
+  maxDelayMs: 1,
+  retryBackoffMs: 1,
+  loadingIndicatorTimeoutMs: 2000,
+  processingTimeoutMs: 15000,
+  downloadTimeoutMs: 15000
+};
+
+// Builds argv for run(). Overrides replace defaults rather than repeating a
+// flag, which minimist would otherwise turn into an array.
+function runArgs(workspace, params = {}, overrides = {}) {
+  const flags = {
+    input: workspace.inputDir,
+    output: workspace.outputDir,
+    browserData: workspace.browserDataDir,
+    geminiUrl: mockUrl(params),
+    ...DEFAULT_FLAGS,
+    ...overrides
+  };
+  const argv = ['--headless', '--no-verbose', '--no-debug'];
+  for (const [key, value] of Object.entries(flags)) {
+    argv.push(`--${key}`, String(value));
+  }
+  return argv;
+}
+
+// The command provider copies inputs, so the tests using it need no browser.
+function commandArgs(workspace, command = [], extra = []) {
+  return [
+    ...command,
+    '--provider', 'command',
+    '--command', 'cp {input} {output}',
+    '--input', workspace.inputDir,
+    '--output', workspace.outputDir,
+    '--targetWidth', '1920',
+    '--targetHeight', '1080',
+    '--minDelayMs', '1',
+    '--maxDelayMs', '1',
+    '--retryBackoffMs', '1',
+    '--no-verbose',
+    ...extra
+  ];
+}
+
+async function readState(workspace) {
+  const raw = await fs.readFile(
+    path.join(workspace.outputDir, 'processing-state.json'),
+    'utf8'
+  );
+  return JSON.parse(raw);
+}
+
+async function statusByName(workspace) {
+  const state = await readState(workspace);
+  return Object.fromEntries(
+    Object.values(state.images).map((record) => [
+      path.basename(record.sourcePath),
+      record.status
+    ])
+  );
+}
+
+module.exports = {
+  mockUrl,
+  minimalJpeg,
+  minimalPng,
+  commandArgs,
+  createWorkspace,
+  readState,
+  runArgs,
+  statusByName
+};
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createProgress } = require('../src/progress');
+
+function fakeStream(isTTY) {
+  const stream = { isTTY, output: '' };
+  stream.write = (text) => {
+    stream.output += text;
+  };
+  return stream;
+}
+
+function fakeClock(start = 1000000) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+function feed(progress, clock, image, durationMs, type = 'image-success') {
+  progress.handle({ type: 'image-start', image, attempt: 1 });
+  clock.time += durationMs;
+  progress.handle({ type: 'step', image, step: 'processing', durationMs: durationMs - 1000 });
+  progress.handle({ type: 'step', image, step: 'upload', durationMs: 1000 });
+  progress.handle({ type, image });
+}
+
+describe('progress display', () => {
+  it('estimates the rest of the batch from a rolling average plus delays', () => {
+    const clock = fakeClock();
+    const progress = createProgress({
+      total: 5,
+      minDelayMs: 10000,
+      maxDelayMs: 20000,
+      stream: fakeStream(false),
+      now: clock
+    });
+    feed(progress, clock, 'a.jpg', 30000);
+    feed(progress, clock, 'b.jpg', 50000, 'image-failed');
+
+    const state = progress.snapshot();
+    assert.equal(state.processed, 1);
+    assert.equal(state.failed, 1);
+    assert.equal(state.remaining, 3);
+    assert.equal(state.imageMs, 40000);
+    // Three more images and two 15s delays between them.
+    assert.equal(state.etaMs, 3 * 40000 + 2 * 15000);
+    assert.equal(state.perHour, 90);
+    assert.deepEqual(state.phases, { upload: 2000, generation: 78000, download: 0, other: 0 });
+  });
+
+  it('splits the remaining images across workers and adds a quota pause', () => {
+    const clock = fakeClock();
+    const progress = createProgress({ total: 5, workers: 2, stream: fakeStream(false), now: clock });
+    feed(progress, clock, 'a.jpg', 10000);
+    progress.handle({ type: 'pause', resumeAt: new Date(clock.time + 60000).toISOString() });
+    const state = progress.snapshot();
+    assert.equal(state.etaMs, 2 * 10000 + 60000);
+    assert.ok(state.pausedUntil);
+    assert.match(progress.render()[0], /paused until/);
+  });
+
+  it('prints plain lines when stdout is not a TTY', () => {
+    const stream = fakeStream(false);
+    const clock = fakeClock();
+    const progress = createProgress({ total: 2, stream, now: clock });
+    assert.equal(progress.style, 'lines');
+    feed(progress, clock, 'a.jpg', 20000);
+    assert.equal(stream.output, '');
+    progress.stop();
+    assert.equal(
+      stream.output,
+      'Time spent: upload 1.0s (5%), generation 19.0s (95%), download 0ms (0%), other 0ms (0%)\n'
+    );
+    assert.match(
+      progress.render()[0],
+      /^Progress: 1\/2 processed, 0 failed, 1 remaining \| 20\.0s\/image \| 180\.0 images\/h \| ETA 20\.0s$/
+    );
+  });
+
+  it('redraws a status block with each worker step on a TTY', () => {
+    const stream = fakeStream(true);
+    const clock = fakeClock();
+    const progress = createProgress({ total: 3, stream, now: clock });
+    assert.equal(progress.style, 'bar');
+    const provider = { currentStep: 'processing', stepStartedAt: clock.time };
+    progress.startImage(provider, 'a.jpg');
+    clock.time += 4000;
+    assert.equal(progress.render()[1], '  [1] a.jpg: processing 4.0s');
+
+    const logged = [];
+    const log = progress.wrap((line) => logged.push(line));
+    progress.handle({ type: 'image-start', image: 'a.jpg', attempt: 1 });
+    log('hello');
+    assert.deepEqual(logged, ['hello']);
+    // The block drawn for the event is erased before the log line.
+    assert.match(stream.output, /\x1b\[2F\x1b\[0J/);
+    progress.endImage(provider);
+    assert.equal(progress.render().length, 1);
+  });
+
+  it('stays silent when turned off', () => {
+    const stream = fakeStream(true);
+    const progress = createProgress({ total: 1, stream, mode: 'off' });
+    progress.start();
+    progress.handle({ type: 'image-success', image: 'a.jpg' });
+    progress.stop();
+    assert.equal(stream.output, '');
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { buildConfig } = require('../src/config');
+const { SourceError } = require('../src/errors');
+const { run } = require('../src/main');
+const { resolveJob } = require('../src/prompt');
+const { createWorkspace, minimalJpeg } = require('./mock-gemini');
+
+describe('resolveJob', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(1);
+    await fs.writeFile(path.join(workspace.inputDir, 'still.jpg'), minimalJpeg(1000, 800));
+    await fs.writeFile(path.join(workspace.inputDir, 'odd.heic'), 'not a header we read');
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  const image = (name) => path.join(workspace.inputDir, name);
+
+  it('fills the default prompt from the real source size', async () => {
+    const job = await resolveJob(buildConfig({}), image('still.jpg'));
+    assert.equal(
+      job.prompt,
+      'Can you please increase the resolution of this photo from 1000x800 to be 4000x3200'
+    );
+    assert.deepEqual([job.targetWidth, job.targetHeight], [4000, 3200]);
+    assert.equal(job.mode, 'Fast');
+  });
+
+  it('applies a scale factor and fills {filename}', async () => {
+    const config = buildConfig({
+      prompt: '{filename}: {srcWidth}x{srcHeight} -> {targetWidth}x{targetHeight}',
+      scale: 2.5
+    });
+    const job = await resolveJob(config, image('still.jpg'));
+    assert.equal(job.prompt, 'still.jpg: 1000x800 -> 2500x2000');
+  });
+
+  it('keeps a literal size in a plain prompt as the target', async () => {
+    const config = buildConfig({ prompt: 'Make this 3000x2400 please' });
+    const job = await resolveJob(config, image('still.jpg'));
+    assert.equal(job.prompt, 'Make this 3000x2400 please');
+    assert.deepEqual([job.targetWidth, job.targetHeight], [3000, 2400]);
+  });
+
+  it('lets a manifest row override prompt, mode and target', async () => {
+    const config = buildConfig({ targetWidth: 4000, targetHeight: 2250 });
+    const job = await resolveJob(config, image('frame_001.jpg'), {
+      prompt: 'Upscale to {targetWidth}x{targetHeight}',
+      mode: 'Thinking',
+      scale: 2
+    });
+    assert.equal(job.prompt, 'Upscale to 3840x2160');
+    assert.equal(job.mode, 'Thinking');
+  });
+
+  it('fails with a source error when the prompt needs an unreadable size', async () => {
+    await assert.rejects(resolveJob(buildConfig({}), image('odd.heic')), (err) => {
+      assert.ok(err instanceof SourceError);
+      assert.match(err.message, /Cannot fill \{srcWidth\}, \{srcHeight\}, \{targetHeight\} for odd\.heic/);
+      return true;
+    });
+    const plain = await resolveJob(buildConfig({ prompt: 'Upscale please' }), image('odd.heic'));
+    assert.deepEqual([plain.targetWidth, plain.targetHeight], [4000, undefined]);
+  });
+
+  it('reads the source size of AVIF inputs through sharp', async () => {
+    await sharp({ create: { width: 320, height: 180, channels: 3, background: '#446688' } })
+      .avif()
+      .toFile(image('drone.avif'));
+    const job = await resolveJob(buildConfig({}), image('drone.avif'));
+    assert.equal(
+      job.prompt,
+      'Can you please increase the resolution of this photo from 320x180 to be 4000x2250'
+    );
+    assert.deepEqual([job.sourceWidth, job.sourceHeight], [320, 180]);
+  });
+
+  it('rejects unknown placeholders at start-up', () => {
+    assert.throws(
+      () => buildConfig({ prompt: 'from {sourceWidth}' }),
+      /Unknown placeholder \{sourceWidth\} in the prompt/
+    );
+  });
+});
+
+describe('run() with a manifest', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(2);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('sends each image its own prompt and validates its own target', async () => {
+    const manifestPath = path.join(workspace.root, 'manifest.csv');
+    await fs.writeFile(
+      manifestPath,
+      'file,prompt,targetWidth,targetHeight\n' +
+        'frame_002.jpg,"Keep it, {srcWidth}x{srcHeight} -> {targetWidth}x{targetHeight}",1920,1080\n'
+    );
+    const result = await run([
+      '--provider', 'command',
+      '--command', 'printf %s {prompt} > {output}.prompt && cp {input} {output}',
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir,
+      '--manifest', manifestPath,
+      '--minDelayMs', '1',
+      '--maxDelayMs', '1',
+      '--retries', '1',
+      '--no-verbose'
+    ]);
+    // frame_001 keeps the default 4000x2250 target, which a copy cannot meet.
+    assert.deepEqual(result, { successCount: 1, failureCount: 1 });
+
+    const prompt = await fs.readFile(
+      path.join(workspace.outputDir, 'frame_002_upscaled.jpg.prompt'),
+      'utf8'
+    );
+    assert.equal(prompt, 'Keep it, 1920x1080 -> 1920x1080');
+    const log = await fs.readFile(path.join(workspace.outputDir, 'processing.log'), 'utf8');
+    assert.match(log, /ERROR frame_001\.jpg attempt 1: step=validate .*expected 4000x2250/);
+  });
+});
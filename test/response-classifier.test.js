@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { classifyResponse, parseResetTime } = require('../src/response-classifier');
+
+describe('classifyResponse', () => {
+  it('recognises usage limits', () => {
+    for (const text of [
+      "You've reached your limit for image generation. Try again later.",
+      'Image generation limit reached.',
+      'Your daily quota exceeded. Try again in 2 hours.',
+      'Too many requests, please slow down.'
+    ]) {
+      assert.equal(classifyResponse(text).type, 'quota', text);
+    }
+  });
+
+  it('takes a bare "try again later" as a usage limit only without an image', () => {
+    const text = 'Something went wrong. Try again later.';
+    assert.equal(classifyResponse(text).type, 'quota');
+    assert.equal(classifyResponse(text, new Date(), { hasImage: true }), null);
+    // Limit wording counts either way.
+    const notice = "You've reached your limit. Try again later.";
+    assert.equal(classifyResponse(notice, new Date(), { hasImage: true }).type, 'quota');
+  });
+
+  it('recognises refusals', () => {
+    for (const text of [
+      "I can't help with editing images of real people.",
+      "I'm unable to edit this photo.",
+      "I'm just a language model, so I can't help with that."
+    ]) {
+      assert.deepEqual(classifyResponse(text), { type: 'refusal' }, text);
+    }
+  });
+
+  it('ignores ordinary replies', () => {
+    assert.equal(classifyResponse('Here is the higher resolution image.'), null);
+    assert.equal(classifyResponse('Uploads count towards your storage quota.'), null);
+    assert.equal(classifyResponse('File size limit exceeded.'), null);
+    assert.equal(classifyResponse(''), null);
+    assert.equal(classifyResponse(null), null);
+  });
+});
+
+describe('parseResetTime', () => {
+  const now = new Date(2026, 0, 15, 14, 30);
+
+  it('reads relative delays', () => {
+    assert.equal(parseResetTime('Try again in 2 hours.', now).getTime(), now.getTime() + 2 * 3600000);
+    assert.equal(parseResetTime('try again in an hour', now).getTime(), now.getTime() + 3600000);
+    assert.equal(parseResetTime('Wait, then retry in 15 minutes', now).getTime(), now.getTime() + 900000);
+  });
+
+  it('reads clock times, rolling over to tomorrow', () => {
+    assert.deepEqual(parseResetTime('Your limit resets at 5:00 PM.', now), new Date(2026, 0, 15, 17, 0));
+    assert.deepEqual(parseResetTime('Come back after 9 am', now), new Date(2026, 0, 16, 9, 0));
+    assert.deepEqual(parseResetTime('available until 14:45', now), new Date(2026, 0, 15, 14, 45));
+  });
+
+  it('returns undefined when no time is given', () => {
+    assert.equal(parseResetTime('Try again later.', now), undefined);
+  });
+
+  it('is attached to quota classifications', () => {
+    const issue = classifyResponse("You've reached your limit. Try again in 3 hours.", now);
+    assert.equal(issue.resetAt.getTime(), now.getTime() + 3 * 3600000);
+  });
+});
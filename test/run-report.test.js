@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { createEventLog } = require('../src/events');
+const { summarizeRun, timingStats, writeRunReport } = require('../src/run-report');
+
+function solidImage(width, height) {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 40, g: 120, b: 200 } }
+  });
+}
+
+describe('run report', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-report-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('computes timing statistics', () => {
+    assert.deepEqual(timingStats([300, 100, 200, 1000]), {
+      count: 4,
+      totalMs: 1600,
+      meanMs: 400,
+      medianMs: 200,
+      p90Ms: 1000,
+      maxMs: 1000
+    });
+    assert.equal(timingStats([]).meanMs, 0);
+  });
+
+  it('groups step timings and marks errors the image recovered from', () => {
+    const summary = summarizeRun([
+      { runId: 'r', type: 'run-start', provider: 'gemini', workers: 1, queued: 2 },
+      { type: 'step', image: 'a.jpg', step: 'upload', durationMs: 100 },
+      { type: 'step', image: 'a.jpg', step: 'upload', durationMs: 300 },
+      { type: 'step', image: 'a.jpg', step: 'download', durationMs: 50 },
+      { type: 'image-error', image: 'a.jpg', attempt: 1, step: 'download' },
+      { type: 'image-success', image: 'a.jpg', durationMs: 900 },
+      { type: 'image-error', image: 'b.jpg', attempt: 1, step: 'upload' },
+      { type: 'image-failed', image: 'b.jpg' },
+      { type: 'run-end', durationMs: 2000 }
+    ]);
+    assert.deepEqual(
+      summary.steps.map(({ step, count, totalMs }) => [step, count, totalMs]),
+      [['upload', 2, 400], ['download', 1, 50]]
+    );
+    assert.deepEqual(summary.errors.map((error) => error.recovered), [true, false]);
+    assert.equal(summary.successCount, 1);
+    assert.equal(summary.failureCount, 1);
+    assert.equal(summary.images.meanMs, 900);
+  });
+
+  it('writes thumbnails, screenshot links and escaped messages', async () => {
+    const sourcePath = path.join(outputDir, 'frame.jpg');
+    const outputPath = path.join(outputDir, 'frame_upscaled.png');
+    await solidImage(64, 36).jpeg().toFile(sourcePath);
+    await solidImage(1280, 720).png().toFile(outputPath);
+    await fs.mkdir(path.join(outputDir, 'debug', 'r1'), { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'debug', 'r1', 'shot.png'), '');
+
+    const events = createEventLog(outputDir, 'r1');
+    await events.emit('run-start', { provider: 'gemini', workers: 1, queued: 2 });
+    await events.emit('image-error', {
+      image: 'frame.jpg',
+      attempt: 1,
+      step: 'processing',
+      errorClass: 'refusal',
+      message: 'Declined <b>this</b>',
+      artifacts: { screenshot: path.join('debug', 'r1', 'shot.png') }
+    });
+    await events.emit('image-success', {
+      image: 'frame.jpg',
+      attempt: 2,
+      sourcePath,
+      outputPath,
+      width: 1280,
+      height: 720,
+      durationMs: 1500
+    });
+    await events.emit('image-success', {
+      image: 'gone.jpg',
+      attempt: 1,
+      sourcePath: path.join(outputDir, 'gone.jpg'),
+      outputPath: path.join(outputDir, 'gone_upscaled.png'),
+      durationMs: 800
+    });
+    await events.emit('run-end', { durationMs: 3000 });
+
+    const { reportPath } = await writeRunReport(outputDir);
+    assert.equal(reportPath, path.join(outputDir, 'reports', 'r1', 'index.html'));
+    const html = await fs.readFile(reportPath, 'utf8');
+    assert.match(html, /Declined &lt;b&gt;this&lt;\/b&gt;/);
+    assert.match(html, /src="\.\.\/\.\.\/debug\/r1\/shot\.png"/);
+    assert.match(html, /src="thumbs\/0001-source\.jpg"/);
+    assert.match(html, /upscaled preview unavailable/);
+
+    const thumbnail = await sharp(
+      path.join(outputDir, 'reports', 'r1', 'thumbs', '0001-upscaled.jpg')
+    ).metadata();
+    assert.equal(thumbnail.width, 320);
+    assert.equal(thumbnail.height, 180);
+  });
+
+  it('fails clearly when no run was recorded', async () => {
+    await assert.rejects(writeRunReport(outputDir), /No runs recorded/);
+  });
+});
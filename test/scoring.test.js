@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const {
+  colourHistogram,
+  compareToSource,
+  histogramDistance,
+  laplacianVariance,
+  rankCandidates,
+  ssim
+} = require('../src/scoring');
+
+// Random 4x4 blocks: plenty of edges for SSIM and sharpness to react to.
+function texture(width, height, seed = 7) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let value = seed;
+  for (let y = 0; y < height; y += 4) {
+    for (let x = 0; x < width; x += 4) {
+      value = (value * 1103515245 + 12345) % 2147483648;
+      for (let dy = 0; dy < 4 && y + dy < height; dy += 1) {
+        for (let dx = 0; dx < 4 && x + dx < width; dx += 1) {
+          const offset = ((y + dy) * width + x + dx) * 3;
+          pixels[offset] = value % 256;
+          pixels[offset + 1] = (value >> 8) % 256;
+          pixels[offset + 2] = (value >> 16) % 256;
+        }
+      }
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('image measures', () => {
+  it('rates identical images as identical', () => {
+    const grey = Buffer.from(Array.from({ length: 256 }, (_, i) => (i * 37) % 256));
+    assert.ok(Math.abs(ssim(grey, grey, 16, 16) - 1) < 1e-9);
+    const rgb = Buffer.from(Array.from({ length: 300 }, (_, i) => (i * 11) % 256));
+    assert.ok(histogramDistance(colourHistogram(rgb), colourHistogram(rgb)) < 1e-6);
+    assert.equal(laplacianVariance(Buffer.alloc(100, 50), 10, 10), 0);
+  });
+
+  it('picks the faithful, sharp candidate', () => {
+    const candidates = [
+      { index: 1, measures: { ssim: 0.9, colourDistance: 0.05, sharpness: 200 } },
+      { index: 2, measures: { ssim: 0.95, colourDistance: 0.04, sharpness: 500 } },
+      { index: 3, measures: null },
+      { index: 4, measures: { ssim: 0.6, colourDistance: 0.3, sharpness: 900 } }
+    ];
+    assert.equal(rankCandidates(candidates).index, 2);
+    assert.equal(candidates[2].score, null);
+    assert.ok(candidates[1].score > candidates[0].score);
+    assert.equal(rankCandidates([{ index: 1, measures: null }]), null);
+  });
+});
+
+describe('comparing a result to its source', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-scoring-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('tells a clean upscale from a soft or tinted one', async () => {
+    const source = path.join(dir, 'source.png');
+    await texture(96, 64).toFile(source);
+    const clean = path.join(dir, 'clean.png');
+    const soft = path.join(dir, 'soft.png');
+    const tinted = path.join(dir, 'tinted.png');
+    await sharp(source).resize(192, 128, { kernel: 'nearest' }).toFile(clean);
+    await sharp(clean).blur(4).toFile(soft);
+    await sharp(clean).tint('#40ff40').toFile(tinted);
+
+    const good = await compareToSource(source, clean);
+    const blurred = await compareToSource(source, soft);
+    const shifted = await compareToSource(source, tinted);
+    assert.ok(good.ssim > 0.95, `ssim ${good.ssim}`);
+    assert.ok(blurred.ssim < good.ssim);
+    assert.ok(blurred.sharpness < good.sharpness);
+    assert.ok(shifted.colourDistance > good.colourDistance + 0.1);
+  });
+});
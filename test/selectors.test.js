@@ -0,0 +1,76 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const {
+  DEFAULT_SELECTORS,
+  SELECTORS_VERSION,
+  describeSelector,
+  loadSelectors,
+  mergeSelectors
+} = require('../src/selectors');
+
+describe('selector overrides', () => {
+  it('replaces a chain given as an array', () => {
+    const merged = mergeSelectors({ chains: { send: [{ css: '#go' }] } });
+    assert.deepEqual(merged.chains.send, [{ css: '#go' }]);
+    assert.deepEqual(merged.chains.prompt, DEFAULT_SELECTORS.chains.prompt);
+    assert.deepEqual(merged.warnings, []);
+  });
+
+  it('prepends and appends to a default chain', () => {
+    const merged = mergeSelectors({
+      chains: { newChat: { prepend: [{ css: '#first' }], append: [{ text: 'last' }] } }
+    });
+    const chain = merged.chains.newChat;
+    assert.deepEqual(chain[0], { css: '#first' });
+    assert.deepEqual(chain[chain.length - 1], { text: 'last' });
+    assert.equal(chain.length, DEFAULT_SELECTORS.chains.newChat.length + 2);
+  });
+
+  it('warns when the file targets another registry version', () => {
+    const merged = mergeSelectors({ version: SELECTORS_VERSION - 1, chains: {} }, 'old.json');
+    assert.match(merged.warnings[0], /old\.json targets selector version/);
+  });
+
+  it('rejects unknown chains and malformed candidates', () => {
+    assert.throws(
+      () => mergeSelectors({ chains: { sendButton: [{ css: '#go' }] } }),
+      /Unknown selector chain "sendButton"/
+    );
+    assert.throws(
+      () => mergeSelectors({ chains: { send: [{ css: '#go', text: 'Go' }] } }),
+      /send\[0\] needs exactly one of/
+    );
+    assert.throws(
+      () => mergeSelectors({ chains: { send: [{ role: 'button', label: 'Go' }] } }),
+      /Unknown key "label"/
+    );
+    assert.throws(() => mergeSelectors({ chains: { send: [] } }), /is empty/);
+  });
+
+  it('loads an override file and reports invalid JSON', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-selectors-'));
+    try {
+      const file = path.join(dir, 'selectors.json');
+      await fs.writeFile(file, JSON.stringify({ chains: { send: [{ css: '#go' }] } }));
+      const loaded = await loadSelectors(file);
+      assert.equal(loaded.source, file);
+      assert.deepEqual(loaded.chains.send, [{ css: '#go' }]);
+
+      await fs.writeFile(file, '{ chains: ');
+      await assert.rejects(loadSelectors(file), /is not valid JSON/);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('describes candidates for logs', () => {
+    assert.equal(
+      describeSelector({ role: 'button', name: '/^delete$/i', within: { role: 'dialog' } }),
+      'role=dialog >> role=button name=/^delete$/i'
+    );
+  });
+});
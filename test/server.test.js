@@ -0,0 +1,192 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { run } = require('../src/main');
+const { commandArgs, createWorkspace } = require('./mock-gemini');
+
+const MAIN = path.join(__dirname, '..', 'src', 'main.js');
+
+// Starts `serve` on a free port (or `port`); `ready` resolves with its base URL.
+function startServer(workspace, command, port = 0) {
+  const child = spawn(
+    process.execPath,
+    [
+      MAIN,
+      'serve',
+      '--provider', 'command',
+      '--command', command,
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir,
+      '--targetWidth', '1920',
+      '--targetHeight', '1080',
+      '--minDelayMs', '1',
+      '--maxDelayMs', '1',
+      '--port', String(port)
+    ],
+    { stdio: ['ignore', 'pipe', 'pipe'] }
+  );
+  let output = '';
+  const exited = new Promise((resolve) => {
+    child.on('close', (code) => resolve({ code, output }));
+  });
+  const ready = new Promise((resolve, reject) => {
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/job API on (http:\/\/\S+?)\/\./);
+      if (match) resolve(match[1]);
+    });
+    child.on('exit', () => reject(new Error(`serve exited early:\n${output}`)));
+  });
+  ready.catch(() => {});
+  return { child, ready, exited, output: () => output };
+}
+
+async function request(base, method, route, body) {
+  const response = await fetch(`${base}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Reads a job's event stream until the server ends it (the job is done).
+async function readEvents(base, id) {
+  const response = await fetch(`${base}/jobs/${id}/events`);
+  const text = await response.text();
+  return text
+    .split('\n\n')
+    .filter((block) => block.startsWith('event: '))
+    .map((block) => JSON.parse(block.split('\ndata: ')[1]));
+}
+
+async function waitFor(check, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting.');
+}
+
+describe('serve', () => {
+  let workspace;
+  let server;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+    server = null;
+  });
+
+  afterEach(async () => {
+    if (server && server.child.exitCode === null) {
+      server.child.kill('SIGINT');
+      await server.exited;
+    }
+    await workspace.cleanup();
+  });
+
+  it('runs a submitted folder as a job and serves its results', async () => {
+    server = startServer(workspace, 'cp {input} {output}');
+    const base = await server.ready;
+
+    const rejected = await request(base, 'POST', '/jobs', { path: '../elsewhere' });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /not inside the input folder/);
+    assert.equal((await request(base, 'GET', '/jobs/nope')).status, 404);
+
+    const created = await request(base, 'POST', '/jobs', { path: '.', mode: 'Thinking' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.total, 3);
+    assert.deepEqual(created.body.options, { mode: 'Thinking' });
+
+    const events = await readEvents(base, created.body.id);
+    assert.equal(events[0].type, 'job');
+    assert.equal(events.filter((event) => event.type === 'image-success').length, 3);
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'job-done');
+    assert.deepEqual(done.counts, { processed: 3 });
+
+    const job = await request(base, 'GET', `/jobs/${created.body.id}`);
+    assert.equal(job.body.status, 'done');
+    assert.deepEqual(
+      job.body.images.map((image) => [image.image, image.status]),
+      [['frame_001.jpg', 'processed'], ['frame_002.jpg', 'processed'], ['frame_003.jpg', 'processed']]
+    );
+    const result = await fetch(`${base}${job.body.images[0].resultUrl}`);
+    assert.equal(result.status, 200);
+    assert.equal(result.headers.get('content-type'), 'image/jpeg');
+    assert.deepEqual(
+      Buffer.from(await result.arrayBuffer()),
+      await fs.readFile(workspace.images[0])
+    );
+
+    const list = await request(base, 'GET', '/jobs');
+    assert.deepEqual(list.body.jobs.map((entry) => entry.id), [created.body.id]);
+    const saved = JSON.parse(await fs.readFile(path.join(workspace.outputDir, 'jobs.json'), 'utf8'));
+    assert.ok(saved.jobs[created.body.id].completedAt);
+  });
+
+  it('leaves skipped images alone when a folder is submitted', async () => {
+    assert.equal(await run(commandArgs(workspace, ['skip', 'frame_003.jpg'])), 1);
+    server = startServer(workspace, 'cp {input} {output}');
+    const base = await server.ready;
+
+    const created = await request(base, 'POST', '/jobs', { path: '.' });
+    assert.equal(created.status, 201);
+    const events = await readEvents(base, created.body.id);
+    assert.deepEqual(events[events.length - 1].counts, { processed: 2, skipped: 1 });
+  });
+
+  it('resumes pending jobs after a restart', async () => {
+    server = startServer(workspace, 'sleep 30');
+    let base = await server.ready;
+    const created = await request(base, 'POST', '/jobs', { path: 'frame_002.jpg' });
+    assert.equal(created.status, 201);
+    await waitFor(() => server.output().includes('Running:'));
+    server.child.kill('SIGINT');
+    await server.exited;
+
+    const saved = JSON.parse(await fs.readFile(path.join(workspace.outputDir, 'jobs.json'), 'utf8'));
+    assert.equal(saved.jobs[created.body.id].completedAt, null);
+    // Only the submitted image was read, not the rest of the input folder.
+    const state = JSON.parse(
+      await fs.readFile(path.join(workspace.outputDir, 'processing-state.json'), 'utf8')
+    );
+    assert.deepEqual(
+      Object.values(state.images).map((record) => path.basename(record.sourcePath)),
+      ['frame_002.jpg']
+    );
+
+    server = startServer(workspace, 'cp {input} {output}');
+    base = await server.ready;
+    const job = await waitFor(async () => {
+      const { body } = await request(base, 'GET', `/jobs/${created.body.id}`);
+      return body.status === 'done' && body;
+    });
+    assert.deepEqual(job.counts, { processed: 1 });
+    assert.match(job.images[0].outputPath, /frame_002_upscaled\.jpg$/);
+  });
+
+  it('fails cleanly when the port is taken', async () => {
+    const blocker = net.createServer();
+    await new Promise((resolve) => blocker.listen(0, '127.0.0.1', resolve));
+    try {
+      server = startServer(workspace, 'cp {input} {output}', blocker.address().port);
+      const { code, output } = await server.exited;
+      assert.equal(code, 1);
+      assert.match(output, /Fatal error: Error: Port \d+ on 127\.0\.0\.1 is already in use/);
+      await assert.rejects(fs.access(path.join(workspace.outputDir, 'processing-state.lock')));
+    } finally {
+      await new Promise((resolve) => blocker.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { SESSION_EXPIRED_EXIT_CODE, SessionExpiredError } = require('../src/errors');
+const { run } = require('../src/main');
+const { createWorkspace, mockUrl, runArgs } = require('./mock-gemini');
+
+const MAIN = path.join(__dirname, '..', 'src', 'main.js');
+
+async function readState(workspace) {
+  const raw = await fs.readFile(
+    path.join(workspace.outputDir, 'processing-state.json'),
+    'utf8'
+  );
+  return JSON.parse(raw);
+}
+
+describe('saved sessions', () => {
+  let workspace;
+  let sessionPath;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(2);
+    sessionPath = path.join(workspace.root, 'auth', 'session.json');
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  async function login() {
+    return run([
+      'login',
+      '--session', sessionPath,
+      '--browserData', workspace.browserDataDir,
+      '--geminiUrl', mockUrl(),
+      '--headless',
+      '--no-verbose'
+    ]);
+  }
+
+  it('exports the storage state readable only by the owner', async () => {
+    assert.equal(await login(), sessionPath);
+    const session = JSON.parse(await fs.readFile(sessionPath, 'utf8'));
+    assert.ok(Array.isArray(session.cookies));
+    assert.ok(Array.isArray(session.origins));
+    assert.equal((await fs.stat(sessionPath)).mode & 0o777, 0o600);
+  });
+
+  it('runs headless from the session file', async () => {
+    await login();
+    const result = await run(runArgs(workspace, {}, { session: sessionPath }));
+    assert.deepEqual(result, { successCount: 2, failureCount: 0 });
+  });
+
+  it('stops with SessionExpiredError instead of waiting for a login', async () => {
+    await login();
+    await assert.rejects(
+      run(runArgs(workspace, { scenario: 'logged-out' }, { session: sessionPath })),
+      (err) => err instanceof SessionExpiredError && err.exitCode === SESSION_EXPIRED_EXIT_CODE
+    );
+  });
+
+  it('returns the current image to pending when the session expires mid-run', async () => {
+    await login();
+    await assert.rejects(
+      run(runArgs(workspace, { expireAfterDownloads: 1 }, { session: sessionPath })),
+      SessionExpiredError
+    );
+    const records = Object.values((await readState(workspace)).images);
+    const byStatus = Object.fromEntries(records.map((record) => [record.status, record]));
+    assert.ok(byStatus.processed);
+    assert.equal(byStatus.pending.attempts, 0);
+    assert.equal(byStatus.pending.lastErrorClass, 'session-expired');
+  });
+
+  it('exits with its own code when the session file is missing', async () => {
+    const child = spawn(
+      process.execPath,
+      [
+        MAIN,
+        '--session', sessionPath,
+        '--input', workspace.inputDir,
+        '--output', workspace.outputDir,
+        '--headless'
+      ],
+      { stdio: ['ignore', 'pipe', 'pipe'] }
+    );
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    const code = await new Promise((resolve) => child.on('exit', resolve));
+    assert.equal(code, SESSION_EXPIRED_EXIT_CODE);
+    assert.match(stderr, /Session file .* not found\. Run "login --session/);
+  });
+});
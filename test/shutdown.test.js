@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { run } = require('../src/main');
+const { createWorkspace } = require('./mock-gemini');
+
+const MAIN = path.join(__dirname, '..', 'src', 'main.js');
+
+// Starts the CLI with a command provider that writes a partial output and
+// then hangs, and resolves once that command is running.
+function startHangingRun(workspace) {
+  const child = spawn(
+    process.execPath,
+    [
+      MAIN,
+      '--provider', 'command',
+      '--command', 'printf partial > {output}; sleep 30',
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir
+    ],
+    { stdio: ['ignore', 'pipe', 'pipe'] }
+  );
+  let output = '';
+  const exited = new Promise((resolve) => {
+    child.on('exit', (code) => resolve({ code, output }));
+  });
+  const running = new Promise((resolve) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Running:')) resolve();
+    });
+  });
+  return { child, running, exited };
+}
+
+async function readState(workspace) {
+  const raw = await fs.readFile(
+    path.join(workspace.outputDir, 'processing-state.json'),
+    'utf8'
+  );
+  return JSON.parse(raw);
+}
+
+describe('graceful shutdown', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(2);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('cleans up the in-flight image on SIGINT', async () => {
+    const { child, running, exited } = startHangingRun(workspace);
+    await running;
+    child.kill('SIGINT');
+    const { code, output } = await exited;
+
+    assert.equal(code, 130);
+    assert.match(output, /Interrupted\. Success: 0, Failed: 0/);
+    const log = await fs.readFile(path.join(workspace.outputDir, 'processing.log'), 'utf8');
+    assert.match(log, /SUMMARY success=0 failed=0 interrupted=true/);
+
+    const outputs = await fs.readdir(workspace.outputDir);
+    assert.equal(outputs.some((name) => name.includes('upscaled')), false);
+    for (const record of Object.values((await readState(workspace)).images)) {
+      assert.equal(record.status, 'pending');
+      assert.equal(record.inFlightOutputPath, null);
+    }
+  });
+
+  it('force quits on a second signal', async () => {
+    const { child, running, exited } = startHangingRun(workspace);
+    await running;
+    child.kill('SIGINT');
+    child.kill('SIGINT');
+    const { code } = await exited;
+    assert.equal(code, 130);
+  });
+
+  it('redoes an image left in flight by a crash', async () => {
+    await run([
+      'skip', 'frame_002.jpg',
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir,
+      '--no-verbose'
+    ]);
+    const state = await readState(workspace);
+    const record = Object.values(state.images).find((candidate) =>
+      candidate.sourcePath.endsWith('frame_001.jpg')
+    );
+    const partial = path.join(workspace.outputDir, 'frame_001_upscaled.jpg');
+    await fs.writeFile(partial, 'partial');
+    record.status = 'in-progress';
+    record.inFlightOutputPath = partial;
+    await fs.writeFile(
+      path.join(workspace.outputDir, 'processing-state.json'),
+      JSON.stringify(state)
+    );
+
+    const result = await run([
+      '--provider', 'command',
+      '--command', 'cp {input} {output}',
+      '--input', workspace.inputDir,
+      '--output', workspace.outputDir,
+      '--targetWidth', '1920',
+      '--targetHeight', '1080',
+      '--minDelayMs', '1',
+      '--maxDelayMs', '1',
+      '--no-verbose'
+    ]);
+    assert.deepEqual(result, { successCount: 1, failureCount: 0 });
+    const outputs = await fs.readdir(workspace.outputDir);
+    assert.ok(outputs.includes('frame_001_upscaled.jpg'));
+    assert.equal(outputs.includes('frame_001_upscaled_2.jpg'), false);
+  });
+});
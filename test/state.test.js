@@ -0,0 +1,145 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const {
+  STATE_VERSION,
+  acquireStateLock,
+  getLockPath,
+  getRecordForImage,
+  getStatePath,
+  claimInFlight,
+  hashFile,
+  loadState,
+  markInProgress,
+  recoverInFlight,
+  saveState,
+  syncRecords
+} = require('../src/state');
+
+describe('processing state', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-state-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('starts empty when no state file exists', async () => {
+    assert.deepEqual(await loadState(dir), { version: STATE_VERSION, images: {} });
+  });
+
+  it('migrates the old processed/failed path arrays', async () => {
+    const kept = path.join(dir, 'kept.jpg');
+    await fs.writeFile(kept, 'kept');
+    const missing = path.join(dir, 'gone.jpg');
+    await fs.writeFile(
+      getStatePath(dir),
+      JSON.stringify({ processed: [kept], failed: [missing] })
+    );
+
+    const state = await loadState(dir);
+    const hash = await hashFile(kept);
+    assert.equal(state.version, STATE_VERSION);
+    assert.equal(state.images[hash].status, 'processed');
+    assert.equal(state.images[hash].sourcePath, kept);
+    assert.equal(state.images[`path:${missing}`].status, 'failed');
+  });
+
+  it('writes atomically without leaving temp files behind', async () => {
+    await saveState(dir, { version: STATE_VERSION, images: {} });
+    assert.deepEqual(await fs.readdir(dir), ['processing-state.json']);
+  });
+
+  it('lets one process at a time hold the state lock', async () => {
+    const release = await acquireStateLock(dir);
+    await assert.rejects(acquireStateLock(dir), new RegExp(`Another run \\(pid ${process.pid}\\)`));
+    await release();
+    await assert.rejects(fs.access(getLockPath(dir)));
+
+    // A lock whose process is gone is taken over.
+    await fs.writeFile(getLockPath(dir), '999999999');
+    const again = await acquireStateLock(dir);
+    assert.equal(await fs.readFile(getLockPath(dir), 'utf8'), String(process.pid));
+    await again();
+  });
+
+  it('keys records by content so a moved file keeps its record', async () => {
+    const state = await loadState(dir);
+    const original = path.join(dir, 'a.jpg');
+    await fs.writeFile(original, 'frame');
+    const record = await getRecordForImage(state, original);
+    record.status = 'processed';
+
+    const moved = path.join(dir, 'b.jpg');
+    await fs.rename(original, moved);
+    const again = await getRecordForImage(state, moved);
+    assert.equal(again, record);
+    assert.equal(again.sourcePath, moved);
+    assert.equal(Object.keys(state.images).length, 1);
+  });
+
+  it('follows files that swapped names within one sync', async () => {
+    const state = await loadState(dir);
+    const a = path.join(dir, 'a.jpg');
+    const b = path.join(dir, 'b.jpg');
+    await fs.writeFile(a, 'first frame');
+    await fs.writeFile(b, 'second');
+    const [first, second] = (await syncRecords(state, [a, b])).map(({ record }) => record);
+
+    const swap = path.join(dir, 'swap.jpg');
+    await fs.rename(a, swap);
+    await fs.rename(b, a);
+    await fs.rename(swap, b);
+    const entries = await syncRecords(state, [a, b]);
+    assert.deepEqual(
+      entries.map(({ imagePath, record }) => [imagePath, record]),
+      [[a, second], [b, first]]
+    );
+    assert.equal(first.sourcePath, b);
+    assert.equal(second.sourcePath, a);
+    assert.equal((await syncRecords(state, [a]))[0].record, second);
+  });
+
+  it('deletes everything an interrupted image claimed', async () => {
+    const state = await loadState(dir);
+    const files = {};
+    const names = ['a.jpg', 'b.jpg', 'a_upscaled.jpg', 'a_upscaled.png', 'a_upscaled.raw.jpg'];
+    for (const name of names) {
+      files[name] = path.join(dir, name);
+      await fs.writeFile(files[name], name);
+    }
+    await fs.writeFile(`${files['a_upscaled.png']}.conform.tmp`, '');
+    const candidates = path.join(dir, 'candidates', 'aaaa');
+    const freshTiles = path.join(dir, 'tiles', 'aaaa');
+    const usedTiles = path.join(dir, 'tiles', 'bbbb');
+    for (const folder of [candidates, freshTiles, usedTiles]) {
+      await fs.mkdir(folder, { recursive: true });
+      await fs.writeFile(path.join(folder, 'part.png'), '');
+    }
+
+    const a = await getRecordForImage(state, files['a.jpg']);
+    markInProgress(a, files['a_upscaled.jpg']);
+    claimInFlight(a, files['a_upscaled.png']);
+    claimInFlight(a, files['a_upscaled.raw.jpg']);
+    claimInFlight(a, candidates);
+    a.tiles = { dir: freshTiles, items: [{ status: 'pending' }] };
+    const b = await getRecordForImage(state, files['b.jpg']);
+    markInProgress(b, path.join(dir, 'b_upscaled.jpg'));
+    b.tiles = { dir: usedTiles, items: [{ status: 'done' }, { status: 'pending' }] };
+
+    assert.deepEqual(await recoverInFlight(state), [a, b]);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['a.jpg', 'b.jpg', 'candidates', 'tiles']);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'candidates')), []);
+    // Finished tiles are kept for the next attempt.
+    assert.deepEqual(await fs.readdir(path.join(dir, 'tiles')), ['bbbb']);
+    assert.equal(a.tiles, null);
+    assert.deepEqual(a.inFlightPaths, []);
+    assert.equal(a.status, 'pending');
+  });
+});
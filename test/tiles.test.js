@@ -0,0 +1,211 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { buildConfig } = require('../src/config');
+const { run } = require('../src/main');
+const { DEFAULT_TARGET_WIDTH, resolveTarget } = require('../src/prompt');
+const { chooseGrid, planTiles, stitchTiles } = require('../src/tiles');
+const { commandArgs, createWorkspace, readState } = require('./mock-gemini');
+
+// Smooth colour ramps, so resampling a crop matches resampling the whole.
+function gradient(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const offset = (y * width + x) * 3;
+      pixels[offset] = Math.round((255 * x) / (width - 1));
+      pixels[offset + 1] = Math.round((255 * y) / (height - 1));
+      pixels[offset + 2] = 128;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('tile planning', () => {
+  it('covers the source and the target with overlapping tiles', () => {
+    const tiles = planTiles(
+      { width: 100, height: 60 },
+      { width: 300, height: 180 },
+      { cols: 2, rows: 2, overlap: 5 }
+    );
+    assert.equal(tiles.length, 4);
+    assert.deepEqual(
+      tiles.map(({ row, col, x, y, width, height }) => [row, col, x, y, width, height]),
+      [
+        [0, 0, 0, 0, 55, 35],
+        [0, 1, 45, 0, 55, 35],
+        [1, 0, 0, 25, 55, 35],
+        [1, 1, 45, 25, 55, 35]
+      ]
+    );
+    const last = tiles[3];
+    assert.equal(last.targetX + last.targetWidth, 300);
+    assert.equal(last.targetY + last.targetHeight, 180);
+    assert.deepEqual([last.targetX, last.targetWidth], [135, 165]);
+  });
+
+  it('picks the fewest tiles that fit under the pixel cap', () => {
+    const config = { tiles: 'auto', tileOverlap: 16, tileMaxPixels: 3840 * 2160 };
+    const source = { width: 1920, height: 1080 };
+    assert.deepEqual(chooseGrid(config, source, { width: 3840, height: 2160 }), {
+      cols: 1,
+      rows: 1
+    });
+    // Four tiles plus overlap are too big, and 5x1 would be thin strips.
+    assert.deepEqual(chooseGrid(config, source, { width: 7680, height: 4320 }), {
+      cols: 3,
+      rows: 2
+    });
+    assert.deepEqual(chooseGrid({ ...config, tiles: { cols: 4, rows: 1 } }, source, {}), {
+      cols: 4,
+      rows: 1
+    });
+    assert.throws(
+      () => chooseGrid({ ...config, tileMaxPixels: 1 }, source, { width: 7680, height: 4320 }),
+      /raise --tileMaxPixels/
+    );
+  });
+
+  it('sends a frame at the default target in one pass', () => {
+    const config = buildConfig({ tiles: 'auto' });
+    const source = { width: 1920, height: 1080 };
+    const { targetWidth, targetHeight } = resolveTarget(
+      [config, { targetWidth: DEFAULT_TARGET_WIDTH }],
+      source
+    );
+    assert.deepEqual([targetWidth, targetHeight], [4000, 2250]);
+    assert.deepEqual(chooseGrid(config, source, { width: targetWidth, height: targetHeight }), {
+      cols: 1,
+      rows: 1
+    });
+  });
+});
+
+describe('tile stitching', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upscaler-tiles-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('rebuilds the image without visible seams', async () => {
+    const source = path.join(dir, 'source.png');
+    await gradient(120, 80).toFile(source);
+    const target = { width: 240, height: 160 };
+    const tiles = planTiles({ width: 120, height: 80 }, target, { cols: 3, rows: 2, overlap: 6 });
+    for (const tile of tiles) {
+      tile.outputPath = path.join(dir, `tile-${tile.index}.png`);
+      // Upscaled a little off-size, as a real upscaler may return.
+      await sharp(source)
+        .extract({ left: tile.x, top: tile.y, width: tile.width, height: tile.height })
+        .resize(tile.targetWidth + 3, tile.targetHeight + 1, { fit: 'fill' })
+        .toFile(tile.outputPath);
+    }
+
+    const stitched = path.join(dir, 'stitched.png');
+    await stitchTiles(tiles, { ...target, cols: 3 }, stitched);
+    const result = await sharp(stitched).raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual([result.info.width, result.info.height], [240, 160]);
+
+    const expected = await sharp(source).resize(240, 160, { fit: 'fill' }).raw().toBuffer();
+    let worst = 0;
+    for (let i = 0; i < expected.length; i += 1) {
+      worst = Math.max(worst, Math.abs(expected[i] - result.data[i]));
+    }
+    assert.ok(worst <= 12, `largest channel difference ${worst}`);
+  });
+
+  it('encodes the stitched image in the format its name asks for', async () => {
+    const target = { width: 64, height: 32 };
+    const tiles = planTiles({ width: 32, height: 16 }, target, { cols: 2, rows: 1, overlap: 4 });
+    for (const tile of tiles) {
+      tile.outputPath = path.join(dir, `tile-${tile.index}.png`);
+      await gradient(tile.targetWidth, tile.targetHeight).png().toFile(tile.outputPath);
+    }
+    const formats = {};
+    for (const name of ['out.png', 'out.webp', 'out.jpg', 'low.jpg', 'out.heic']) {
+      const file = path.join(dir, name);
+      const quality = name === 'low.jpg' ? 10 : 92;
+      await stitchTiles(tiles, { ...target, cols: 2 }, file, { quality });
+      formats[name] = (await sharp(file).metadata()).format;
+    }
+    assert.deepEqual(formats, {
+      'out.png': 'png',
+      'out.webp': 'webp',
+      'out.jpg': 'jpeg',
+      'low.jpg': 'jpeg',
+      'out.heic': 'png'
+    });
+    const size = async (name) => (await fs.stat(path.join(dir, name))).size;
+    assert.ok((await size('low.jpg')) < (await size('out.jpg')));
+  });
+});
+
+describe('--tiles runs', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(3);
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  it('upscales in tiles and only redoes missing tiles after a failure', async () => {
+    await sharp({ create: { width: 160, height: 90, channels: 3, background: '#3366aa' } })
+      .jpeg()
+      .toFile(workspace.images[0]);
+    const calls = path.join(workspace.root, 'calls.txt');
+    // Doubles each tile with sharp and notes which tile it was given.
+    const upscaler = (failOn) =>
+      'node -e "const sharp = require(\'sharp\'); const [input, output] = process.argv.slice(1); ' +
+      `require('fs').appendFileSync('${calls}', input + '\\n'); ` +
+      (failOn ? `if (input.endsWith('${failOn}')) process.exit(1); ` : '') +
+      'sharp(input).metadata().then((m) => sharp(input).resize(m.width * 2, m.height * 2)' +
+      '.toFile(output));" {input} {output}';
+    const tiled = (command, verb = []) =>
+      commandArgs(workspace, verb, [
+        '--command', command,
+        '--targetWidth', '320',
+        '--targetHeight', '180',
+        '--tiles', '2x2',
+        '--tileOverlap', '8',
+        '--retries', '1',
+        '--limit', '1'
+      ]);
+
+    const failed = await run(tiled(upscaler('r1c0.png')));
+    assert.deepEqual(failed, { successCount: 0, failureCount: 1 });
+    let record = Object.values((await readState(workspace)).images).find(
+      (entry) => path.basename(entry.sourcePath) === 'frame_001.jpg'
+    );
+    assert.deepEqual(
+      record.tiles.items.map((tile) => tile.status),
+      ['done', 'done', 'pending', 'pending']
+    );
+
+    await fs.rm(calls);
+    const retried = await run(tiled(upscaler(), ['retry-failed']));
+    assert.deepEqual(retried, { successCount: 1, failureCount: 0 });
+    const redone = (await fs.readFile(calls, 'utf8')).trim().split('\n');
+    assert.deepEqual(redone.map((file) => path.basename(file)), ['r1c0.png', 'r1c1.png']);
+
+    record = Object.values((await readState(workspace)).images).find(
+      (entry) => path.basename(entry.sourcePath) === 'frame_001.jpg'
+    );
+    assert.equal(record.status, 'processed');
+    const { width, height } = await sharp(record.outputPath).metadata();
+    assert.deepEqual([width, height], [320, 180]);
+    const tilesDir = path.join(workspace.outputDir, 'tiles', record.hash.slice(0, 16));
+    await assert.rejects(fs.access(tilesDir));
+  });
+});
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { createInputWatcher } = require('../src/watcher');
+const { minimalJpeg, createWorkspace } = require('./mock-gemini');
+
+function names(entries) {
+  return entries.map((entry) => path.basename(entry.imagePath));
+}
+
+describe('input watcher', () => {
+  let workspace;
+  let config;
+  let state;
+  let clock;
+
+  beforeEach(async () => {
+    workspace = await createWorkspace(1);
+    await fs.mkdir(workspace.outputDir);
+    config = {
+      inputDir: workspace.inputDir,
+      outputDir: workspace.outputDir,
+      browserDataDirs: [workspace.browserDataDir],
+      recursive: true,
+      include: [],
+      exclude: [],
+      watchStableMs: 5000,
+      watchIntervalMs: 100,
+      log: () => {}
+    };
+    state = { version: 2, images: {} };
+    clock = { time: Date.now() + 60 * 1000 };
+  });
+
+  afterEach(async () => {
+    await workspace.cleanup();
+  });
+
+  function createWatcher(queued = []) {
+    return createInputWatcher(config, state, (entry) => queued.push(entry), {
+      now: () => clock.time
+    });
+  }
+
+  it('queues files that have settled, once', async () => {
+    const queued = [];
+    const watcher = createWatcher(queued);
+    assert.deepEqual(names(await watcher.poll()), ['frame_001.jpg']);
+    assert.deepEqual(await watcher.poll(), []);
+    assert.deepEqual(names(queued), ['frame_001.jpg']);
+    const saved = JSON.parse(
+      await fs.readFile(path.join(workspace.outputDir, 'processing-state.json'), 'utf8')
+    );
+    assert.equal(Object.keys(saved.images).length, 1);
+  });
+
+  it('waits until a new file stops growing and is complete', async () => {
+    const watcher = createWatcher();
+    await watcher.poll();
+    const framePath = path.join(workspace.inputDir, 'frame_002.jpg');
+    const full = minimalJpeg(1920, 1080, 'frame 2');
+
+    // Recently modified: not quiet for watchStableMs yet.
+    clock.time = Date.now();
+    await fs.writeFile(framePath, full.subarray(0, 10));
+    assert.deepEqual(await watcher.poll(), []);
+
+    // Quiet, but larger than at the previous poll.
+    clock.time = Date.now() + 60 * 1000;
+    await fs.writeFile(framePath, full.subarray(0, full.length - 2));
+    assert.deepEqual(await watcher.poll(), []);
+
+    // Same size as last time, but the JPEG has no end marker yet.
+    assert.deepEqual(await watcher.poll(), []);
+
+    await fs.writeFile(framePath, full);
+    assert.deepEqual(await watcher.poll(), []);
+    assert.deepEqual(names(await watcher.poll()), ['frame_002.jpg']);
+  });
+
+  it('skips images the state file already settled and byte-identical copies', async () => {
+    const first = createWatcher();
+    const [entry] = await first.poll();
+    entry.record.status = 'processed';
+    await fs.copyFile(workspace.images[0], path.join(workspace.inputDir, 'copy.jpg'));
+    await fs.writeFile(
+      path.join(workspace.inputDir, 'frame_003.jpg'),
+      minimalJpeg(1920, 1080, 'frame 3')
+    );
+    await fs.copyFile(
+      path.join(workspace.inputDir, 'frame_003.jpg'),
+      path.join(workspace.inputDir, 'frame_004.jpg')
+    );
+
+    const restarted = createWatcher();
+    assert.deepEqual(names(await restarted.poll()), ['frame_003.jpg']);
+  });
+
+  it('stops polling when asked', async () => {
+    const watcher = createWatcher();
+    const running = watcher.run({ requested: false });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    watcher.stop();
+    await running;
+  });
+});
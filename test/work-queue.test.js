@@ -0,0 +1,32 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createWorkQueue } = require('../src/work-queue');
+
+describe('work queue', () => {
+  it('hands out items in order and null once closed and drained', async () => {
+    const queue = createWorkQueue(['a', 'b']);
+    queue.close();
+    assert.equal(await queue.next(), 'a');
+    assert.equal(await queue.next(), 'b');
+    assert.equal(await queue.next(), null);
+  });
+
+  it('wakes a waiting consumer when an item is pushed', async () => {
+    const queue = createWorkQueue();
+    const first = queue.next();
+    const second = queue.next();
+    queue.push('a');
+    queue.push('b');
+    assert.deepEqual(await Promise.all([first, second]), ['a', 'b']);
+    assert.equal(queue.size, 0);
+  });
+
+  it('releases waiting consumers on close and rejects later pushes', async () => {
+    const queue = createWorkQueue();
+    const waiting = queue.next();
+    queue.close();
+    assert.equal(await waiting, null);
+    assert.throws(() => queue.push('a'), /closed queue/);
+  });
+});